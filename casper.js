@@ -1,769 +1,4645 @@
 /**
- * CasperService - Blockchain interaction module for Ectoplasm DEX
- * Handles all Casper Network interactions including:
- * - Token balance queries (CEP-18)
- * - Pair reserves queries
- * - Swap quote calculations
- * - Transaction building and signing
+ * Announce a change with a window CustomEvent
+ * Skipped where there is no event target (a headless runner without a
+ * DOM), so persisting a change never fails on its notification
+ * @param {string} type - Event name, e.g. 'casper:txupdate'
+ * @param {Object} detail - Event detail
  */
-const CasperService = {
-  client: null,
-  initialized: false,
+function emitWindowEvent(type, detail) {
+  if (typeof window === 'undefined' || typeof window.dispatchEvent !== 'function') return;
+  if (typeof CustomEvent === 'undefined') return;
+  window.dispatchEvent(new CustomEvent(type, { detail }));
+}
+
+/**
+ * RpcNodePool - Health-checked pool of Casper RPC nodes
+ * Every node call from CasperService goes through run(), which uses the
+ * best healthy node and fails over to the next one on network errors,
+ * timeouts or 5xx responses. Nodes are ranked by a periodic health check
+ * on latency and block height lag.
+ */
+const RpcNodePool = {
+  nodes: [],
+  current: null,
+  healthTimer: null,
 
   /**
-   * Initialize the Casper client
+   * Create a client per RPC URL and start health checking
+   * @param {string[]} urls - RPC endpoints in order of preference
    */
-  init() {
-    if (this.initialized) return;
+  init(urls) {
+    this.stop();
+    this.nodes = urls.map((url, index) => ({
+      url,
+      index,
+      client: new CasperClient(url),
+      healthy: true,
+      latency: null,
+      height: null,
+      lastError: null,
+      lastChecked: null
+    }));
+    this.setCurrent(this.nodes[0] || null);
 
-    const network = EctoplasmConfig.getNetwork();
+    this.checkHealth();
+    this.healthTimer = setInterval(
+      () => this.checkHealth(),
+      EctoplasmConfig.rpc.healthCheckInterval
+    );
+  },
 
-    // Check if casper-js-sdk is loaded
-    if (typeof CasperClient === 'undefined') {
-      console.warn('CasperService: casper-js-sdk not loaded yet');
-      return;
+  /**
+   * Stop health checking and drop all nodes
+   */
+  stop() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
     }
+    this.nodes = [];
+    this.current = null;
+  },
 
-    try {
-      this.client = new CasperClient(network.rpcUrl);
-      this.initialized = true;
-      console.log(`CasperService initialized for ${network.name}`);
-    } catch (error) {
-      console.error('CasperService: Failed to initialize', error);
+  /**
+   * Probe every node for latency and block height, then re-select
+   */
+  async checkHealth() {
+    await Promise.all(this.nodes.map(async (node) => {
+      const started = Date.now();
+      try {
+        const info = await this.withTimeout(node.client.nodeClient.getLatestBlockInfo());
+        node.latency = Date.now() - started;
+        node.height = info?.block?.header?.height ?? null;
+        node.lastError = null;
+        node.healthy = true;
+      } catch (error) {
+        node.latency = null;
+        node.lastError = error.message || String(error);
+        node.healthy = false;
+      }
+      node.lastChecked = Date.now();
+    }));
+
+    // Nodes lagging too far behind the best known height serve stale state
+    const heights = this.nodes.map(n => n.height).filter(h => h !== null);
+    const bestHeight = heights.length ? Math.max(...heights) : null;
+    if (bestHeight !== null) {
+      this.nodes.forEach(node => {
+        if (node.healthy && node.height !== null &&
+            bestHeight - node.height > EctoplasmConfig.rpc.maxBlockLag) {
+          node.healthy = false;
+          node.lastError = `Lagging ${bestHeight - node.height} blocks`;
+        }
+      });
     }
+
+    this.setCurrent(this.select());
   },
 
   /**
-   * Ensure service is initialized
+   * Pick the lowest-latency healthy node, falling back to config order
+   * @returns {Object|null}
    */
-  ensureInit() {
-    if (!this.initialized) {
-      this.init();
+  select() {
+    const healthy = this.nodes.filter(n => n.healthy);
+    if (healthy.length === 0) return this.current || this.nodes[0] || null;
+    return healthy.sort((a, b) =>
+      (a.latency ?? Infinity) - (b.latency ?? Infinity) || a.index - b.index
+    )[0];
+  },
+
+  /**
+   * Switch the active node and notify listeners
+   */
+  setCurrent(node) {
+    const changed = node !== this.current;
+    this.current = node;
+    emitWindowEvent('casper:nodechange', { node: this.getStatus(), changed });
+  },
+
+  /**
+   * Describe the active node for display
+   * @returns {{url: string, host: string, healthy: boolean, latency: number|null, height: number|null}|null}
+   */
+  getStatus() {
+    const node = this.current;
+    if (!node) return null;
+    let host = node.url;
+    try { host = new URL(node.url).host; } catch (e) { /* keep raw url */ }
+    return {
+      url: node.url,
+      host,
+      healthy: node.healthy,
+      latency: node.latency,
+      height: node.height
+    };
+  },
+
+  /**
+   * Run a call against the active node, failing over on node errors
+   * @param {function(CasperClient): Promise<any>} fn - Call to perform
+   * @returns {Promise<any>}
+   */
+  async run(fn) {
+    if (!this.current) {
+      throw new Error('No RPC nodes configured');
     }
-    if (!this.client) {
-      throw new Error('CasperService not initialized. Is casper-js-sdk loaded?');
+
+    // Active node first, then the remaining nodes with healthy ones ahead
+    const others = this.nodes
+      .filter(n => n !== this.current)
+      .sort((a, b) => Number(b.healthy) - Number(a.healthy) || a.index - b.index);
+    const ordered = [this.current, ...others];
+    let lastError = null;
+
+    for (const node of ordered) {
+      try {
+        const result = await this.withTimeout(fn(node.client));
+        if (node !== this.current) this.setCurrent(node);
+        return result;
+      } catch (error) {
+        if (!this.isNodeFailure(error)) throw error;
+        lastError = error;
+        node.healthy = false;
+        node.lastError = error.message || String(error);
+        console.warn(`RpcNodePool: ${node.url} failed, trying next node`, error);
+      }
     }
+
+    throw lastError;
   },
 
-  // ============================================
-  // Token Balance Queries (CEP-18)
-  // ============================================
+  /**
+   * Reject if a node takes longer than the configured request timeout
+   */
+  withTimeout(promise) {
+    const timeout = EctoplasmConfig.rpc.requestTimeout;
+    let timer;
+    return Promise.race([
+      promise,
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`RPC request timed out after ${timeout}ms`)), timeout);
+      })
+    ]).finally(() => clearTimeout(timer));
+  },
 
   /**
-   * Query CEP-18 token balance for an account
-   * @param {string} tokenHash - Contract package hash (e.g., "hash-295f699...")
-   * @param {string} publicKeyHex - Account public key in hex
-   * @returns {Promise<{raw: bigint, formatted: string, decimals: number}>}
+   * Distinguish node/transport failures from JSON-RPC answers.
+   * Missing keys and rejected deploys are valid responses and must not
+   * trigger failover.
    */
-  async getTokenBalance(tokenHash, publicKeyHex) {
-    this.ensureInit();
+  isNodeFailure(error) {
+    if (!error) return false;
+    if (typeof error.code === 'number') return false;
+    const message = error.message || '';
+    if (message.includes('ValueNotFound') || message.includes('Failed to find')) {
+      return false;
+    }
+    return true;
+  }
+};
 
-    if (!tokenHash) {
-      return { raw: BigInt(0), formatted: '0', decimals: 18 };
+/**
+ * QueryCache - Per-block cache for global state reads
+ * Pins one state root per block and caches every read made against it.
+ * State under a given root never changes, so entries live until the
+ * next block. Identical in-flight requests share one promise.
+ */
+const QueryCache = {
+  stateRoot: null,
+  blockHeight: null,
+  fetchedAt: 0,
+  pendingRoot: null,
+  // Bumped by invalidate() so a root fetched before it is not pinned after it
+  generation: 0,
+  entries: new Map(),
+
+  /**
+   * Get the state root of the latest block, pinned for the configured TTL
+   * @returns {Promise<string>}
+   */
+  async getStateRoot() {
+    if (this.stateRoot && Date.now() - this.fetchedAt < EctoplasmConfig.cache.stateRootTtl) {
+      return this.stateRoot;
+    }
+    if (this.pendingRoot) return this.pendingRoot;
+
+    const generation = this.generation;
+    const pending = (async () => {
+      try {
+        const info = await RpcNodePool.run(client => client.nodeClient.getLatestBlockInfo());
+        const header = info?.block?.header;
+        if (!header?.state_root_hash) {
+          throw new Error('Latest block has no state root hash');
+        }
+        if (generation !== this.generation) return header.state_root_hash;
+        this.pinBlock(header.state_root_hash, header.height ?? null);
+        return this.stateRoot;
+      } finally {
+        if (this.pendingRoot === pending) this.pendingRoot = null;
+      }
+    })();
+    this.pendingRoot = pending;
+    return pending;
+  },
+
+  /**
+   * Pin a block's state root, dropping reads cached for older roots
+   */
+  pinBlock(stateRoot, height) {
+    if (stateRoot !== this.stateRoot) {
+      this.entries.clear();
     }
+    this.stateRoot = stateRoot;
+    this.blockHeight = height;
+    this.fetchedAt = Date.now();
+  },
+
+  /**
+   * Return a cached read, or run the loader once and share its promise
+   * @param {string} key - Cache key (must include the state root)
+   * @param {function(): Promise<any>} loader - Performs the read
+   * @returns {Promise<any>}
+   */
+  get(key, loader) {
+    if (this.entries.has(key)) return this.entries.get(key);
 
+    const promise = loader();
+    this.entries.set(key, promise);
+
+    // Missing keys are a stable answer for a root; node failures are not
+    promise.catch(error => {
+      if (RpcNodePool.isNodeFailure(error) && this.entries.get(key) === promise) {
+        this.entries.delete(key);
+      }
+    });
+    return promise;
+  },
+
+  /**
+   * Forget the pinned root and all cached reads
+   */
+  invalidate() {
+    this.stateRoot = null;
+    this.blockHeight = null;
+    this.fetchedAt = 0;
+    this.pendingRoot = null;
+    this.generation++;
+    this.entries.clear();
+  }
+};
+
+/**
+ * TransactionStore - Persistent record of submitted deploys
+ * Every deploy the DEX submits is saved to localStorage with its type,
+ * tokens and amounts, then watched until it succeeds, fails or expires.
+ * Pending entries are resumed on page load, so closing the tab during
+ * confirmation does not lose the outcome. Changes are announced with a
+ * `casper:txupdate` window event.
+ */
+const TransactionStore = {
+  storageKey: 'ectoplasm-transactions',
+  watchers: new Map(),
+
+  /**
+   * Read all stored transactions
+   * @returns {Object[]}
+   */
+  load() {
     try {
-      // Convert public key to account hash
-      const publicKey = CLPublicKey.fromHex(publicKeyHex);
-      const accountHash = publicKey.toAccountHashStr();
+      const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      console.error('Failed to load transactions:', e);
+      return [];
+    }
+  },
 
-      // Get state root hash
-      const stateRootHash = await this.client.nodeClient.getStateRootHash();
+  /**
+   * Persist transactions, keeping only the most recent ones
+   * @param {Object[]} transactions
+   */
+  save(transactions) {
+    try {
+      const recent = transactions
+        .sort((a, b) => b.submittedAt - a.submittedAt)
+        .slice(0, EctoplasmConfig.transactions.maxStored);
+      localStorage.setItem(this.storageKey, JSON.stringify(recent));
+    } catch (e) {
+      console.error('Failed to save transactions:', e);
+    }
+  },
 
-      // CEP-18 stores balances in a dictionary keyed by account hash
-      const balanceKey = accountHash.replace('account-hash-', '');
-      const contractHash = tokenHash.replace('hash-', '');
+  /**
+   * List transactions, newest first
+   * @param {string} [account] - Only return transactions from this public key
+   * @returns {Object[]}
+   */
+  getAll(account) {
+    return this.load()
+      .filter(tx => !account || tx.account === account)
+      .sort((a, b) => b.submittedAt - a.submittedAt);
+  },
 
-      const result = await this.client.nodeClient.getDictionaryItemByName(
-        stateRootHash,
-        contractHash,
-        'balances',
-        balanceKey
-      );
+  /**
+   * Find a transaction by deploy hash
+   * @param {string} deployHash
+   * @returns {Object|null}
+   */
+  get(deployHash) {
+    return this.load().find(tx => tx.deployHash === deployHash) || null;
+  },
 
-      // Parse U256 from CLValue
-      const balance = BigInt(result.CLValue?.data?.toString() || '0');
-      const tokenConfig = EctoplasmConfig.getTokenByHash(tokenHash);
-      const decimals = tokenConfig?.decimals || 18;
+  /**
+   * Record a newly submitted deploy and start watching it
+   * @param {string} deployHash - Deploy hash returned by putDeploy
+   * @param {{type: string, summary: string, tokens?: string[], amounts?: string[]}} details
+   * @returns {Object} Stored transaction
+   */
+  add(deployHash, details) {
+    const now = Date.now();
+    const tx = {
+      deployHash,
+      type: details.type,
+      summary: details.summary,
+      tokens: details.tokens || [],
+      amounts: details.amounts || [],
+      status: 'pending',
+      error: null,
+      account: window.connectedAccount || null,
+      network: EctoplasmConfig.currentNetwork,
+      submittedAt: now,
+      updatedAt: now
+    };
 
-      return {
-        raw: balance,
-        formatted: this.formatTokenAmount(balance, decimals),
-        decimals
-      };
-    } catch (error) {
-      // Balance of 0 returns an error (key not found) in Casper
-      if (error.message?.includes('ValueNotFound') ||
-          error.message?.includes('Failed to find') ||
-          error.code === -32003) {
-        return { raw: BigInt(0), formatted: '0', decimals: 18 };
+    const transactions = this.load().filter(t => t.deployHash !== deployHash);
+    transactions.push(tx);
+    this.save(transactions);
+    this.emit(tx);
+
+    this.track(deployHash);
+    return tx;
+  },
+
+  /**
+   * Patch a stored transaction
+   * @param {string} deployHash
+   * @param {Object} patch - Fields to update
+   * @returns {Object|null} Updated transaction
+   */
+  update(deployHash, patch) {
+    const transactions = this.load();
+    const tx = transactions.find(t => t.deployHash === deployHash);
+    if (!tx) return null;
+
+    Object.assign(tx, patch, { updatedAt: Date.now() });
+    this.save(transactions);
+    this.emit(tx);
+    return tx;
+  },
+
+  /**
+   * Watch a deploy until it executes or expires (one watcher per hash)
+   * @param {string} deployHash
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  track(deployHash) {
+    if (this.watchers.has(deployHash)) return this.watchers.get(deployHash);
+
+    const watcher = (async () => {
+      try {
+        for (;;) {
+          // Deploys on another network are resumed when the user switches back
+          const current = this.get(deployHash);
+          if (current && current.network !== EctoplasmConfig.currentNetwork) {
+            return { success: false, timedOut: true, error: `Submitted on ${current.network}; switch networks to follow it` };
+          }
+
+          const result = await CasperService.waitForDeploy(deployHash);
+          if (!result.timedOut) {
+            this.update(deployHash, {
+              status: result.success ? 'succeeded' : 'failed',
+              error: result.success ? null : result.error
+            });
+            return result;
+          }
+
+          // Still unprocessed; give up once the deploy's TTL has passed
+          const tx = this.get(deployHash);
+          if (!tx || Date.now() - tx.submittedAt > EctoplasmConfig.transactions.expireAfter) {
+            const error = 'Transaction expired without executing';
+            this.update(deployHash, { status: 'failed', error });
+            return { success: false, error };
+          }
+        }
+      } finally {
+        this.watchers.delete(deployHash);
       }
-      console.error('Error fetching token balance:', error);
-      throw error;
-    }
+    })();
+
+    this.watchers.set(deployHash, watcher);
+    return watcher;
   },
 
   /**
-   * Get native CSPR balance
-   * @param {string} publicKeyHex - Account public key in hex
-   * @returns {Promise<{raw: bigint, formatted: string, decimals: number}>}
+   * Wait for a tracked deploy, giving up on the wait (not the tracking) after a timeout
+   * @param {string} deployHash
+   * @param {number} timeoutMs - How long the caller is willing to wait
+   * @returns {Promise<{success: boolean, error?: string, timedOut?: boolean}>}
    */
-  async getNativeBalance(publicKeyHex) {
-    this.ensureInit();
+  wait(deployHash, timeoutMs = 120000) {
+    let timer;
+    return Promise.race([
+      this.track(deployHash),
+      new Promise(resolve => {
+        timer = setTimeout(() => resolve({
+          success: false,
+          timedOut: true,
+          error: 'Still pending; check the transaction tracker for the result'
+        }), timeoutMs);
+      })
+    ]).finally(() => clearTimeout(timer));
+  },
+
+  /**
+   * Resume watching transactions left pending by a previous page load
+   */
+  resume() {
+    this.load()
+      .filter(tx => tx.status === 'pending' && tx.network === EctoplasmConfig.currentNetwork)
+      .forEach(tx => this.track(tx.deployHash));
+  },
+
+  /**
+   * Drop finished transactions, keeping pending ones
+   */
+  clearFinished() {
+    this.save(this.load().filter(tx => tx.status === 'pending'));
+    this.emit(null);
+  },
+
+  /**
+   * Notify listeners that a transaction changed
+   * @param {Object|null} tx - Changed transaction, null for bulk changes
+   */
+  emit(tx) {
+    emitWindowEvent('casper:txupdate', { tx });
+  }
+};
+
+/**
+ * TokenListStore - Versioned token list documents
+ * Fetches the lists in EctoplasmConfig.tokenLists, validates them against
+ * the token list schema (tokenlists/tokenlist.schema.json) and merges the
+ * current network's entries over the built-in tokens from config.js.
+ * When two lists give a symbol to different contracts the higher priority
+ * list wins. The last valid copy of each list is cached in localStorage,
+ * so a list that fails to load, fails validation or goes back a version
+ * does not replace a good one.
+ */
+const TokenListStore = {
+  lists: [],
+  // Built-in token set per network, captured before the first merge
+  builtins: {},
+
+  /**
+   * Fetch every configured list and merge the results into EctoplasmConfig.tokens
+   * @returns {Promise<Object[]>} One entry per source with its list, status and errors
+   */
+  async refresh() {
+    const cache = this.loadCache();
+    this.lists = await Promise.all(
+      EctoplasmConfig.tokenLists.sources.map(source => this.fetchList(source, cache[source.url]))
+    );
+
+    this.lists.forEach(entry => {
+      if (entry.list) cache[entry.url] = entry.list;
+    });
+    this.saveCache(cache);
+
+    this.apply();
+    return this.lists;
+  },
+
+  /**
+   * Fetch and validate one list, falling back to its cached copy
+   * @param {{url: string, priority: number}} source
+   * @param {Object} [cached] - Last valid copy of this list
+   * @returns {Promise<{url: string, priority: number, list: Object|null, status: 'fetched'|'cached'|'invalid'|'unavailable', errors: string[]}>}
+   */
+  async fetchList(source, cached) {
+    let fetched = null;
+    let errors = [];
 
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), EctoplasmConfig.tokenLists.fetchTimeout);
     try {
-      const publicKey = CLPublicKey.fromHex(publicKeyHex);
-      
-      // Use the account hash to query balance via state_get_balance RPC
-      // This is more reliable across Casper network versions
-      const accountHash = publicKey.toAccountHashStr();
-      const stateRootHash = await this.client.nodeClient.getStateRootHash();
-      
-      // Query the account's main purse balance
-      // First, get the account info to find the main purse URef
-      const accountInfo = await this.client.nodeClient.getBlockState(
-        stateRootHash,
-        accountHash,
-        []
-      );
-      
-      // Extract the main purse URef from account info
-      const mainPurse = accountInfo?.Account?.main_purse;
-      if (!mainPurse) {
-        // Account may not exist yet (no balance)
-        return { raw: BigInt(0), formatted: '0', decimals: 9 };
+      const res = await fetch(source.url, { signal: controller.signal, cache: 'no-cache' });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const list = await res.json();
+      errors = this.validate(list);
+      if (errors.length) {
+        console.warn(`Token list ${source.url} failed validation:`, errors);
+      } else {
+        fetched = list;
       }
-      
-      // Query the balance of the main purse
-      const balanceResult = await this.client.nodeClient.getAccountBalance(
-        stateRootHash,
-        mainPurse
-      );
-      
-      // Safely convert balance to BigInt, defaulting to 0 if null/undefined
-      const balance = balanceResult ? BigInt(balanceResult.toString()) : BigInt(0);
-
-      return {
-        raw: balance,
-        formatted: this.formatTokenAmount(balance, 9),
-        decimals: 9
-      };
     } catch (error) {
-      // Handle specific error cases
-      if (error.message?.includes('ValueNotFound') || 
-          error.message?.includes('Failed to find') ||
-          error.message?.includes('query_balance') ||
-          error.code === -32003 ||
-          error.code === -32602) {
-        // Account doesn't exist or has no balance
-        return { raw: BigInt(0), formatted: '0', decimals: 9 };
-      }
-      console.error('Error fetching CSPR balance:', error);
-      return { raw: BigInt(0), formatted: '0', decimals: 9 };
+      console.warn(`Token list ${source.url} unavailable:`, error);
+    } finally {
+      clearTimeout(timer);
     }
+
+    const cachedList = cached && this.validate(cached).length === 0 ? cached : null;
+    if (fetched && cachedList && this.compareVersions(fetched.version, cachedList.version) < 0) {
+      console.warn(`Token list ${source.url} went back to ${this.formatVersion(fetched.version)}; keeping ${this.formatVersion(cachedList.version)}`);
+      return { ...source, list: cachedList, status: 'cached', errors };
+    }
+    if (fetched) return { ...source, list: fetched, status: 'fetched', errors };
+    if (cachedList) return { ...source, list: cachedList, status: 'cached', errors };
+    return { ...source, list: null, status: errors.length ? 'invalid' : 'unavailable', errors };
+  },
+
+  /**
+   * Check a list against the token list schema
+   * @param {Object} list - Parsed list document
+   * @returns {string[]} Problems found (empty when valid)
+   */
+  validate(list) {
+    const errors = [];
+    const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    const isLogo = (value) => typeof value === 'string' && /^(https:\/\/|\/(?!\/)|data:image\/)/.test(value);
+
+    if (!isObject(list)) return ['List must be a JSON object'];
+    if (typeof list.name !== 'string' || list.name.length < 1 || list.name.length > 40) {
+      errors.push('name must be 1-40 characters');
+    }
+    if (!isObject(list.version) || !['major', 'minor', 'patch'].every(part => isCount(list.version[part]))) {
+      errors.push('version must have non-negative integer major, minor and patch');
+    }
+    if (list.logoURI !== undefined && !isLogo(list.logoURI)) {
+      errors.push('logoURI must be an https:, root-relative or data:image URI');
+    }
+    if (!Array.isArray(list.tokens) || list.tokens.length > 1000) {
+      errors.push('tokens must be an array of at most 1000 entries');
+      return errors;
+    }
+
+    const seen = new Set();
+    list.tokens.forEach((token, i) => {
+      const at = `tokens[${i}]`;
+      if (!isObject(token)) {
+        errors.push(`${at} must be an object`);
+        return;
+      }
+      if (typeof token.chainName !== 'string' || !token.chainName) errors.push(`${at}.chainName is required`);
+      if (typeof token.hash !== 'string' || !/^hash-[0-9a-f]{64}$/.test(token.hash)) errors.push(`${at}.hash must be hash- followed by 64 lowercase hex characters`);
+      if (typeof token.symbol !== 'string' || !/^[\x21-\x7e]{1,16}$/.test(token.symbol)) errors.push(`${at}.symbol must be 1-16 printable ASCII characters`);
+      if (typeof token.name !== 'string' || token.name.length < 1 || token.name.length > 60) errors.push(`${at}.name must be 1-60 characters`);
+      if (!Number.isInteger(token.decimals) || token.decimals < 0 || token.decimals > 36) errors.push(`${at}.decimals must be an integer from 0 to 36`);
+      if (token.logoURI !== undefined && !isLogo(token.logoURI)) errors.push(`${at}.logoURI must be an https:, root-relative or data:image URI`);
+      if (token.tags !== undefined && (!Array.isArray(token.tags) || token.tags.length > 10 ||
+          !token.tags.every(tag => typeof tag === 'string' && /^[a-z0-9-]{1,20}$/.test(tag)))) {
+        errors.push(`${at}.tags must be at most 10 lowercase slugs`);
+      }
+
+      // One entry per contract and per symbol on each chain
+      const symbol = typeof token.symbol === 'string' ? token.symbol.toUpperCase() : '';
+      [`hash:${token.chainName}:${token.hash}`, `symbol:${token.chainName}:${symbol}`].forEach(key => {
+        if (seen.has(key)) errors.push(`${at} duplicates an earlier ${key.split(':')[0]} on ${token.chainName}`);
+        seen.add(key);
+      });
+    });
+
+    return errors;
+  },
+
+  /**
+   * Compare two list versions
+   * @returns {number} Negative when a is older than b, 0 when equal, positive when newer
+   */
+  compareVersions(a, b) {
+    return (a.major - b.major) || (a.minor - b.minor) || (a.patch - b.patch);
+  },
+
+  /**
+   * Display a list version (e.g. "v1.2.0")
+   */
+  formatVersion(version) {
+    return `v${version.major}.${version.minor}.${version.patch}`;
+  },
+
+  /**
+   * Merge the loaded lists into the current network's token set
+   * Built-in tokens come first, then lists from highest to lowest priority;
+   * a symbol claimed by a higher priority list is not overridden. Imported
+   * custom tokens are re-applied on top.
+   */
+  apply() {
+    const networkId = EctoplasmConfig.currentNetwork;
+    const network = EctoplasmConfig.getNetwork();
+    const tokens = network.tokens;
+
+    if (!this.builtins[networkId]) {
+      this.builtins[networkId] = Object.fromEntries(
+        Object.entries(tokens)
+          .filter(([, token]) => !token.custom && !token.list)
+          .map(([key, token]) => [key, { ...token }])
+      );
+    }
+
+    const merged = Object.fromEntries(
+      Object.entries(this.builtins[networkId]).map(([key, token]) => [key, { ...token }])
+    );
+    const claimed = new Set();
+    const listedHashes = new Set();
+
+    this.lists
+      .filter(entry => entry.list)
+      .sort((a, b) => b.priority - a.priority)
+      .forEach(({ list }) => {
+        list.tokens
+          .filter(token => token.chainName === network.chainName)
+          .forEach(token => {
+            const key = token.symbol.toUpperCase();
+            if (claimed.has(key) || listedHashes.has(token.hash) || merged[key]?.native) return;
+
+            // A built-in listed under another symbol is renamed, not duplicated
+            Object.keys(merged)
+              .filter(other => other !== key && !claimed.has(other) && merged[other].hash === token.hash)
+              .forEach(other => delete merged[other]);
+
+            const previous = merged[key]?.hash === token.hash ? merged[key] : null;
+            merged[key] = {
+              hash: token.hash,
+              symbol: token.symbol,
+              decimals: token.decimals,
+              name: token.name,
+              icon: token.logoURI || previous?.icon || null,
+              tags: token.tags || [],
+              list: list.name
+            };
+            claimed.add(key);
+            listedHashes.add(token.hash);
+          });
+      });
+
+    Object.keys(tokens).forEach(key => delete tokens[key]);
+    Object.assign(tokens, merged);
+
+    CustomTokenStore.apply(typeof window !== 'undefined' ? window.connectedAccount || null : null);
+  },
+
+  /**
+   * Read the last valid copy of each list, keyed by URL
+   * @returns {Object<string, Object>}
+   */
+  loadCache() {
+    try {
+      const cache = JSON.parse(localStorage.getItem(EctoplasmConfig.tokenLists.cacheKey) || '{}');
+      return cache && typeof cache === 'object' ? cache : {};
+    } catch (e) {
+      return {};
+    }
+  },
+
+  /**
+   * Persist the list cache
+   * @param {Object<string, Object>} cache
+   */
+  saveCache(cache) {
+    try {
+      localStorage.setItem(EctoplasmConfig.tokenLists.cacheKey, JSON.stringify(cache));
+    } catch (e) {
+      console.error('Failed to cache token lists:', e);
+    }
+  }
+};
+
+/**
+ * CustomTokenStore - CEP-18 tokens imported by the user
+ * Imports are saved per account and network in localStorage and merged
+ * into EctoplasmConfig.tokens by apply(), flagged as custom and unverified.
+ * Changes to the merged list are announced with a `casper:tokenschange`
+ * window event.
+ */
+const CustomTokenStore = {
+  storageKey: 'ectoplasm-custom-tokens',
+
+  /**
+   * Read all stored imports
+   * @returns {Object[]}
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      console.error('Failed to load custom tokens:', e);
+      return [];
+    }
+  },
+
+  /**
+   * Persist imports
+   * @param {Object[]} tokens
+   */
+  save(tokens) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(tokens));
+    } catch (e) {
+      console.error('Failed to save custom tokens:', e);
+    }
+  },
+
+  /**
+   * List an account's imports on the current network
+   * @param {string} account - Public key hex
+   * @returns {Object[]}
+   */
+  getAll(account) {
+    if (!account) return [];
+    return this.load().filter(token =>
+      token.account === account && token.network === EctoplasmConfig.currentNetwork
+    );
+  },
+
+  /**
+   * Save an imported token for an account and merge it into the token list
+   * @param {{hash: string, contractHash: string, name: string, symbol: string, decimals: number, totalSupply: bigint}} metadata
+   * @param {string} account - Public key hex
+   * @returns {Object} Token config as merged into EctoplasmConfig.tokens
+   */
+  add(metadata, account) {
+    if (!account) {
+      throw new Error('Connect your wallet to import tokens');
+    }
+
+    const key = metadata.symbol.toUpperCase();
+    const existing = EctoplasmConfig.tokens[key];
+    if (existing && existing.hash === metadata.hash) {
+      throw new Error(`${existing.symbol} is already in your token list`);
+    }
+    if (existing) {
+      // Never let an import shadow a listed token with the same symbol
+      throw new Error(`A different token with the symbol ${existing.symbol} is already listed`);
+    }
+
+    const tokens = this.load().filter(token =>
+      !(token.account === account && token.network === EctoplasmConfig.currentNetwork && token.hash === metadata.hash)
+    );
+    tokens.push({
+      hash: metadata.hash,
+      contractHash: metadata.contractHash,
+      name: metadata.name,
+      symbol: metadata.symbol,
+      decimals: metadata.decimals,
+      totalSupply: metadata.totalSupply.toString(),
+      account,
+      network: EctoplasmConfig.currentNetwork,
+      importedAt: Date.now()
+    });
+    this.save(tokens);
+    this.apply(account);
+    return EctoplasmConfig.tokens[key];
+  },
+
+  /**
+   * Remove an imported token
+   * @param {string} tokenHash - Hash the token was imported with
+   * @param {string} account - Public key hex
+   */
+  remove(tokenHash, account) {
+    this.save(this.load().filter(token =>
+      !(token.account === account && token.network === EctoplasmConfig.currentNetwork && token.hash === tokenHash)
+    ));
+    this.apply(account);
+  },
+
+  /**
+   * Replace the custom entries in EctoplasmConfig.tokens with an account's imports
+   * @param {string|null} account - Public key hex, null removes all imports
+   */
+  apply(account) {
+    const tokens = EctoplasmConfig.tokens;
+    Object.keys(tokens)
+      .filter(key => tokens[key].custom)
+      .forEach(key => delete tokens[key]);
+
+    this.getAll(account).forEach(token => {
+      const key = token.symbol.toUpperCase();
+      if (tokens[key]) return; // A listed token took this symbol since the import
+      tokens[key] = {
+        hash: token.hash,
+        // State reads and approve calls go to the contract; routes use the package
+        contractHash: token.contractHash,
+        symbol: token.symbol,
+        decimals: token.decimals,
+        name: token.name,
+        icon: null,
+        custom: true,
+        verified: false
+      };
+    });
+
+    emitWindowEvent('casper:tokenschange', { account });
+  }
+};
+
+/**
+ * PriceOracle - USD prices derived from pool reserves
+ * The quote token (USDC) is worth $1. Every other token is priced layer by
+ * layer outward from it through the configured pairs: a token's spot price
+ * is the average of the prices implied by each pool against an already
+ * priced token, weighted by that pool's USD liquidity. Spot prices are
+ * sampled over time and reported as a time-weighted average, so a single
+ * swap cannot move the displayed price. CoinGecko prices are kept only as
+ * a reference to flag divergence. Updates are announced with a
+ * `casper:pricesupdate` window event.
+ */
+const PriceOracle = {
+  spot: {},
+  samples: {},
+  references: {},
+  updatedAt: null,
+  refreshTimer: null,
+  pendingRefresh: null,
+
+  /**
+   * Load stored samples and refresh on an interval
+   */
+  start() {
+    this.stop();
+    this.samples = this.loadSamples();
+    this.refresh();
+    this.refreshTimer = setInterval(() => this.refresh(), EctoplasmConfig.prices.refreshInterval);
+  },
+
+  /**
+   * Stop refreshing and forget the current network's prices
+   */
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+    this.spot = {};
+    this.samples = {};
+    this.updatedAt = null;
+    this.pendingRefresh = null;
+  },
+
+  /**
+   * Re-price every token from current reserves and record a sample
+   * Concurrent calls share one refresh
+   * @returns {Promise<Object<string, Object>>} Spot prices by symbol
+   */
+  refresh() {
+    if (this.pendingRefresh) return this.pendingRefresh;
+
+    const pending = (async () => {
+      try {
+        const spot = this.computeSpot(await this.loadPools());
+        if (this.pendingRefresh !== pending) return spot; // Network switched mid-refresh
+
+        this.spot = spot;
+        this.updatedAt = Date.now();
+        this.recordSamples();
+        this.emit();
+        return spot;
+      } catch (error) {
+        console.warn('PriceOracle: refresh failed', error);
+        return this.spot;
+      } finally {
+        if (this.pendingRefresh === pending) this.pendingRefresh = null;
+      }
+    })();
+    this.pendingRefresh = pending;
+    return pending;
+  },
+
+  /**
+   * Read reserves for every configured pair with deployed tokens
+   * @returns {Promise<Array<{symbolA: string, symbolB: string, amountA: number, amountB: number}>>}
+   */
+  async loadPools() {
+    const pools = await Promise.all(
+      Object.keys(EctoplasmConfig.contracts.pairs).map(async (pairName) => {
+        const [symbolA, symbolB] = pairName.split('/');
+        const tokenA = EctoplasmConfig.getToken(symbolA);
+        const tokenB = EctoplasmConfig.getToken(symbolB);
+        const hashA = EctoplasmConfig.getRoutingHash(symbolA);
+        const hashB = EctoplasmConfig.getRoutingHash(symbolB);
+        if (!tokenA || !tokenB || !hashA || !hashB) return null;
+
+        const reserves = await CasperService.getPairReserves(hashA, hashB);
+        if (!reserves.exists || reserves.reserveA === BigInt(0) || reserves.reserveB === BigInt(0)) {
+          return null;
+        }
+        return {
+          symbolA: tokenA.symbol,
+          symbolB: tokenB.symbol,
+          amountA: parseFloat(CasperService.formatTokenAmount(reserves.reserveA, tokenA.decimals)),
+          amountB: parseFloat(CasperService.formatTokenAmount(reserves.reserveB, tokenB.decimals))
+        };
+      })
+    );
+    return pools.filter(Boolean);
+  },
+
+  /**
+   * Price tokens outward from the quote token, one hop per layer
+   * @param {Object[]} pools - Pools from loadPools()
+   * @returns {Object<string, {usd: number, liquidityUsd: number, hops: number, pools: number}>}
+   */
+  computeSpot(pools) {
+    const { quoteSymbol, maxHops, minLiquidityUsd } = EctoplasmConfig.prices;
+    const prices = { [quoteSymbol]: { usd: 1, liquidityUsd: Infinity, hops: 0, pools: 0 } };
+
+    for (let hop = 1; hop <= maxHops; hop++) {
+      const layer = {};
+
+      pools.forEach(pool => {
+        [[pool.symbolA, pool.amountA, pool.symbolB, pool.amountB],
+         [pool.symbolB, pool.amountB, pool.symbolA, pool.amountA]].forEach(([symbol, amount, other, otherAmount]) => {
+          if (prices[symbol] || !prices[other]) return;
+
+          // Both sides of a pool hold equal value, so liquidity is twice the priced side
+          const liquidityUsd = 2 * otherAmount * prices[other].usd;
+          if (liquidityUsd < minLiquidityUsd) return;
+
+          const estimate = otherAmount * prices[other].usd / amount;
+          const entry = layer[symbol] || (layer[symbol] = { weighted: 0, liquidityUsd: 0, pools: 0 });
+          entry.weighted += estimate * liquidityUsd;
+          entry.liquidityUsd += liquidityUsd;
+          entry.pools += 1;
+        });
+      });
+
+      const symbols = Object.keys(layer);
+      if (!symbols.length) break;
+      symbols.forEach(symbol => {
+        const entry = layer[symbol];
+        prices[symbol] = {
+          usd: entry.weighted / entry.liquidityUsd,
+          liquidityUsd: entry.liquidityUsd,
+          hops: hop,
+          pools: entry.pools
+        };
+      });
+    }
+
+    return prices;
+  },
+
+  /**
+   * Append the current spot prices to the sample history
+   */
+  recordSamples() {
+    const now = Date.now();
+    const cutoff = now - EctoplasmConfig.prices.twapWindow;
+
+    Object.entries(this.spot).forEach(([symbol, price]) => {
+      const history = (this.samples[symbol] || []).filter(sample => sample.at >= cutoff);
+      history.push({ at: now, usd: price.usd });
+      this.samples[symbol] = history;
+    });
+    this.saveSamples();
+  },
+
+  /**
+   * Time-weighted average of a token's samples in the window
+   * Each sample counts for as long as it was the latest one
+   * @param {string} symbol
+   * @returns {number|null}
+   */
+  getTwap(symbol) {
+    const cutoff = Date.now() - EctoplasmConfig.prices.twapWindow;
+    const history = (this.samples[symbol] || []).filter(sample => sample.at >= cutoff);
+    if (!history.length) return null;
+    if (history.length === 1) return history[0].usd;
+
+    let weighted = 0;
+    let duration = 0;
+    history.forEach((sample, i) => {
+      const until = i < history.length - 1 ? history[i + 1].at : Date.now();
+      const span = Math.max(until - sample.at, 1);
+      weighted += sample.usd * span;
+      duration += span;
+    });
+    return weighted / duration;
+  },
+
+  /**
+   * USD price of a token
+   * @param {string} symbol - Token symbol
+   * @returns {{usd: number, spot: number, liquidityUsd: number, hops: number, updatedAt: number, reference: number|null, deviation: number|null, diverges: boolean}|null}
+   */
+  getPrice(symbol) {
+    const token = EctoplasmConfig.getToken(symbol);
+    const spot = token && this.spot[token.symbol];
+    if (!spot) return null;
+
+    const usd = this.getTwap(token.symbol) ?? spot.usd;
+    const reference = this.references[token.symbol] ?? null;
+    const deviation = reference ? Math.abs(usd - reference) / reference : null;
+    return {
+      usd,
+      spot: spot.usd,
+      liquidityUsd: spot.liquidityUsd,
+      hops: spot.hops,
+      updatedAt: this.updatedAt,
+      reference,
+      deviation,
+      diverges: deviation !== null && deviation > EctoplasmConfig.prices.maxReferenceDeviation
+    };
+  },
+
+  /**
+   * USD value of an amount of a token
+   * @param {string} symbol - Token symbol
+   * @param {number|string} amount - Human-readable amount
+   * @returns {number|null} Null when the token has no on-chain price
+   */
+  getValue(symbol, amount) {
+    const price = this.getPrice(symbol);
+    const value = parseFloat(amount);
+    if (!price || isNaN(value)) return null;
+    return value * price.usd;
+  },
+
+  /**
+   * USD value of an amount at the off-chain reference price
+   * Only for display where no pool prices the token (e.g. native CSPR, which
+   * has no pools); callers must label it as off-chain
+   * @param {string} symbol - Token symbol
+   * @param {number|string} amount - Human-readable amount
+   * @returns {number|null} Null when no reference price is known
+   */
+  getReferenceValue(symbol, amount) {
+    const token = EctoplasmConfig.getToken(symbol);
+    const reference = token ? this.references[token.symbol] : undefined;
+    const value = parseFloat(amount);
+    if (reference === undefined || isNaN(value)) return null;
+    return value * reference;
+  },
+
+  /**
+   * Record an off-chain price (CoinGecko) to cross-check against
+   * @param {string} symbol - Token symbol
+   * @param {number} usd - Reference USD price
+   */
+  setReferencePrice(symbol, usd) {
+    this.references[symbol] = usd;
+    const price = this.getPrice(symbol);
+    if (price?.diverges) {
+      console.warn(`PriceOracle: ${symbol} pools price $${price.usd.toFixed(4)}, ${(price.deviation * 100).toFixed(1)}% away from reference $${usd}`);
+    }
+    this.emit();
+  },
+
+  /**
+   * Read stored samples for the current network
+   */
+  loadSamples() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(EctoplasmConfig.prices.samplesKey) || '{}');
+      return stored?.[EctoplasmConfig.currentNetwork] || {};
+    } catch (e) {
+      return {};
+    }
+  },
+
+  /**
+   * Persist samples so the average survives page loads
+   */
+  saveSamples() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(EctoplasmConfig.prices.samplesKey) || '{}');
+      stored[EctoplasmConfig.currentNetwork] = this.samples;
+      localStorage.setItem(EctoplasmConfig.prices.samplesKey, JSON.stringify(stored));
+    } catch (e) {
+      console.error('Failed to save price samples:', e);
+    }
+  },
+
+  /**
+   * Notify listeners that prices changed
+   */
+  emit() {
+    emitWindowEvent('casper:pricesupdate', { updatedAt: this.updatedAt });
+  }
+};
+
+/**
+ * FixedPoint - Exact decimal math on BigInt
+ * A fixed-point value is a bigint holding the decimal number scaled by
+ * 10^scale (token amounts are already this, with scale = decimals). Every
+ * operation that drops digits takes an explicit rounding mode, so quote
+ * figures, slippage bounds and shares never pass through a float.
+ */
+const FixedPoint = {
+  ROUND_DOWN: 'down',           // toward zero (truncate)
+  ROUND_UP: 'up',               // away from zero
+  ROUND_HALF_UP: 'half-up',     // nearest, ties away from zero
+  ROUND_HALF_EVEN: 'half-even', // nearest, ties to even
+  powers: [],
+
+  /**
+   * 10^n as a bigint (cached)
+   * @param {number} n - Non-negative exponent
+   * @returns {bigint}
+   */
+  pow10(n) {
+    if (!Number.isInteger(n) || n < 0) {
+      throw new RangeError(`Invalid decimal exponent: ${n}`);
+    }
+    if (this.powers[n] === undefined) {
+      this.powers[n] = BigInt(10) ** BigInt(n);
+    }
+    return this.powers[n];
+  },
+
+  /**
+   * Divide two bigints with an explicit rounding mode
+   * @param {bigint} numerator
+   * @param {bigint} denominator - Non-zero
+   * @param {string} rounding - One of the ROUND_* modes
+   * @returns {bigint}
+   */
+  div(numerator, denominator, rounding = this.ROUND_DOWN) {
+    if (denominator === BigInt(0)) {
+      throw new RangeError('Division by zero');
+    }
+
+    const quotient = numerator / denominator;
+    const remainder = numerator % denominator;
+    if (remainder === BigInt(0)) return quotient;
+
+    const negative = (numerator < BigInt(0)) !== (denominator < BigInt(0));
+    const away = negative ? quotient - BigInt(1) : quotient + BigInt(1);
+    const absRem = remainder < BigInt(0) ? -remainder : remainder;
+    const absDen = denominator < BigInt(0) ? -denominator : denominator;
+    const twice = absRem * BigInt(2);
+
+    switch (rounding) {
+      case this.ROUND_DOWN:
+        return quotient;
+      case this.ROUND_UP:
+        return away;
+      case this.ROUND_HALF_UP:
+        return twice >= absDen ? away : quotient;
+      case this.ROUND_HALF_EVEN:
+        if (twice === absDen) return quotient % BigInt(2) === BigInt(0) ? quotient : away;
+        return twice > absDen ? away : quotient;
+      default:
+        throw new Error(`Unknown rounding mode: ${rounding}`);
+    }
+  },
+
+  /**
+   * a * b / c without intermediate precision loss
+   * @returns {bigint}
+   */
+  mulDiv(a, b, c, rounding = this.ROUND_DOWN) {
+    return this.div(a * b, c, rounding);
+  },
+
+  /**
+   * Move a value from one scale to another
+   * @param {bigint} value - Value scaled by 10^fromScale
+   * @param {number} fromScale
+   * @param {number} toScale
+   * @param {string} rounding - Applied when digits are dropped
+   * @returns {bigint} Value scaled by 10^toScale
+   */
+  rescale(value, fromScale, toScale, rounding = this.ROUND_DOWN) {
+    if (toScale >= fromScale) return value * this.pow10(toScale - fromScale);
+    return this.div(value, this.pow10(fromScale - toScale), rounding);
+  },
+
+  /**
+   * Parse a decimal string or number into a fixed-point bigint
+   * Numbers go through their shortest round-trip string, so 0.1 parses
+   * as exactly 1/10 and 1e-7 is understood.
+   * @param {string|number|bigint} value - e.g. "12.5", 0.5, "1e-7"
+   * @param {number} scale - Decimal places kept
+   * @param {string} rounding - Applied to digits beyond scale
+   * @returns {bigint} value * 10^scale
+   */
+  parse(value, scale, rounding = this.ROUND_DOWN) {
+    if (typeof value === 'bigint') return value * this.pow10(scale);
+    if (typeof value === 'number' && !Number.isFinite(value)) {
+      throw new Error(`Invalid decimal: ${value}`);
+    }
+
+    const str = String(value ?? '').trim();
+    const match = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(str);
+    if (!match || (!match[2] && !match[3] && str !== '')) {
+      throw new Error(`Invalid decimal: ${value}`);
+    }
+
+    const [, sign, intDigits = '', fracDigits = '', exponent = '0'] = match;
+    const digits = BigInt((intDigits + fracDigits) || '0');
+    const valueScale = fracDigits.length - parseInt(exponent, 10);
+    const magnitude = valueScale >= 0
+      ? this.rescale(digits, valueScale, scale, rounding)
+      : this.rescale(digits * this.pow10(-valueScale), 0, scale, rounding);
+
+    return sign === '-' ? -magnitude : magnitude;
+  },
+
+  /**
+   * Format a fixed-point bigint as a decimal string
+   * @param {bigint} value - Value scaled by 10^scale
+   * @param {number} scale - Scale of value
+   * @param {number} places - Decimal places shown
+   * @param {Object} [options]
+   * @param {string} [options.rounding] - Applied to digits beyond places
+   * @param {boolean} [options.trim] - Drop trailing zeros (and a bare point)
+   * @returns {string}
+   */
+  format(value, scale, places, { rounding = this.ROUND_DOWN, trim = false } = {}) {
+    const shown = this.rescale(value, scale, places, rounding);
+    const negative = shown < BigInt(0);
+    const digits = (negative ? -shown : shown).toString().padStart(places + 1, '0');
+
+    const intPart = digits.slice(0, digits.length - places);
+    let fracPart = digits.slice(digits.length - places);
+    if (trim) fracPart = fracPart.replace(/0+$/, '');
+
+    const body = fracPart ? `${intPart}.${fracPart}` : intPart;
+    return negative ? `-${body}` : body;
+  },
+
+  /**
+   * Reduce an amount by a percentage, rounding down
+   * Used for minimum outputs, so the bound never exceeds the exact value.
+   * @param {bigint} amount
+   * @param {number|string} percent - e.g. 0.5 for 0.5%
+   * @returns {bigint}
+   */
+  minusPercent(amount, percent) {
+    const scale = 18;
+    const whole = this.pow10(scale + 2);
+    return this.mulDiv(amount, whole - this.parse(percent, scale, this.ROUND_UP), whole, this.ROUND_DOWN);
+  },
+
+  /**
+   * Increase an amount by a percentage, rounding up
+   * Used for maximum inputs, so the bound never falls below the exact value.
+   * @param {bigint} amount
+   * @param {number|string} percent - e.g. 0.5 for 0.5%
+   * @returns {bigint}
+   */
+  plusPercent(amount, percent) {
+    const scale = 18;
+    const whole = this.pow10(scale + 2);
+    return this.mulDiv(amount, whole + this.parse(percent, scale, this.ROUND_UP), whole, this.ROUND_UP);
+  }
+};
+
+/**
+ * OrderBook - Limit and conditional orders resting in the browser
+ * Orders are saved per account and network in localStorage. While a page
+ * is open, check() re-quotes every open order against the pools and
+ * triggers those whose condition is met. Orders the user approved for
+ * automatic execution are submitted straight away when the wallet can
+ * sign without a prompt; all others are marked 'triggered' and wait for
+ * the user to confirm. Changes are announced with a `casper:orderupdate`
+ * window event. Finished orders (filled, cancelled, expired) are kept as
+ * history.
+ *
+ * Prices are quoted as tokenOut per tokenIn. Order types:
+ * - 'limit': fills once the quoted rate is at or above the limit, with the
+ *   limit itself as the amount_out_min / amount_in_max bound. A 'sell'
+ *   order spends a fixed amount of tokenIn, a 'buy' order receives a fixed
+ *   amount of tokenOut.
+ * - 'stop': sells once the pool spot price falls to the stop price. With
+ *   trailPercent set the stop follows the highest price seen, trailing it
+ *   by that percentage, and never moves down.
+ * - 'take-profit': sells once the pool spot price rises to the target.
+ * Stop and take-profit orders watch the reserve-derived spot price of the
+ * route (not the order's own execution price) and execute as market sells
+ * bounded by the order's slippage tolerance.
+ */
+const OrderBook = {
+  pollTimer: null,
+  pendingCheck: null,
+
+  /**
+   * Read all stored orders
+   * @returns {Object[]}
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(EctoplasmConfig.orders.storageKey) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      console.error('Failed to load orders:', e);
+      return [];
+    }
+  },
+
+  /**
+   * Persist orders, keeping every active order and the most recent finished ones
+   * @param {Object[]} orders
+   */
+  save(orders) {
+    try {
+      const active = orders.filter(order => this.isActive(order));
+      const history = orders
+        .filter(order => !this.isActive(order))
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(0, EctoplasmConfig.orders.maxHistory);
+      localStorage.setItem(EctoplasmConfig.orders.storageKey, JSON.stringify(active.concat(history)));
+    } catch (e) {
+      console.error('Failed to save orders:', e);
+    }
+  },
+
+  /**
+   * Whether an order can still fill
+   * @param {Object} order
+   * @returns {boolean}
+   */
+  isActive(order) {
+    return ['open', 'triggered', 'executing', 'submitted'].includes(order.status);
+  },
+
+  /**
+   * List an account's orders on the current network, newest first
+   * @param {string} account - Public key hex
+   * @returns {Object[]}
+   */
+  getAll(account) {
+    if (!account) return [];
+    return this.load()
+      .filter(order => order.account === account && order.network === EctoplasmConfig.currentNetwork)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  },
+
+  /**
+   * Find an order by id
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.load().find(order => order.id === id) || null;
+  },
+
+  /**
+   * Patch a stored order
+   * @param {string} id
+   * @param {Object} patch - Fields to update
+   * @returns {Object|null} Updated order
+   */
+  update(id, patch) {
+    const orders = this.load();
+    const order = orders.find(o => o.id === id);
+    if (!order) return null;
+
+    Object.assign(order, patch, { updatedAt: Date.now() });
+    this.save(orders);
+    this.emit(order);
+    return order;
+  },
+
+  /**
+   * Place an order for an account
+   * @param {Object} params
+   * @param {'limit'|'stop'|'take-profit'} [params.type] - Order type
+   * @param {'sell'|'buy'} params.side - Fix the amount sold or the amount bought (stop and take-profit always sell)
+   * @param {string} params.tokenIn - Symbol sold
+   * @param {string} params.tokenOut - Symbol bought
+   * @param {string} params.amount - Human-readable size (tokenIn for sell, tokenOut for buy)
+   * @param {string} params.price - Limit, stop or target price in tokenOut per tokenIn
+   *                                (optional for trailing stops, which start from the spot price)
+   * @param {string} [params.trailPercent] - Trailing distance for stop orders, e.g. "5" for 5%
+   * @param {number} [params.slippage] - Tolerance for stop and take-profit execution, in percent
+   * @param {number} [params.expiresAt] - Expiry timestamp
+   * @param {boolean} [params.autoSign] - Execute without asking when the wallet allows it
+   * @param {string} account - Public key hex
+   * @returns {Object} Stored order
+   */
+  create({
+    type = 'limit',
+    side,
+    tokenIn,
+    tokenOut,
+    amount,
+    price,
+    trailPercent = null,
+    slippage = EctoplasmConfig.swap.defaultSlippage,
+    expiresAt,
+    autoSign = false
+  }, account) {
+    if (!account) {
+      throw new Error('Connect your wallet to place orders');
+    }
+    if (!['limit', 'stop', 'take-profit'].includes(type)) {
+      throw new Error(`Unknown order type: ${type}`);
+    }
+    if (side !== 'sell' && side !== 'buy') {
+      throw new Error(`Unknown order side: ${side}`);
+    }
+    if (type !== 'limit' && side !== 'sell') {
+      throw new Error('Stop and take-profit orders sell a fixed amount');
+    }
+
+    const tokenA = EctoplasmConfig.getToken(tokenIn);
+    const tokenB = EctoplasmConfig.getToken(tokenOut);
+    if (!tokenA || !tokenB) {
+      throw new Error(`Invalid token: ${tokenIn} or ${tokenOut}`);
+    }
+    if (tokenA.symbol === tokenB.symbol) {
+      throw new Error('Choose two different tokens');
+    }
+
+    const trailing = type === 'stop' && trailPercent !== null && trailPercent !== '';
+    const sized = side === 'sell' ? tokenA : tokenB;
+    let amountRaw;
+    let priceScaled;
+    let trail = null;
+    try {
+      amountRaw = FixedPoint.parse(amount, sized.decimals);
+      priceScaled = FixedPoint.parse(price || '0', 18);
+      if (trailing) trail = FixedPoint.parse(trailPercent, 2);
+    } catch (error) {
+      throw new Error('Enter a valid amount and price');
+    }
+    if (amountRaw <= BigInt(0)) throw new Error('Order size must be greater than zero');
+    if (priceScaled <= BigInt(0) && !trailing) throw new Error('Price must be greater than zero');
+    if (trailing && (trail <= BigInt(0) || trail >= FixedPoint.pow10(4))) {
+      throw new Error('Trailing distance must be between 0% and 100%');
+    }
+    if (!(slippage >= 0 && slippage <= EctoplasmConfig.swap.maxSlippage)) {
+      throw new Error(`Slippage must be between 0% and ${EctoplasmConfig.swap.maxSlippage}%`);
+    }
+
+    const now = Date.now();
+    const expiry = expiresAt || now + EctoplasmConfig.orders.defaultExpiry;
+    if (expiry <= now) throw new Error('Expiry must be in the future');
+
+    const order = {
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      side,
+      tokenIn: tokenA.symbol,
+      tokenOut: tokenB.symbol,
+      amount: FixedPoint.format(amountRaw, sized.decimals, sized.decimals, { trim: true }),
+      price: FixedPoint.format(priceScaled, 18, 18, { trim: true }),
+      trailPercent: trailing ? FixedPoint.format(trail, 2, 2, { trim: true }) : null,
+      peakPrice: null,
+      slippage,
+      autoSign: !!autoSign,
+      status: 'open',
+      lastRate: null,
+      deployHash: null,
+      error: null,
+      triggeredAt: null,
+      account,
+      network: EctoplasmConfig.currentNetwork,
+      createdAt: now,
+      expiresAt: expiry,
+      updatedAt: now
+    };
+
+    const orders = this.load();
+    orders.push(order);
+    this.save(orders);
+    this.emit(order);
+    this.check();
+    return order;
+  },
+
+  /**
+   * Cancel an order that has not been submitted yet
+   * @param {string} id
+   * @returns {Object|null} Updated order
+   */
+  cancel(id) {
+    const order = this.get(id);
+    if (!order) return null;
+    if (order.status === 'executing' || order.status === 'submitted') {
+      throw new Error('This order is already being executed');
+    }
+    if (!this.isActive(order)) return order;
+    return this.update(id, { status: 'cancelled' });
+  },
+
+  /**
+   * Quote an order against current reserves
+   * @param {Object} order
+   * @returns {Promise<{quote: SwapQuote, bound: bigint, met: boolean, rate: string, patch: Object}|null>}
+   *          Null when it cannot be quoted. patch holds trailing stop changes to store.
+   */
+  async evaluate(order) {
+    const tokenIn = EctoplasmConfig.getToken(order.tokenIn);
+    const tokenOut = EctoplasmConfig.getToken(order.tokenOut);
+    if (!tokenIn || !tokenOut) return null;
+
+    const quote = order.side === 'sell'
+      ? await CasperService.getSwapQuote(order.tokenIn, order.tokenOut, order.amount)
+      : await CasperService.getSwapQuoteExactOut(order.tokenIn, order.tokenOut, order.amount);
+    if (!quote.valid || quote.demo) return null;
+
+    const price = FixedPoint.parse(order.price, 18);
+
+    if (order.type === 'stop' || order.type === 'take-profit') {
+      const spot = this.getSpotPrice(quote.hops, tokenIn, tokenOut);
+      const rate = FixedPoint.format(spot, 18, 6, { rounding: FixedPoint.ROUND_HALF_UP });
+      const bound = FixedPoint.minusPercent(quote.amountOutRaw, order.slippage);
+
+      if (order.type === 'take-profit') {
+        return { quote, bound, met: spot >= price, rate, patch: {} };
+      }
+
+      // Trailing stops ratchet up behind the highest spot price seen
+      let stop = price;
+      const patch = {};
+      if (order.trailPercent) {
+        const previousPeak = order.peakPrice ? FixedPoint.parse(order.peakPrice, 18) : BigInt(0);
+        const peak = spot > previousPeak ? spot : previousPeak;
+        const trailed = FixedPoint.minusPercent(peak, order.trailPercent);
+        if (trailed > stop) stop = trailed;
+        if (peak !== previousPeak) patch.peakPrice = FixedPoint.format(peak, 18, 18, { trim: true });
+        if (stop !== price) patch.price = FixedPoint.format(stop, 18, 18, { trim: true });
+      }
+      return { quote, bound, met: spot <= stop, rate, patch };
+    }
+
+    if (order.side === 'sell') {
+      // Least output that honours the limit, rounded in the order's favour
+      const bound = FixedPoint.mulDiv(
+        quote.amountInRaw * FixedPoint.pow10(tokenOut.decimals),
+        price,
+        FixedPoint.pow10(tokenIn.decimals + 18),
+        FixedPoint.ROUND_UP
+      );
+      return { quote, bound, met: quote.amountOutRaw >= bound, rate: quote.rate, patch: {} };
+    }
+
+    // Most input that honours the limit
+    const bound = FixedPoint.mulDiv(
+      quote.amountOutRaw * FixedPoint.pow10(tokenIn.decimals),
+      FixedPoint.pow10(18),
+      price * FixedPoint.pow10(tokenOut.decimals),
+      FixedPoint.ROUND_DOWN
+    );
+    return { quote, bound, met: quote.amountInRaw <= bound, rate: quote.rate, patch: {} };
+  },
+
+  /**
+   * Spot price of a route from its pool reserves, before fees and impact
+   * @param {Object[]} hops - Per-hop reserves (from getPairReserves via quoteRoute)
+   * @param {Object} tokenIn - Token config of the first hop's input
+   * @param {Object} tokenOut - Token config of the last hop's output
+   * @returns {bigint} tokenOut per tokenIn, scaled by 10^18
+   */
+  getSpotPrice(hops, tokenIn, tokenOut) {
+    const reservesOut = hops.reduce((product, hop) => product * hop.reserveOut, BigInt(1));
+    const reservesIn = hops.reduce((product, hop) => product * hop.reserveIn, BigInt(1));
+    if (reservesIn <= BigInt(0)) return BigInt(0);
+
+    return FixedPoint.mulDiv(
+      reservesOut * FixedPoint.pow10(tokenIn.decimals),
+      FixedPoint.pow10(18),
+      reservesIn * FixedPoint.pow10(tokenOut.decimals)
+    );
+  },
+
+  /**
+   * Whether the connected wallet can sign without showing a prompt
+   * Adapters opt in with canSignUnattended(); none of the built-in wallets do
+   * @returns {boolean}
+   */
+  canAutoSign() {
+    const wallet = typeof WalletRegistry !== 'undefined' ? WalletRegistry.get(window.connectedWallet) : null;
+    return typeof wallet?.canSignUnattended === 'function' && !!wallet.canSignUnattended();
+  },
+
+  /**
+   * Start re-quoting open orders on an interval
+   */
+  start() {
+    this.stop();
+    this.check();
+    this.pollTimer = setInterval(() => this.check(), EctoplasmConfig.orders.pollInterval);
+  },
+
+  /**
+   * Stop re-quoting
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  },
+
+  /**
+   * Expire, re-quote and trigger the connected account's orders
+   * Concurrent calls share one pass
+   * @returns {Promise<void>}
+   */
+  check() {
+    if (this.pendingCheck) return this.pendingCheck;
+
+    const pending = (async () => {
+      try {
+        const account = window.connectedAccount;
+        if (!account || !CasperService.initialized) return;
+
+        const now = Date.now();
+        for (const order of this.getAll(account)) {
+          if (order.status === 'submitted') {
+            this.settle(TransactionStore.get(order.deployHash));
+            continue;
+          }
+          if (order.status === 'executing' && now - order.updatedAt > EctoplasmConfig.orders.executionTimeout) {
+            // The page closed while signing; let the user decide whether to retry
+            this.update(order.id, {
+              status: 'triggered',
+              error: 'Execution was interrupted. Check your recent transactions before retrying.'
+            });
+            continue;
+          }
+          if (order.status !== 'open' && order.status !== 'triggered') continue;
+
+          if (order.expiresAt <= now) {
+            this.update(order.id, { status: 'expired' });
+            continue;
+          }
+
+          let result;
+          try {
+            result = await this.evaluate(order);
+          } catch (error) {
+            console.warn(`OrderBook: could not quote order ${order.id}`, error);
+            continue;
+          }
+          if (!result) continue;
+
+          // The user may have cancelled the order while it was being quoted
+          const current = this.get(order.id);
+          if (!current || (current.status !== 'open' && current.status !== 'triggered')) continue;
+
+          const lastRate = result.rate;
+          if (!result.met) {
+            if (current.status === 'triggered' || current.lastRate !== lastRate || Object.keys(result.patch).length) {
+              this.update(order.id, { ...result.patch, status: 'open', lastRate });
+            }
+          } else if (current.status === 'open' && current.autoSign && this.canAutoSign()) {
+            this.update(order.id, { ...result.patch, lastRate, triggeredAt: current.triggeredAt || Date.now() });
+            try {
+              await this.execute(order.id);
+            } catch (error) {
+              console.warn(`OrderBook: automatic execution of ${order.id} failed`, error);
+            }
+          } else if (current.status !== 'triggered') {
+            this.update(order.id, {
+              ...result.patch,
+              status: 'triggered',
+              lastRate,
+              error: null,
+              triggeredAt: current.triggeredAt || Date.now()
+            });
+          }
+        }
+      } finally {
+        // Yield so `pending` is assigned even when the pass returns without awaiting
+        await null;
+        if (this.pendingCheck === pending) this.pendingCheck = null;
+      }
+    })();
+    this.pendingCheck = pending;
+    return pending;
+  },
+
+  /**
+   * Re-quote an order and submit its swap if the limit is still met
+   * The order is marked 'executing' first, so another tab or a second
+   * click cannot submit it twice
+   * @param {string} id
+   * @returns {Promise<string|null>} Deploy hash, null when the price moved away
+   */
+  async execute(id) {
+    const order = this.get(id);
+    if (!order || (order.status !== 'open' && order.status !== 'triggered')) {
+      throw new Error('This order is no longer open');
+    }
+    if (order.account !== window.connectedAccount) {
+      throw new Error('This order belongs to another account');
+    }
+    if (order.expiresAt <= Date.now()) {
+      this.update(id, { status: 'expired' });
+      return null;
+    }
+
+    this.update(id, { status: 'executing', error: null });
+    try {
+      const result = await this.evaluate(order);
+      if (!result || !result.met) {
+        this.update(id, { ...result?.patch, status: 'open', lastRate: result?.rate ?? order.lastRate });
+        return null;
+      }
+
+      // The order's limit is the on-chain bound, so any price within it is accepted
+      const options = { confirmDrift: () => true };
+      const deployHash = order.side === 'sell'
+        ? await CasperService.executeSwap({ ...result.quote, amountOutMinRaw: result.bound }, undefined, options)
+        : await CasperService.executeSwapExactOut({ ...result.quote, amountInMaxRaw: result.bound }, undefined, options);
+
+      this.update(id, {
+        ...result.patch,
+        status: 'submitted',
+        deployHash,
+        lastRate: result.rate,
+        triggeredAt: order.triggeredAt || Date.now()
+      });
+      return deployHash;
+    } catch (error) {
+      this.update(id, { status: 'triggered', error: error.message });
+      throw error;
+    }
+  },
+
+  /**
+   * Settle submitted orders from their transaction's outcome
+   * A swap that failed on-chain (usually the price moved before it ran)
+   * goes back to resting until it expires
+   * @param {Object|null} tx - Transaction from a casper:txupdate event
+   */
+  settle(tx) {
+    if (!tx || tx.status === 'pending') return;
+
+    const order = this.load().find(o => o.status === 'submitted' && o.deployHash === tx.deployHash);
+    if (!order) return;
+
+    if (tx.status === 'succeeded') {
+      this.update(order.id, { status: 'filled', filledAt: Date.now() });
+    } else {
+      this.update(order.id, {
+        status: order.expiresAt <= Date.now() ? 'expired' : 'open',
+        deployHash: null,
+        error: tx.error || 'Swap failed'
+      });
+    }
+  },
+
+  /**
+   * Drop an account's finished orders on the current network
+   * @param {string} account - Public key hex
+   */
+  clearHistory(account) {
+    this.save(this.load().filter(order =>
+      this.isActive(order) || order.account !== account || order.network !== EctoplasmConfig.currentNetwork
+    ));
+    this.emit(null);
+  },
+
+  /**
+   * Notify listeners that an order changed
+   * @param {Object|null} order - Changed order, null for bulk changes
+   */
+  emit(order) {
+    emitWindowEvent('casper:orderupdate', { order });
+  }
+};
+
+/**
+ * OrderScheduler - Recurring (DCA) and time-sliced (TWAP) swaps
+ * - 'dca' buys with a fixed amount of tokenIn every interval until the
+ *   budget is spent (the last buy takes whatever is left)
+ * - 'twap' splits one amount into N equal slices spread evenly over a
+ *   window (the last slice takes the rounding remainder)
+ * Each slice is quoted with CasperService.getSwapQuote and submitted with
+ * executeSwap under the schedule's own slippage limit. Schedules can be
+ * paused and resumed, and keep a log of every slice. Runs missed while no
+ * page was open are not bunched up: the next slice runs one interval later.
+ *
+ * The scheduler only needs timers, localStorage and CasperService, so it
+ * runs in any open Ectoplasm tab or headless (scripts/headless-scheduler.js).
+ * Changes are announced with a `casper:scheduleupdate` window event.
+ */
+const OrderScheduler = {
+  pollTimer: null,
+  txListener: null,
+  pendingTick: null,
+
+  /**
+   * Read all stored schedules
+   * @returns {Object[]}
+   */
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(EctoplasmConfig.schedules.storageKey) || '[]');
+      return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      console.error('Failed to load schedules:', e);
+      return [];
+    }
+  },
+
+  /**
+   * Persist schedules
+   * @param {Object[]} schedules
+   */
+  save(schedules) {
+    try {
+      localStorage.setItem(EctoplasmConfig.schedules.storageKey, JSON.stringify(schedules));
+    } catch (e) {
+      console.error('Failed to save schedules:', e);
+    }
+  },
+
+  /**
+   * List an account's schedules on the current network, newest first
+   * @param {string} account - Public key hex
+   * @returns {Object[]}
+   */
+  getAll(account) {
+    if (!account) return [];
+    return this.load()
+      .filter(schedule => schedule.account === account && schedule.network === EctoplasmConfig.currentNetwork)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  },
+
+  /**
+   * Find a schedule by id
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.load().find(schedule => schedule.id === id) || null;
+  },
+
+  /**
+   * Patch a stored schedule, optionally appending a log entry
+   * @param {string} id
+   * @param {Object} patch - Fields to update
+   * @param {Object} [entry] - Log entry ({status, amountIn, deployHash, error, ...})
+   * @returns {Object|null} Updated schedule
+   */
+  update(id, patch, entry = null) {
+    const schedules = this.load();
+    const schedule = schedules.find(s => s.id === id);
+    if (!schedule) return null;
+
+    Object.assign(schedule, patch, { updatedAt: Date.now() });
+    if (entry) {
+      schedule.log = [{ at: Date.now(), ...entry }]
+        .concat(schedule.log || [])
+        .slice(0, EctoplasmConfig.schedules.maxLogEntries);
+    }
+    this.save(schedules);
+    this.emit(schedule);
+    return schedule;
+  },
+
+  /**
+   * Create a DCA or TWAP schedule for an account
+   * @param {Object} params
+   * @param {'dca'|'twap'} params.kind
+   * @param {string} params.tokenIn - Symbol spent
+   * @param {string} params.tokenOut - Symbol bought
+   * @param {string} params.amount - DCA: amount per buy; TWAP: total amount (tokenIn, human-readable)
+   * @param {string} [params.budget] - DCA: total to spend across all buys
+   * @param {number} [params.interval] - DCA: milliseconds between buys
+   * @param {number} [params.slices] - TWAP: number of slices
+   * @param {number} [params.duration] - TWAP: milliseconds the slices are spread over
+   * @param {number} params.slippage - Slippage limit for every slice, in percent
+   * @param {number} [params.startAt] - First run, defaults to now
+   * @param {string} account - Public key hex
+   * @returns {Object} Stored schedule
+   */
+  create({ kind, tokenIn, tokenOut, amount, budget, interval, slices, duration, slippage, startAt }, account) {
+    if (!account) {
+      throw new Error('Connect your wallet to schedule orders');
+    }
+    if (kind !== 'dca' && kind !== 'twap') {
+      throw new Error(`Unknown schedule type: ${kind}`);
+    }
+
+    const tokenA = EctoplasmConfig.getToken(tokenIn);
+    const tokenB = EctoplasmConfig.getToken(tokenOut);
+    if (!tokenA || !tokenB) {
+      throw new Error(`Invalid token: ${tokenIn} or ${tokenOut}`);
+    }
+    if (tokenA.symbol === tokenB.symbol) {
+      throw new Error('Choose two different tokens');
+    }
+    if (!(slippage >= 0 && slippage <= EctoplasmConfig.swap.maxSlippage)) {
+      throw new Error(`Slippage must be between 0% and ${EctoplasmConfig.swap.maxSlippage}%`);
+    }
+
+    let amountRaw;
+    let totalRaw;
+    try {
+      amountRaw = FixedPoint.parse(amount, tokenA.decimals);
+      totalRaw = kind === 'dca' ? FixedPoint.parse(budget, tokenA.decimals) : amountRaw;
+    } catch (error) {
+      throw new Error('Enter valid amounts');
+    }
+    if (amountRaw <= BigInt(0) || totalRaw <= BigInt(0)) {
+      throw new Error('Amounts must be greater than zero');
+    }
+
+    let sliceCount;
+    let every;
+    if (kind === 'dca') {
+      if (totalRaw < amountRaw) throw new Error('Budget must cover at least one buy');
+      every = interval;
+      sliceCount = null;
+    } else {
+      sliceCount = slices;
+      if (!Number.isInteger(sliceCount) || sliceCount < 2) throw new Error('Split into at least 2 slices');
+      if (BigInt(sliceCount) > amountRaw) throw new Error('Amount is too small for that many slices');
+      every = Math.floor(duration / sliceCount);
+    }
+    if (!(every >= EctoplasmConfig.schedules.minInterval)) {
+      throw new Error(`Slices must be at least ${EctoplasmConfig.schedules.minInterval / 60000} minutes apart`);
+    }
+
+    const now = Date.now();
+    const schedule = {
+      id: `${now.toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+      kind,
+      tokenIn: tokenA.symbol,
+      tokenOut: tokenB.symbol,
+      decimals: tokenA.decimals,
+      sliceRaw: (kind === 'dca' ? amountRaw : totalRaw / BigInt(sliceCount)).toString(),
+      totalRaw: totalRaw.toString(),
+      spentRaw: '0',
+      slices: sliceCount,
+      slicesDone: 0,
+      interval: every,
+      slippage,
+      status: 'active',
+      nextRunAt: Math.max(startAt || now, now),
+      account,
+      network: EctoplasmConfig.currentNetwork,
+      log: [],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const schedules = this.load();
+    schedules.push(schedule);
+    this.save(schedules);
+    this.emit(schedule);
+    this.tick();
+    return schedule;
+  },
+
+  /**
+   * Amount of tokenIn the next slice spends
+   * @param {Object} schedule
+   * @returns {bigint} Zero once the schedule has nothing left to spend
+   */
+  getNextSlice(schedule) {
+    const remaining = BigInt(schedule.totalRaw) - BigInt(schedule.spentRaw);
+    if (remaining <= BigInt(0)) return BigInt(0);
+
+    if (schedule.kind === 'twap' && schedule.slicesDone >= schedule.slices - 1) {
+      return remaining; // Last slice picks up the division remainder
+    }
+    const slice = BigInt(schedule.sliceRaw);
+    return slice < remaining ? slice : remaining;
+  },
+
+  /**
+   * Pause an active schedule
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  pause(id) {
+    const schedule = this.get(id);
+    if (!schedule || schedule.status !== 'active') return schedule;
+    return this.update(id, { status: 'paused' }, { status: 'paused' });
+  },
+
+  /**
+   * Resume a paused schedule; a run that fell due while paused happens on the next tick
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  resume(id) {
+    const schedule = this.get(id);
+    if (!schedule || schedule.status !== 'paused') return schedule;
+    const updated = this.update(id, { status: 'active', nextRunAt: Math.max(schedule.nextRunAt, Date.now()) }, { status: 'resumed' });
+    this.tick();
+    return updated;
+  },
+
+  /**
+   * Stop a schedule for good
+   * @param {string} id
+   * @returns {Object|null}
+   */
+  cancel(id) {
+    const schedule = this.get(id);
+    if (!schedule || schedule.status === 'completed' || schedule.status === 'cancelled') return schedule;
+    if (schedule.status === 'executing') {
+      throw new Error('A slice is being signed; cancel once it has been submitted');
+    }
+    return this.update(id, { status: 'cancelled' }, { status: 'cancelled' });
+  },
+
+  /**
+   * Remove a finished schedule and its log
+   * @param {string} id
+   */
+  remove(id) {
+    this.save(this.load().filter(schedule =>
+      schedule.id !== id || schedule.status === 'active' || schedule.status === 'paused' || schedule.status === 'executing'
+    ));
+    this.emit(null);
+  },
+
+  /**
+   * Start running due slices on an interval
+   */
+  start() {
+    this.stop();
+    // Settle slices here rather than in the page, so a headless runner
+    // hands back slices that failed on-chain too (tick() also polls)
+    if (typeof window !== 'undefined' && typeof window.addEventListener === 'function') {
+      this.txListener = (e) => this.settle(e.detail.tx);
+      window.addEventListener('casper:txupdate', this.txListener);
+    }
+    this.tick();
+    this.pollTimer = setInterval(() => this.tick(), EctoplasmConfig.schedules.pollInterval);
+  },
+
+  /**
+   * Stop running slices
+   */
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+    if (this.txListener) {
+      window.removeEventListener('casper:txupdate', this.txListener);
+      this.txListener = null;
+    }
+  },
+
+  /**
+   * Run every due slice of the connected account's schedules
+   * Concurrent calls share one pass
+   * @returns {Promise<void>}
+   */
+  tick() {
+    if (this.pendingTick) return this.pendingTick;
+
+    const pending = (async () => {
+      try {
+        const account = window.connectedAccount;
+        if (!account || !CasperService.initialized) return;
+
+        const now = Date.now();
+        for (const schedule of this.getAll(account)) {
+          // Catch outcomes whose txupdate event was missed (e.g. another tab tracked them)
+          (schedule.log || [])
+            .filter(entry => entry.status === 'submitted' && !entry.settled)
+            .forEach(entry => this.settle(TransactionStore.get(entry.deployHash)));
+
+          if (schedule.status === 'executing' && now - schedule.updatedAt > EctoplasmConfig.schedules.executionTimeout) {
+            this.update(schedule.id, { status: 'active', nextRunAt: now }, {
+              status: 'failed',
+              error: 'Signing was interrupted. Check your recent transactions; the slice will be retried.'
+            });
+            continue;
+          }
+          if (schedule.status === 'active' && schedule.nextRunAt <= now) {
+            await this.runSlice(schedule.id);
+          }
+        }
+      } finally {
+        // Yield so `pending` is assigned even when the pass returns without awaiting
+        await null;
+        if (this.pendingTick === pending) this.pendingTick = null;
+      }
+    })();
+    this.pendingTick = pending;
+    return pending;
+  },
+
+  /**
+   * Quote and submit a schedule's next slice
+   * The schedule is marked 'executing' first, so another tab cannot run
+   * the same slice. A slice that cannot be quoted or submitted is logged
+   * and retried after EctoplasmConfig.schedules.retryDelay.
+   * @param {string} id
+   * @returns {Promise<string|null>} Deploy hash
+   */
+  async runSlice(id) {
+    const schedule = this.get(id);
+    if (!schedule || schedule.status !== 'active') return null;
+    if (schedule.account !== window.connectedAccount) return null;
+
+    const sliceRaw = this.getNextSlice(schedule);
+    if (sliceRaw <= BigInt(0)) {
+      this.update(id, { status: 'completed' }, { status: 'completed' });
+      return null;
+    }
+
+    const amountIn = FixedPoint.format(sliceRaw, schedule.decimals, schedule.decimals, { trim: true });
+    const retry = (error) => this.update(
+      id,
+      { status: 'active', nextRunAt: Date.now() + EctoplasmConfig.schedules.retryDelay },
+      { status: 'failed', amountIn, error }
+    );
+
+    this.update(id, { status: 'executing' });
+    try {
+      const quote = await CasperService.getSwapQuote(schedule.tokenIn, schedule.tokenOut, amountIn);
+      if (!quote.valid) {
+        retry(quote.error || 'No quote');
+        return null;
+      }
+      if (quote.demo) {
+        retry('Token contracts are not deployed on this network');
+        return null;
+      }
+
+      const deployHash = await CasperService.executeSwap(quote, schedule.slippage);
+
+      const now = Date.now();
+      const next = schedule.nextRunAt + schedule.interval;
+      const spentRaw = BigInt(schedule.spentRaw) + sliceRaw;
+      const slicesDone = schedule.slicesDone + 1;
+      const done = spentRaw >= BigInt(schedule.totalRaw);
+      this.update(id, {
+        status: done ? 'completed' : 'active',
+        spentRaw: spentRaw.toString(),
+        slicesDone,
+        nextRunAt: next > now ? next : now + schedule.interval
+      }, {
+        status: 'submitted',
+        amountIn,
+        amountInRaw: sliceRaw.toString(),
+        quotedOut: quote.amountOut,
+        deployHash
+      });
+      return deployHash;
+    } catch (error) {
+      retry(error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Record the outcome of a submitted slice
+   * A slice that failed on-chain is handed back, so it is spent again later
+   * @param {Object|null} tx - Transaction from a casper:txupdate event
+   */
+  settle(tx) {
+    if (!tx || tx.status === 'pending') return;
+
+    const isOpen = entry => entry.status === 'submitted' && !entry.settled && entry.deployHash === tx.deployHash;
+    const schedules = this.load();
+    const schedule = schedules.find(s => (s.log || []).some(isOpen));
+    if (!schedule) return;
+
+    // Flag the submission first so a repeated event is not counted twice
+    const entry = schedule.log.find(isOpen);
+    entry.settled = true;
+    this.save(schedules);
+
+    if (tx.status === 'succeeded') {
+      this.update(schedule.id, {}, { status: 'filled', amountIn: entry.amountIn, deployHash: tx.deployHash });
+      return;
+    }
+
+    const spentRaw = BigInt(schedule.spentRaw) - BigInt(entry.amountInRaw);
+    this.update(schedule.id, {
+      spentRaw: (spentRaw > BigInt(0) ? spentRaw : BigInt(0)).toString(),
+      slicesDone: Math.max(0, schedule.slicesDone - 1),
+      status: schedule.status === 'completed' ? 'active' : schedule.status
+    }, { status: 'failed', amountIn: entry.amountIn, deployHash: tx.deployHash, error: tx.error || 'Swap failed' });
+  },
+
+  /**
+   * Notify listeners that a schedule changed
+   * @param {Object|null} schedule - Changed schedule, null for bulk changes
+   */
+  emit(schedule) {
+    emitWindowEvent('casper:scheduleupdate', { schedule });
+  }
+};
+
+/**
+ * CasperService - Blockchain interaction module for Ectoplasm DEX
+ * Handles all Casper Network interactions including:
+ * - Token balance queries (CEP-18)
+ * - Custom token import (CEP-18 metadata)
+ * - Pair reserves queries
+ * - Swap quote calculations
+ * - Transaction building and signing
+ * - Gas estimation via speculative execution
+ * - Adding and removing liquidity
+ * - Live state refresh from the node event stream
+ */
+const CasperService = {
+  initialized: false,
+  speculativeUnsupported: false,
+  speculativeClient: null,
+  eventSource: null,
+  pendingChange: null,
+  pendingChangeTimer: null,
+  // Largest CEP-18 amount, approved in 'unlimited' approval mode
+  maxU256: (BigInt(1) << BigInt(256)) - BigInt(1),
+
+  /**
+   * Initialize the RPC node pool for the current network
+   */
+  init() {
+    if (this.initialized) return;
+
+    const network = EctoplasmConfig.getNetwork();
+
+    // Check if casper-js-sdk is loaded
+    if (typeof CasperClient === 'undefined') {
+      console.warn('CasperService: casper-js-sdk not loaded yet');
+      return;
+    }
+
+    try {
+      RpcNodePool.init(network.rpcUrls);
+      this.initialized = true;
+      console.log(`CasperService initialized for ${network.name}`);
+      TransactionStore.resume();
+      this.startEventStream();
+    } catch (error) {
+      console.error('CasperService: Failed to initialize', error);
+    }
+  },
+
+  /**
+   * Switch to another network and re-initialize against its nodes
+   * Drops cached state and the event stream of the old network, then
+   * announces the change with a `casper:networkchange` window event.
+   * @param {string} networkId - Key of EctoplasmConfig.networks
+   */
+  switchNetwork(networkId) {
+    if (networkId === EctoplasmConfig.currentNetwork && this.initialized) return;
+
+    EctoplasmConfig.setNetwork(networkId);
+
+    this.stopEventStream();
+    RpcNodePool.stop();
+    QueryCache.invalidate();
+    this.initialized = false;
+    this.speculativeUnsupported = false;
+    this.init();
+
+    emitWindowEvent('casper:networkchange', { network: networkId, name: EctoplasmConfig.getNetwork().name });
+  },
+
+  /**
+   * Ensure service is initialized
+   */
+  ensureInit() {
+    if (!this.initialized) {
+      this.init();
+    }
+    if (!RpcNodePool.current) {
+      throw new Error('CasperService not initialized. Is casper-js-sdk loaded?');
+    }
+  },
+
+  /**
+   * Call a JSON-RPC method on the active node via the node pool
+   * @param {string} method - CasperServiceByJsonRPC method name
+   * @param {...any} args - Method arguments
+   * @returns {Promise<any>}
+   */
+  nodeCall(method, ...args) {
+    return RpcNodePool.run(client => {
+      if (typeof client.nodeClient[method] !== 'function') {
+        // Same code a node returns for unknown methods, so callers can fall back
+        const error = new Error(`RPC method ${method} is not supported by casper-js-sdk`);
+        error.code = -32601;
+        throw error;
+      }
+      return client.nodeClient[method](...args);
+    });
+  },
+
+  /**
+   * Submit a signed deploy via the node pool
+   * @param {Object} signedDeploy - Signed deploy
+   * @returns {Promise<string>} Deploy hash
+   */
+  putDeploy(signedDeploy) {
+    return RpcNodePool.run(client => client.putDeploy(signedDeploy));
+  },
+
+  /**
+   * State root of the latest block, shared by all reads until the next block
+   * @returns {Promise<string>}
+   */
+  getStateRootHash() {
+    return QueryCache.getStateRoot();
+  },
+
+  /**
+   * Cached node read against a specific state root
+   * @param {string} method - CasperServiceByJsonRPC method taking the root first
+   * @param {string} stateRootHash - State root the read is pinned to
+   * @param {...any} args - Remaining method arguments
+   * @returns {Promise<any>}
+   */
+  stateQuery(method, stateRootHash, ...args) {
+    const key = JSON.stringify([method, stateRootHash, ...args]);
+    return QueryCache.get(key, () => this.nodeCall(method, stateRootHash, ...args));
+  },
+
+  // ============================================
+  // Token Balance Queries (CEP-18)
+  // ============================================
+
+  /**
+   * Contract hash to read a token's state from and call it at
+   * Tokens imported by package hash carry the package's current contract in
+   * contractHash; named keys and dictionaries live on that contract, not on
+   * the package. Other hashes are used as they are.
+   * @param {string} tokenHash - Token hash as listed (package or contract)
+   * @returns {string} Hex contract hash without the "hash-" prefix
+   */
+  getTokenContractHash(tokenHash) {
+    const token = EctoplasmConfig.getTokenByHash(tokenHash);
+    return (token?.contractHash || tokenHash).replace('hash-', '');
+  },
+
+  /**
+   * Query CEP-18 token balance for an account
+   * @param {string} tokenHash - Contract package hash (e.g., "hash-295f699...")
+   * @param {string} publicKeyHex - Account public key in hex
+   * @returns {Promise<{raw: bigint, formatted: string, decimals: number}>}
+   */
+  async getTokenBalance(tokenHash, publicKeyHex) {
+    this.ensureInit();
+
+    if (!tokenHash) {
+      return { raw: BigInt(0), formatted: '0', decimals: 18 };
+    }
+
+    try {
+      // Convert public key to account hash
+      const publicKey = CLPublicKey.fromHex(publicKeyHex);
+      const accountHash = publicKey.toAccountHashStr();
+
+      // Get state root hash
+      const stateRootHash = await this.getStateRootHash();
+
+      // CEP-18 stores balances in a dictionary keyed by account hash
+      const balanceKey = accountHash.replace('account-hash-', '');
+      const contractHash = this.getTokenContractHash(tokenHash);
+
+      const result = await this.stateQuery('getDictionaryItemByName',
+        stateRootHash,
+        contractHash,
+        'balances',
+        balanceKey
+      );
+
+      // Parse U256 from CLValue
+      const balance = BigInt(result.CLValue?.data?.toString() || '0');
+      const tokenConfig = EctoplasmConfig.getTokenByHash(tokenHash);
+      const decimals = tokenConfig?.decimals || 18;
+
+      return {
+        raw: balance,
+        formatted: this.formatTokenAmount(balance, decimals),
+        decimals
+      };
+    } catch (error) {
+      // Balance of 0 returns an error (key not found) in Casper
+      if (error.message?.includes('ValueNotFound') ||
+          error.message?.includes('Failed to find') ||
+          error.code === -32003) {
+        return { raw: BigInt(0), formatted: '0', decimals: 18 };
+      }
+      console.error('Error fetching token balance:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Get native CSPR balance
+   * @param {string} publicKeyHex - Account public key in hex
+   * @returns {Promise<{raw: bigint, formatted: string, decimals: number}>}
+   */
+  async getNativeBalance(publicKeyHex) {
+    this.ensureInit();
+
+    try {
+      const publicKey = CLPublicKey.fromHex(publicKeyHex);
+      
+      // Use the account hash to query balance via state_get_balance RPC
+      // This is more reliable across Casper network versions
+      const accountHash = publicKey.toAccountHashStr();
+      const stateRootHash = await this.getStateRootHash();
+      
+      // Query the account's main purse balance
+      // First, get the account info to find the main purse URef
+      const accountInfo = await this.stateQuery('getBlockState',
+        stateRootHash,
+        accountHash,
+        []
+      );
+      
+      // Extract the main purse URef from account info
+      const mainPurse = accountInfo?.Account?.main_purse;
+      if (!mainPurse) {
+        // Account may not exist yet (no balance)
+        return { raw: BigInt(0), formatted: '0', decimals: 9 };
+      }
+      
+      // Query the balance of the main purse
+      const balanceResult = await this.stateQuery('getAccountBalance',
+        stateRootHash,
+        mainPurse
+      );
+      
+      // Safely convert balance to BigInt, defaulting to 0 if null/undefined
+      const balance = balanceResult ? BigInt(balanceResult.toString()) : BigInt(0);
+
+      return {
+        raw: balance,
+        formatted: this.formatTokenAmount(balance, 9),
+        decimals: 9
+      };
+    } catch (error) {
+      // Handle specific error cases
+      if (error.message?.includes('ValueNotFound') || 
+          error.message?.includes('Failed to find') ||
+          error.message?.includes('query_balance') ||
+          error.code === -32003 ||
+          error.code === -32602) {
+        // Account doesn't exist or has no balance
+        return { raw: BigInt(0), formatted: '0', decimals: 9 };
+      }
+      console.error('Error fetching CSPR balance:', error);
+      return { raw: BigInt(0), formatted: '0', decimals: 9 };
+    }
+  },
+
+  /**
+   * Get all configured token balances for connected wallet
+   * @returns {Promise<Object>} Map of symbol -> balance info
+   */
+  async getAllBalances() {
+    if (!window.connectedAccount) {
+      throw new Error('Wallet not connected');
+    }
+
+    const balances = {};
+    const tokens = EctoplasmConfig.tokens;
+
+    // Fetch all CEP-18 token balances in parallel
+    const tokenPromises = Object.entries(tokens)
+      .filter(([_, config]) => config.hash) // Only tokens with deployed contracts
+      .map(async ([symbol, config]) => {
+        try {
+          const balance = await this.getTokenBalance(config.hash, window.connectedAccount);
+          return [symbol, balance];
+        } catch (e) {
+          console.warn(`Failed to fetch ${symbol} balance:`, e);
+          return [symbol, { raw: BigInt(0), formatted: '0', decimals: config.decimals }];
+        }
+      });
+
+    // Native CSPR balance is fetched alongside, against the same pinned root
+    const [results, nativeBalance] = await Promise.all([
+      Promise.all(tokenPromises),
+      this.getNativeBalance(window.connectedAccount)
+    ]);
+    results.forEach(([symbol, balance]) => {
+      balances[symbol] = balance;
+    });
+
+    balances.CSPR = nativeBalance;
+
+    return balances;
+  },
+
+  // ============================================
+  // Pair Reserves Queries
+  // ============================================
+
+  /**
+   * Get pair contract address from Factory
+   * @param {string} tokenA - First token contract hash
+   * @param {string} tokenB - Second token contract hash
+   * @returns {Promise<string|null>} Pair contract hash or null
+   */
+  async getPairAddress(tokenA, tokenB) {
+    this.ensureInit();
+
+    // Pairs listed in config are known up front, skip the Factory lookup
+    const configuredPair = this.getConfiguredPairAddress(tokenA, tokenB);
+    if (configuredPair) return configuredPair;
+
+    try {
+      const factoryHash = EctoplasmConfig.contracts.factory;
+      const stateRootHash = await this.getStateRootHash();
+
+      // Factory stores pairs in a mapping: (token0, token1) -> pair_address
+      // Tokens must be sorted (smaller hash first)
+      const [token0, token1] = this.sortTokens(tokenA, tokenB);
+
+      // Build the dictionary key (format may vary by implementation)
+      const pairKey = `${token0.replace('hash-', '')}_${token1.replace('hash-', '')}`;
+
+      const result = await this.stateQuery('getDictionaryItemByName',
+        stateRootHash,
+        factoryHash.replace('hash-', ''),
+        'pairs',
+        pairKey
+      );
+
+      return result?.CLValue?.data || null;
+    } catch (error) {
+      if (error.message?.includes('ValueNotFound') || error.message?.includes('Failed to find')) {
+        return null; // Pair doesn't exist
+      }
+      console.error('Error fetching pair address:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Look up a pair contract in EctoplasmConfig.contracts.pairs
+   * @param {string} tokenA - First token contract hash
+   * @param {string} tokenB - Second token contract hash
+   * @returns {string|null} Pair contract hash or null if not configured
+   */
+  getConfiguredPairAddress(tokenA, tokenB) {
+    const symbolA = EctoplasmConfig.getTokenByHash(tokenA)?.symbol;
+    const symbolB = EctoplasmConfig.getTokenByHash(tokenB)?.symbol;
+    if (!symbolA || !symbolB) return null;
+
+    const pairs = EctoplasmConfig.contracts.pairs;
+    return pairs[`${symbolA}/${symbolB}`] || pairs[`${symbolB}/${symbolA}`] || null;
+  },
+
+  /**
+   * Get reserves from a Pair contract
+   * @param {string} tokenAHash - First token contract hash
+   * @param {string} tokenBHash - Second token contract hash
+   * @returns {Promise<{reserveA: bigint, reserveB: bigint, exists: boolean}>}
+   */
+  async getPairReserves(tokenAHash, tokenBHash) {
+    this.ensureInit();
+
+    try {
+      // First, get the pair address from Factory
+      const pairAddress = await this.getPairAddress(tokenAHash, tokenBHash);
+
+      if (!pairAddress) {
+        return { reserveA: BigInt(0), reserveB: BigInt(0), exists: false };
+      }
+
+      const stateRootHash = await this.getStateRootHash();
+
+      // Query pair contract's reserve values against the same root
+      const [reserve0, reserve1] = await Promise.all([
+        this.queryContractNamedKey(pairAddress, 'reserve0', stateRootHash),
+        this.queryContractNamedKey(pairAddress, 'reserve1', stateRootHash)
+      ]);
+
+      // Sort tokens to match pair order (token0 < token1)
+      const [token0] = this.sortTokens(tokenAHash, tokenBHash);
+
+      // Map reserves back to input order
+      if (tokenAHash === token0) {
+        return {
+          reserveA: BigInt(reserve0 || 0),
+          reserveB: BigInt(reserve1 || 0),
+          exists: true
+        };
+      } else {
+        return {
+          reserveA: BigInt(reserve1 || 0),
+          reserveB: BigInt(reserve0 || 0),
+          exists: true
+        };
+      }
+    } catch (error) {
+      console.error('Error fetching pair reserves:', error);
+      return { reserveA: BigInt(0), reserveB: BigInt(0), exists: false };
+    }
+  },
+
+  /**
+   * Query a named key from a contract
+   */
+  async queryContractNamedKey(contractHash, keyName, stateRootHash) {
+    try {
+      const result = await this.stateQuery('getBlockState',
+        stateRootHash || await this.getStateRootHash(),
+        `hash-${contractHash.replace('hash-', '')}`,
+        [keyName]
+      );
+      return result?.CLValue?.data?.toString();
+    } catch (error) {
+      console.warn(`Failed to query ${keyName}:`, error);
+      return null;
+    }
+  },
+
+  // ============================================
+  // Custom Tokens (CEP-18 import)
+  // ============================================
+
+  /**
+   * Read and validate a CEP-18 token's metadata
+   * Accepts a contract package hash (resolved to its latest enabled
+   * version) or a contract hash.
+   * @param {string} tokenHash - "hash-..." or bare 64-character hex
+   * @returns {Promise<{hash: string, contractHash: string, name: string, symbol: string, decimals: number, totalSupply: bigint, totalSupplyFormatted: string}>}
+   */
+  async fetchTokenMetadata(tokenHash) {
+    this.ensureInit();
+
+    const hex = (tokenHash || '').trim().replace(/^(hash-|contract-package-|contract-)/, '');
+    if (!/^[0-9a-f]{64}$/i.test(hex)) {
+      throw new Error('Enter a 64-character contract package hash (hash-…)');
+    }
+    const hash = `hash-${hex.toLowerCase()}`;
+    const stateRootHash = await this.getStateRootHash();
+
+    let stored = await this.getStoredValue(hash, stateRootHash);
+    let contractHash = hash;
+
+    const contractPackage = stored?.ContractPackage;
+    if (contractPackage) {
+      contractHash = this.getLatestContractHash(contractPackage);
+      if (!contractHash) {
+        throw new Error('This contract package has no enabled versions');
+      }
+      stored = await this.getStoredValue(contractHash, stateRootHash);
+    }
+
+    const contract = stored?.Contract;
+    if (!contract) {
+      throw new Error('No contract found at this hash');
+    }
+
+    // CEP-18 keeps its metadata and balance dictionaries under fixed named keys
+    const namedKeys = (contract.namedKeys || contract.named_keys || []).map(k => k.name);
+    const missingKeys = ['name', 'symbol', 'decimals', 'total_supply', 'balances', 'allowances']
+      .filter(name => !namedKeys.includes(name));
+    const entryPoints = (contract.entrypoints || contract.entry_points || []).map(e => e.name);
+    const missingEntryPoints = entryPoints.length
+      ? ['transfer', 'transfer_from', 'approve'].filter(name => !entryPoints.includes(name))
+      : [];
+    const missing = [...missingKeys, ...missingEntryPoints];
+    if (missing.length) {
+      throw new Error(`Not a CEP-18 token (missing ${missing.join(', ')})`);
+    }
+
+    const [name, symbol, decimals, totalSupply] = await Promise.all(
+      ['name', 'symbol', 'decimals', 'total_supply']
+        .map(key => this.queryContractNamedKey(contractHash, key, stateRootHash))
+    );
+
+    const decimalCount = parseInt(decimals, 10);
+    if (!symbol || !/^[\x21-\x7e]{1,16}$/.test(symbol)) {
+      throw new Error('Token symbol is missing or invalid');
+    }
+    if (!Number.isInteger(decimalCount) || decimalCount < 0 || decimalCount > 36) {
+      throw new Error('Token decimals are missing or invalid');
+    }
+
+    const supply = BigInt(totalSupply || '0');
+    return {
+      hash,
+      contractHash,
+      name: name || symbol,
+      symbol,
+      decimals: decimalCount,
+      totalSupply: supply,
+      totalSupplyFormatted: this.formatTokenAmount(supply, decimalCount)
+    };
+  },
+
+  /**
+   * Import a CEP-18 token into the connected account's token list
+   * @param {string} tokenHash - Contract package hash
+   * @returns {Promise<Object>} Token config as merged into EctoplasmConfig.tokens
+   */
+  async importToken(tokenHash) {
+    if (!window.connectedAccount) {
+      throw new Error('Connect your wallet to import tokens');
+    }
+    const metadata = await this.fetchTokenMetadata(tokenHash);
+    return CustomTokenStore.add(metadata, window.connectedAccount);
+  },
+
+  /**
+   * Read a stored value from global state, treating a missing key as null
+   */
+  async getStoredValue(key, stateRootHash) {
+    try {
+      return await this.stateQuery('getBlockState', stateRootHash, key, []);
+    } catch (error) {
+      if (RpcNodePool.isNodeFailure(error)) throw error;
+      return null;
+    }
+  },
+
+  /**
+   * Contract hash of a package's newest enabled version
+   * @param {Object} contractPackage - Stored ContractPackage value
+   * @returns {string|null} "hash-..." contract hash
+   */
+  getLatestContractHash(contractPackage) {
+    const versionId = (v) => `${v.protocolVersionMajor ?? v.protocol_version_major}-${v.contractVersion ?? v.contract_version}`;
+    const disabled = new Set(
+      (contractPackage.disabledVersions || contractPackage.disabled_versions || []).map(versionId)
+    );
+    const enabled = (contractPackage.versions || [])
+      .filter(v => !disabled.has(versionId(v)))
+      .sort((a, b) =>
+        (a.protocolVersionMajor ?? a.protocol_version_major) - (b.protocolVersionMajor ?? b.protocol_version_major) ||
+        (a.contractVersion ?? a.contract_version) - (b.contractVersion ?? b.contract_version)
+      );
+    const latest = enabled[enabled.length - 1];
+    const contractHash = latest?.contractHash || latest?.contract_hash;
+    return contractHash ? `hash-${contractHash.replace(/^(contract-|hash-)/, '')}` : null;
+  },
+
+  /**
+   * Sort token addresses (smaller hash first, matching Pair contract logic)
+   */
+  sortTokens(tokenA, tokenB) {
+    const hashA = tokenA.replace('hash-', '').toLowerCase();
+    const hashB = tokenB.replace('hash-', '').toLowerCase();
+    return hashA < hashB ? [tokenA, tokenB] : [tokenB, tokenA];
+  },
+
+  // ============================================
+  // Routing (Multi-hop)
+  // ============================================
+
+  /**
+   * Build an undirected token graph from the configured trading pairs
+   * Only tokens with deployed contracts are included
+   * @returns {Object<string, string[]>} Map of symbol -> neighbouring symbols
+   */
+  buildTokenGraph() {
+    const graph = {};
+
+    Object.keys(EctoplasmConfig.contracts.pairs).forEach((pairName) => {
+      const [symbolA, symbolB] = pairName.split('/');
+      if (!EctoplasmConfig.getRoutingHash(symbolA) || !EctoplasmConfig.getRoutingHash(symbolB)) {
+        return;
+      }
+      (graph[symbolA] = graph[symbolA] || []).push(symbolB);
+      (graph[symbolB] = graph[symbolB] || []).push(symbolA);
+    });
+
+    return graph;
+  },
+
+  /**
+   * Enumerate candidate routes between two tokens
+   * The direct path is always included since the Factory may know pairs
+   * that are not listed in config
+   * @param {string} tokenInSymbol - Input token symbol
+   * @param {string} tokenOutSymbol - Output token symbol
+   * @param {number} maxHops - Longest route to consider
+   * @returns {string[][]} Routes as lists of token symbols
+   */
+  findRoutes(tokenInSymbol, tokenOutSymbol, maxHops = EctoplasmConfig.swap.maxHops) {
+    const from = tokenInSymbol.toUpperCase();
+    const to = tokenOutSymbol.toUpperCase();
+    const graph = this.buildTokenGraph();
+    const routes = [];
+
+    const walk = (route) => {
+      const current = route[route.length - 1];
+      if (current === to) {
+        routes.push(route);
+        return;
+      }
+      if (route.length > maxHops) return;
+
+      (graph[current] || []).forEach((next) => {
+        if (!route.includes(next)) walk([...route, next]);
+      });
+    };
+    walk([from]);
+
+    if (!routes.some(route => route.length === 2)) {
+      routes.unshift([from, to]);
+    }
+
+    return routes;
+  },
+
+  /**
+   * Quote an exact input amount along a route by chaining getAmountOut per hop
+   * @param {string[]} route - Token symbols from input to output
+   * @param {bigint} amountInRaw - Input amount (in smallest unit)
+   * @param {Map} reserveCache - Shared reserve lookups for the current quote
+   * @returns {Promise<{route: string[], amountOutRaw: bigint, hops: Object[]}|null>} Null if any hop lacks liquidity
+   */
+  async quoteRoute(route, amountInRaw, reserveCache = new Map()) {
+    const hops = [];
+    let amount = amountInRaw;
+
+    for (let i = 0; i < route.length - 1; i++) {
+      const tokenInHash = EctoplasmConfig.getRoutingHash(route[i]);
+      const tokenOutHash = EctoplasmConfig.getRoutingHash(route[i + 1]);
+      if (!tokenInHash || !tokenOutHash) return null;
+
+      const cacheKey = `${tokenInHash}>${tokenOutHash}`;
+      if (!reserveCache.has(cacheKey)) {
+        reserveCache.set(cacheKey, this.getPairReserves(tokenInHash, tokenOutHash));
+      }
+      const reserves = await reserveCache.get(cacheKey);
+      if (!reserves.exists) return null;
+
+      const amountOut = this.getAmountOut(amount, reserves.reserveA, reserves.reserveB);
+      if (amountOut <= BigInt(0)) return null;
+
+      hops.push({
+        tokenIn: route[i],
+        tokenOut: route[i + 1],
+        reserveIn: reserves.reserveA,
+        reserveOut: reserves.reserveB,
+        amountIn: amount,
+        amountOut
+      });
+      amount = amountOut;
+    }
+
+    return { route, amountOutRaw: amount, hops };
+  },
+
+  /**
+   * Find the route with the highest output for an exact input amount
+   * @param {string} tokenInSymbol - Input token symbol
+   * @param {string} tokenOutSymbol - Output token symbol
+   * @param {bigint} amountInRaw - Input amount (in smallest unit)
+   * @returns {Promise<Object|null>} Best route quote or null if no route has liquidity
+   */
+  async findBestRoute(tokenInSymbol, tokenOutSymbol, amountInRaw) {
+    const routes = this.findRoutes(tokenInSymbol, tokenOutSymbol);
+    const reserveCache = new Map();
+
+    const quotes = await Promise.all(
+      routes.map(route => this.quoteRoute(route, amountInRaw, reserveCache))
+    );
+
+    return quotes
+      .filter(Boolean)
+      .reduce((best, quote) => (!best || quote.amountOutRaw > best.amountOutRaw ? quote : best), null);
+  },
+
+  /**
+   * Quote an exact output amount along a route by chaining getAmountIn backwards
+   * @param {string[]} route - Token symbols from input to output
+   * @param {bigint} amountOutRaw - Desired output amount (in smallest unit)
+   * @param {Map} reserveCache - Shared reserve lookups for the current quote
+   * @returns {Promise<{route: string[], amountInRaw: bigint, amountOutRaw: bigint, hops: Object[]}|null>} Null if any hop lacks liquidity
+   */
+  async quoteRouteExactOut(route, amountOutRaw, reserveCache = new Map()) {
+    const hops = [];
+    let amount = amountOutRaw;
+
+    for (let i = route.length - 1; i > 0; i--) {
+      const tokenInHash = EctoplasmConfig.getRoutingHash(route[i - 1]);
+      const tokenOutHash = EctoplasmConfig.getRoutingHash(route[i]);
+      if (!tokenInHash || !tokenOutHash) return null;
+
+      const cacheKey = `${tokenInHash}>${tokenOutHash}`;
+      if (!reserveCache.has(cacheKey)) {
+        reserveCache.set(cacheKey, this.getPairReserves(tokenInHash, tokenOutHash));
+      }
+      const reserves = await reserveCache.get(cacheKey);
+      if (!reserves.exists) return null;
+
+      // getAmountIn returns 0 when the hop cannot supply the requested amount
+      const amountIn = this.getAmountIn(amount, reserves.reserveA, reserves.reserveB);
+      if (amountIn <= BigInt(0)) return null;
+
+      hops.unshift({
+        tokenIn: route[i - 1],
+        tokenOut: route[i],
+        reserveIn: reserves.reserveA,
+        reserveOut: reserves.reserveB,
+        amountIn,
+        amountOut: amount
+      });
+      amount = amountIn;
+    }
+
+    return { route, amountInRaw: amount, amountOutRaw, hops };
+  },
+
+  /**
+   * Find the route needing the smallest input for an exact output amount
+   * @param {string} tokenInSymbol - Input token symbol
+   * @param {string} tokenOutSymbol - Output token symbol
+   * @param {bigint} amountOutRaw - Desired output amount (in smallest unit)
+   * @returns {Promise<Object|null>} Best route quote or null if no route has liquidity
+   */
+  async findBestRouteExactOut(tokenInSymbol, tokenOutSymbol, amountOutRaw) {
+    const routes = this.findRoutes(tokenInSymbol, tokenOutSymbol);
+    const reserveCache = new Map();
+
+    const quotes = await Promise.all(
+      routes.map(route => this.quoteRouteExactOut(route, amountOutRaw, reserveCache))
+    );
+
+    return quotes
+      .filter(Boolean)
+      .reduce((best, quote) => (!best || quote.amountInRaw < best.amountInRaw ? quote : best), null);
+  },
+
+  // ============================================
+  // Swap Quote Calculations (Local)
+  // ============================================
+
+  /**
+   * Calculate output amount for a swap using AMM formula
+   * Implements: amount_out = (amount_in * 997 * reserve_out) / (reserve_in * 1000 + amount_in * 997)
+   * @param {bigint} amountIn - Input amount (in smallest unit)
+   * @param {bigint} reserveIn - Reserve of input token
+   * @param {bigint} reserveOut - Reserve of output token
+   * @returns {bigint} Output amount
+   */
+  getAmountOut(amountIn, reserveIn, reserveOut) {
+    if (amountIn <= BigInt(0)) return BigInt(0);
+    if (reserveIn <= BigInt(0) || reserveOut <= BigInt(0)) return BigInt(0);
+
+    const amountInWithFee = amountIn * BigInt(997);
+    const numerator = amountInWithFee * reserveOut;
+    const denominator = reserveIn * BigInt(1000) + amountInWithFee;
+
+    return numerator / denominator;
+  },
+
+  /**
+   * Calculate input amount required for desired output
+   * Implements: amount_in = (reserve_in * amount_out * 1000) / ((reserve_out - amount_out) * 997) + 1
+   */
+  getAmountIn(amountOut, reserveIn, reserveOut) {
+    if (amountOut <= BigInt(0)) return BigInt(0);
+    if (reserveIn <= BigInt(0) || reserveOut <= BigInt(0)) return BigInt(0);
+    if (amountOut >= reserveOut) return BigInt(0); // Cannot request more than reserve
+
+    const numerator = reserveIn * amountOut * BigInt(1000);
+    const denominator = (reserveOut - amountOut) * BigInt(997);
+
+    return numerator / denominator + BigInt(1);
+  },
+
+  /**
+   * Price impact of a routed trade versus the compounded spot price
+   * impact = 1 - execution / spot, where spot = Π(reserveOut / reserveIn),
+   * evaluated as a single integer ratio and rounded half-up to 0.01%
+   * @param {Object[]} hops - Per-hop reserves from quoteRoute/quoteRouteExactOut
+   * @param {bigint} amountInRaw - Input amount
+   * @param {bigint} amountOutRaw - Output amount
+   * @returns {string} Impact percentage with 2 decimals
+   */
+  getPriceImpact(hops, amountInRaw, amountOutRaw) {
+    const spotNumerator = hops.reduce((product, hop) => product * hop.reserveOut, BigInt(1));
+    const spotDenominator = hops.reduce((product, hop) => product * hop.reserveIn, BigInt(1));
+
+    const spot = amountInRaw * spotNumerator;
+    if (spot <= BigInt(0) || spotDenominator <= BigInt(0)) return '0.00';
+
+    const execution = amountOutRaw * spotDenominator;
+    const impact = FixedPoint.mulDiv(spot - execution, FixedPoint.pow10(4), spot, FixedPoint.ROUND_HALF_UP);
+
+    return FixedPoint.format(impact > BigInt(0) ? impact : BigInt(0), 2, 2);
+  },
+
+  /**
+   * Human-readable exchange rate (output tokens per input token)
+   * @returns {string} Rate with 6 decimals, rounded half-up
+   */
+  getRate(amountInRaw, amountOutRaw, tokenIn, tokenOut) {
+    const places = 6;
+    if (amountInRaw <= BigInt(0)) return FixedPoint.format(BigInt(0), 0, places);
+
+    const rate = FixedPoint.mulDiv(
+      amountOutRaw,
+      FixedPoint.pow10(tokenIn.decimals + places),
+      amountInRaw * FixedPoint.pow10(tokenOut.decimals),
+      FixedPoint.ROUND_HALF_UP
+    );
+    return FixedPoint.format(rate, places, places);
+  },
+
+  /**
+   * Get complete swap quote with price impact
+   * @param {string} tokenInSymbol - Input token symbol
+   * @param {string} tokenOutSymbol - Output token symbol
+   * @param {string} amountIn - Human-readable input amount
+   * @returns {Promise<SwapQuote>}
+   */
+  async getSwapQuote(tokenInSymbol, tokenOutSymbol, amountIn) {
+    const tokenIn = EctoplasmConfig.getToken(tokenInSymbol);
+    const tokenOut = EctoplasmConfig.getToken(tokenOutSymbol);
+
+    if (!tokenIn || !tokenOut) {
+      return {
+        valid: false,
+        error: `Invalid token: ${tokenInSymbol} or ${tokenOutSymbol}`,
+        amountOut: '0',
+        amountOutRaw: BigInt(0),
+        priceImpact: '0',
+        rate: '0'
+      };
+    }
+
+    // Check if token contracts are deployed
+    if (!EctoplasmConfig.getRoutingHash(tokenIn.symbol) || !EctoplasmConfig.getRoutingHash(tokenOut.symbol)) {
+      // Return demo quote for now if tokens not deployed
+      return this.getDemoQuote(tokenInSymbol, tokenOutSymbol, amountIn);
+    }
+
+    try {
+      // Convert to raw amount
+      const amountInRaw = this.parseTokenAmount(amountIn, tokenIn.decimals);
+
+      // Pick the best route across 1 to maxHops hops
+      const best = await this.findBestRoute(tokenIn.symbol, tokenOut.symbol, amountInRaw);
+
+      if (!best) {
+        return {
+          valid: false,
+          error: 'No route with liquidity for this pair',
+          amountOut: '0',
+          amountOutRaw: BigInt(0),
+          priceImpact: '0',
+          rate: '0'
+        };
+      }
+
+      // Calculate output
+      const amountOutRaw = best.amountOutRaw;
+      const amountOut = this.formatTokenAmount(amountOutRaw, tokenOut.decimals);
+
+      // Calculate minimum received with slippage
+      const minReceivedRaw = FixedPoint.minusPercent(amountOutRaw, EctoplasmConfig.swap.defaultSlippage);
+
+      return {
+        valid: true,
+        tokenIn,
+        tokenOut,
+        amountIn,
+        amountInRaw,
+        amountOut,
+        amountOutRaw,
+        minReceived: this.formatTokenAmount(minReceivedRaw, tokenOut.decimals),
+        minReceivedRaw,
+        priceImpact: this.getPriceImpact(best.hops, amountInRaw, amountOutRaw),
+        rate: this.getRate(amountInRaw, amountOutRaw, tokenIn, tokenOut),
+        path: best.route.map(symbol => EctoplasmConfig.getRoutingHash(symbol)),
+        route: best.route,
+        hops: best.hops
+      };
+    } catch (error) {
+      console.error('Quote error:', error);
+      return {
+        valid: false,
+        error: error.message || 'Failed to calculate quote',
+        amountOut: '0',
+        amountOutRaw: BigInt(0),
+        priceImpact: '0',
+        rate: '0'
+      };
+    }
+  },
+
+  /**
+   * Get exact-output swap quote: how much input is needed to receive amountOut
+   * @param {string} tokenInSymbol - Input token symbol
+   * @param {string} tokenOutSymbol - Output token symbol
+   * @param {string} amountOut - Human-readable desired output amount
+   * @returns {Promise<SwapQuote>} Quote flagged with exactOut and a maximum input bound
+   */
+  async getSwapQuoteExactOut(tokenInSymbol, tokenOutSymbol, amountOut) {
+    const tokenIn = EctoplasmConfig.getToken(tokenInSymbol);
+    const tokenOut = EctoplasmConfig.getToken(tokenOutSymbol);
+
+    if (!tokenIn || !tokenOut) {
+      return {
+        valid: false,
+        exactOut: true,
+        error: `Invalid token: ${tokenInSymbol} or ${tokenOutSymbol}`,
+        amountIn: '0',
+        amountInRaw: BigInt(0),
+        priceImpact: '0',
+        rate: '0'
+      };
+    }
+
+    if (!EctoplasmConfig.getRoutingHash(tokenIn.symbol) || !EctoplasmConfig.getRoutingHash(tokenOut.symbol)) {
+      return this.getDemoQuoteExactOut(tokenInSymbol, tokenOutSymbol, amountOut);
+    }
+
+    try {
+      const amountOutRaw = this.parseTokenAmount(amountOut, tokenOut.decimals);
+
+      const best = await this.findBestRouteExactOut(tokenIn.symbol, tokenOut.symbol, amountOutRaw);
+
+      if (!best) {
+        return {
+          valid: false,
+          exactOut: true,
+          error: 'Insufficient liquidity for this output amount',
+          amountIn: '0',
+          amountInRaw: BigInt(0),
+          priceImpact: '0',
+          rate: '0'
+        };
+      }
+
+      const amountInRaw = best.amountInRaw;
+
+      // Calculate maximum sold with slippage
+      const maxSoldRaw = FixedPoint.plusPercent(amountInRaw, EctoplasmConfig.swap.defaultSlippage);
+
+      return {
+        valid: true,
+        exactOut: true,
+        tokenIn,
+        tokenOut,
+        amountIn: this.formatTokenAmount(amountInRaw, tokenIn.decimals),
+        amountInRaw,
+        amountOut,
+        amountOutRaw,
+        maxSold: this.formatTokenAmount(maxSoldRaw, tokenIn.decimals),
+        maxSoldRaw,
+        priceImpact: this.getPriceImpact(best.hops, amountInRaw, amountOutRaw),
+        rate: this.getRate(amountInRaw, amountOutRaw, tokenIn, tokenOut),
+        path: best.route.map(symbol => EctoplasmConfig.getRoutingHash(symbol)),
+        route: best.route,
+        hops: best.hops
+      };
+    } catch (error) {
+      console.error('Quote error:', error);
+      return {
+        valid: false,
+        exactOut: true,
+        error: error.message || 'Failed to calculate quote',
+        amountIn: '0',
+        amountInRaw: BigInt(0),
+        priceImpact: '0',
+        rate: '0'
+      };
+    }
+  },
+
+  /**
+   * Static demo rate between two tokens
+   */
+  getDemoRate(tokenInSymbol, tokenOutSymbol) {
+    // Demo rate table
+    const demoRates = {
+      cspr: { ecto: 0.05, usdc: 0.035, weth: 0.000015, wbtc: 0.0000008 },
+      ecto: { cspr: 20, usdc: 0.70, weth: 0.0003, wbtc: 0.000016 },
+      usdc: { cspr: 28.57, ecto: 1.43, weth: 0.00043, wbtc: 0.000023 },
+      weth: { cspr: 66667, ecto: 3333, usdc: 2333, wbtc: 0.053 },
+      wbtc: { cspr: 1250000, ecto: 62500, usdc: 43750, weth: 18.87 }
+    };
+
+    return demoRates[tokenInSymbol.toLowerCase()]?.[tokenOutSymbol.toLowerCase()] || 1;
+  },
+
+  /**
+   * Demo quote for when contracts are not yet deployed
+   * Uses static rates for UI demonstration
+   */
+  getDemoQuote(tokenInSymbol, tokenOutSymbol, amountIn) {
+    const tokenIn = EctoplasmConfig.getToken(tokenInSymbol);
+    const tokenOut = EctoplasmConfig.getToken(tokenOutSymbol);
+    const decimalsIn = tokenIn?.decimals ?? 18;
+    const decimalsOut = tokenOut?.decimals ?? 18;
+
+    // Static rate as an 18-decimal fixed-point value
+    const rate = FixedPoint.parse(this.getDemoRate(tokenInSymbol, tokenOutSymbol), 18);
+
+    let amountInRaw;
+    try {
+      amountInRaw = this.parseTokenAmount(amountIn, decimalsIn);
+    } catch (error) {
+      amountInRaw = BigInt(0);
+    }
+
+    const amountOutRaw = FixedPoint.mulDiv(
+      amountInRaw * FixedPoint.pow10(decimalsOut),
+      rate,
+      FixedPoint.pow10(decimalsIn + 18)
+    );
+    const minReceivedRaw = FixedPoint.minusPercent(amountOutRaw, EctoplasmConfig.swap.defaultSlippage);
+
+    return {
+      valid: true,
+      demo: true, // Flag indicating this is a demo quote
+      tokenIn,
+      tokenOut,
+      amountIn,
+      amountInRaw,
+      amountOut: this.formatTokenAmount(amountOutRaw, decimalsOut),
+      amountOutRaw,
+      minReceived: this.formatTokenAmount(minReceivedRaw, decimalsOut),
+      minReceivedRaw,
+      priceImpact: '0.00', // Demo has no real impact
+      rate: FixedPoint.format(rate, 18, 6, { rounding: FixedPoint.ROUND_HALF_UP }),
+      path: [],
+      route: [tokenInSymbol.toUpperCase(), tokenOutSymbol.toUpperCase()],
+      hops: []
+    };
+  },
+
+  /**
+   * Demo exact-output quote for when contracts are not yet deployed
+   */
+  getDemoQuoteExactOut(tokenInSymbol, tokenOutSymbol, amountOut) {
+    const tokenIn = EctoplasmConfig.getToken(tokenInSymbol);
+    const tokenOut = EctoplasmConfig.getToken(tokenOutSymbol);
+    const decimalsIn = tokenIn?.decimals ?? 18;
+    const decimalsOut = tokenOut?.decimals ?? 18;
+
+    const rate = FixedPoint.parse(this.getDemoRate(tokenInSymbol, tokenOutSymbol), 18);
+
+    let amountOutRaw;
+    try {
+      amountOutRaw = this.parseTokenAmount(amountOut, decimalsOut);
+    } catch (error) {
+      amountOutRaw = BigInt(0);
+    }
+
+    // Round the required input up so the demo never under-quotes
+    const amountInRaw = rate > BigInt(0)
+      ? FixedPoint.mulDiv(
+        amountOutRaw * FixedPoint.pow10(decimalsIn),
+        FixedPoint.pow10(18),
+        rate * FixedPoint.pow10(decimalsOut),
+        FixedPoint.ROUND_UP
+      )
+      : BigInt(0);
+    const maxSoldRaw = FixedPoint.plusPercent(amountInRaw, EctoplasmConfig.swap.defaultSlippage);
+
+    return {
+      valid: true,
+      demo: true,
+      exactOut: true,
+      tokenIn,
+      tokenOut,
+      amountIn: this.formatTokenAmount(amountInRaw, decimalsIn),
+      amountInRaw,
+      amountOut,
+      amountOutRaw,
+      maxSold: this.formatTokenAmount(maxSoldRaw, decimalsIn),
+      maxSoldRaw,
+      priceImpact: '0.00',
+      rate: FixedPoint.format(rate, 18, 6, { rounding: FixedPoint.ROUND_HALF_UP }),
+      path: [],
+      route: [tokenInSymbol.toUpperCase(), tokenOutSymbol.toUpperCase()],
+      hops: []
+    };
+  },
+
+  // ============================================
+  // Transaction Building & Signing
+  // ============================================
+
+  /**
+   * Get how much a spender may transfer from the owner's token balance
+   * @param {string} tokenHash - Token (or pair LP token) contract hash
+   * @param {string} ownerPublicKey - Owner's public key (hex)
+   * @param {string} spenderHash - Spender contract hash (defaults to the Router)
+   * @returns {Promise<bigint>} Current allowance (0 when none is set)
+   */
+  async getAllowance(tokenHash, ownerPublicKey, spenderHash = EctoplasmConfig.contracts.router) {
+    this.ensureInit();
+
+    if (!tokenHash) return BigInt(0);
+
+    try {
+      const accountHash = CLPublicKey.fromHex(ownerPublicKey).toAccountHashStr();
+
+      const stateRootHash = await this.getStateRootHash();
+      const ownerKey = accountHash.replace('account-hash-', '');
+      const spenderKey = spenderHash.replace('hash-', '');
+
+      // CEP-18 allowances stored with composite key
+      const allowanceKey = `${ownerKey}_${spenderKey}`;
+
+      const result = await this.stateQuery('getDictionaryItemByName',
+        stateRootHash,
+        this.getTokenContractHash(tokenHash),
+        'allowances',
+        allowanceKey
+      );
+
+      return BigInt(result?.CLValue?.data?.toString() || '0');
+    } catch (error) {
+      return BigInt(0); // No allowance set
+    }
+  },
+
+  /**
+   * Check if Router has sufficient allowance to spend user's tokens
+   */
+  async checkAllowance(tokenHash, ownerPublicKey, amount) {
+    if (!tokenHash) return false;
+
+    const currentAllowance = await this.getAllowance(tokenHash, ownerPublicKey);
+    return currentAllowance >= amount;
+  },
+
+  /**
+   * Get the Router allowance for every configured token and LP token
+   * Native CSPR is attached to deploys directly and never needs one
+   * @param {string} ownerPublicKey - Owner's public key (hex)
+   * @returns {Promise<Array<{tokenHash: string, symbol: string, decimals: number, lp: boolean, spender: string, raw: bigint, unlimited: boolean, formatted: string}>>}
+   */
+  async getAllowances(ownerPublicKey) {
+    this.ensureInit();
+
+    const spender = EctoplasmConfig.contracts.router;
+    const entries = [
+      ...Object.values(EctoplasmConfig.tokens)
+        .filter(token => token.hash)
+        .map(token => ({ tokenHash: token.hash, symbol: token.symbol, decimals: token.decimals, lp: false })),
+      ...Object.entries(EctoplasmConfig.contracts.pairs)
+        .map(([name, hash]) => ({ tokenHash: hash, symbol: `${name} LP`, decimals: EctoplasmConfig.liquidity.lpTokenDecimals, lp: true }))
+    ];
+
+    return Promise.all(entries.map(async (entry) => {
+      const raw = await this.getAllowance(entry.tokenHash, ownerPublicKey, spender);
+      return {
+        ...entry,
+        spender,
+        raw,
+        // Unlimited approvals shrink as they are spent, so stay "unlimited" well below the max
+        unlimited: raw >= this.maxU256 / BigInt(2),
+        formatted: this.formatTokenAmount(raw, entry.decimals)
+      };
+    }));
+  },
+
+  /**
+   * Approval mode chosen in settings
+   * @returns {'exact'|'unlimited'}
+   */
+  getApprovalMode() {
+    const { defaultMode, modeStorageKey } = EctoplasmConfig.approvals;
+    const mode = typeof localStorage !== 'undefined' ? localStorage.getItem(modeStorageKey) : null;
+    return mode === 'exact' || mode === 'unlimited' ? mode : defaultMode;
+  },
+
+  /**
+   * Persist the approval mode
+   * @param {'exact'|'unlimited'} mode - Approve each spend exactly, or once for the maximum
+   */
+  setApprovalMode(mode) {
+    if (mode !== 'exact' && mode !== 'unlimited') {
+      throw new Error(`Unknown approval mode: ${mode}`);
+    }
+    localStorage.setItem(EctoplasmConfig.approvals.modeStorageKey, mode);
+  },
+
+  /**
+   * Set a spender's allowance back to zero
+   * @param {string} tokenHash - Token (or pair LP token) contract hash
+   * @param {string} spenderHash - Spender contract hash (defaults to the Router)
+   * @returns {Promise<string>} Deploy hash
+   */
+  async revokeAllowance(tokenHash, spenderHash = EctoplasmConfig.contracts.router) {
+    return this.approveToken(tokenHash, BigInt(0), spenderHash);
+  },
+
+  /**
+   * Build and sign approval transaction
+   * @param {string} tokenHash - Token contract hash
+   * @param {bigint} amount - Amount to approve (0 revokes)
+   * @param {string} spenderHash - Spender contract hash (defaults to the Router)
+   * @returns {Promise<string>} Deploy hash
+   */
+  async approveToken(tokenHash, amount, spenderHash = EctoplasmConfig.contracts.router) {
+    this.ensureInit();
+
+    if (!window.connectedAccount || !window.connectedWallet) {
+      throw new Error('Wallet not connected');
+    }
+
+    const publicKey = CLPublicKey.fromHex(window.connectedAccount);
+    const gasLimit = EctoplasmConfig.gasLimits.approve;
+
+    // Build deploy arguments for CEP-18 approve
+    const args = RuntimeArgs.fromMap({
+      spender: CLValueBuilder.key(
+        CLValueBuilder.byteArray(
+          Uint8Array.from(Buffer.from(spenderHash.replace('hash-', ''), 'hex'))
+        )
+      ),
+      amount: CLValueBuilder.u256(amount.toString())
+    });
+
+    // Build the deploy, paying the estimated cost rather than the config limit
+    const session = DeployUtil.ExecutableDeployItem.newStoredContractByHash(
+      Uint8Array.from(Buffer.from(this.getTokenContractHash(tokenHash), 'hex')),
+      'approve',
+      args
+    );
+    const { payment } = await this.estimatePayment(publicKey, session, gasLimit);
+    const deploy = this.makeDeploy(publicKey, session, payment);
+
+    // Sign with connected wallet
+    const signedDeploy = await this.signDeploy(deploy);
+
+    // Submit to network
+    const deployHash = await this.putDeploy(signedDeploy);
+
+    // Pair contracts are LP tokens and are not in the token list
+    const token = EctoplasmConfig.getTokenByHash(tokenHash);
+    const pairs = EctoplasmConfig.contracts.pairs;
+    const pairName = Object.keys(pairs).find(name => pairs[name] === tokenHash);
+    const symbol = token?.symbol || (pairName ? `${pairName} LP` : 'LP');
+    let summary = `Approve ${this.formatTokenAmount(amount, token?.decimals ?? EctoplasmConfig.liquidity.lpTokenDecimals)} ${symbol}`;
+    if (amount === BigInt(0)) summary = `Revoke ${symbol} approval`;
+    if (amount === this.maxU256) summary = `Approve unlimited ${symbol}`;
+    TransactionStore.add(deployHash, {
+      type: amount === BigInt(0) ? 'revoke' : 'approve',
+      summary,
+      tokens: [symbol],
+      amounts: [amount.toString()]
+    });
+
+    return deployHash;
+  },
+
+  /**
+   * Execute a swap transaction
+   * @param {Object} quote - Quote from getSwapQuote()
+   * @param {number} slippagePercent - Slippage tolerance
+   * @param {Object} [options]
+   * @param {function(Object): (boolean|Promise<boolean>)} [options.confirmDrift] - Asked to
+   *        accept a price that moved since the quote (see requoteBeforeSigning)
+   * @returns {Promise<string>} Deploy hash
+   */
+  async executeSwap(quote, slippagePercent = EctoplasmConfig.swap.defaultSlippage, options = {}) {
+    this.ensureInit();
+
+    if (!window.connectedAccount || !window.connectedWallet) {
+      throw new Error('Wallet not connected');
+    }
+
+    if (!quote.valid) {
+      throw new Error(quote.error || 'Invalid quote');
+    }
+
+    if (quote.demo) {
+      throw new Error('Cannot execute swap: Token contracts not deployed');
+    }
+
+    this.assertWithinCap(quote);
+
+    // Step 1: Check and request approval if needed
+    await this.ensureRouterAllowance(quote.path[0], quote.amountInRaw);
+
+    // Step 2: Re-check the price against current reserves
+    const fresh = await this.requoteBeforeSigning(quote, slippagePercent, options.confirmDrift);
+
+    // Step 3: Build and submit swap transaction
+    const call = this.buildSwapCall(fresh, slippagePercent);
+    return this.submitRouterCall(
+      call.entryPoint,
+      call.args,
+      this.getSwapGasLimit(fresh),
+      this.describeSwap(fresh)
+    );
+  },
+
+  /**
+   * Execute an exact-output swap transaction
+   * Receives exactly quote.amountOutRaw and spends at most amountInRaw plus slippage
+   * @param {Object} quote - Quote from getSwapQuoteExactOut()
+   * @param {number} slippagePercent - Slippage tolerance
+   * @param {Object} [options]
+   * @param {function(Object): (boolean|Promise<boolean>)} [options.confirmDrift] - Asked to
+   *        accept a price that moved since the quote (see requoteBeforeSigning)
+   * @returns {Promise<string>} Deploy hash
+   */
+  async executeSwapExactOut(quote, slippagePercent = EctoplasmConfig.swap.defaultSlippage, options = {}) {
+    this.ensureInit();
+
+    if (!window.connectedAccount || !window.connectedWallet) {
+      throw new Error('Wallet not connected');
+    }
+
+    if (!quote.valid || !quote.exactOut) {
+      throw new Error(quote.error || 'Invalid exact-output quote');
+    }
+
+    if (quote.demo) {
+      throw new Error('Cannot execute swap: Token contracts not deployed');
+    }
+
+    this.assertWithinCap(quote);
+
+    // Step 1: Approve up to the maximum input the router may pull
+    await this.ensureRouterAllowance(quote.path[0], this.getAmountInMax(quote, slippagePercent));
+
+    // Step 2: Re-check the price against current reserves; a higher input
+    // than the one approved needs a top-up before the swap can pull it
+    const fresh = await this.requoteBeforeSigning(quote, slippagePercent, options.confirmDrift);
+    await this.ensureRouterAllowance(fresh.path[0], this.getAmountInMax(fresh, slippagePercent));
+
+    // Step 3: Build and submit swap transaction
+    const call = this.buildSwapCall(fresh, slippagePercent);
+    return this.submitRouterCall(
+      call.entryPoint,
+      call.args,
+      this.getSwapGasLimit(fresh),
+      this.describeSwap(fresh)
+    );
+  },
+
+  /**
+   * Apply a Buy/Sell mode price cap to a quote
+   * The cap becomes an amount_out_min (exact input) or amount_in_max (exact
+   * output) bound; the tighter of it and the slippage bound is used. A quote
+   * that already breaches the cap is flagged so it is never submitted.
+   * @param {Object} quote - Quote from getSwapQuote() or getSwapQuoteExactOut()
+   * @param {{price: string, unit: 'out-per-in'|'in-per-out'}} cap - 'out-per-in' is a
+   *        minimum sell price (tokenOut per tokenIn), 'in-per-out' a maximum buy
+   *        price (tokenIn per tokenOut)
+   * @param {number} slippagePercent - Slippage tolerance
+   * @returns {Object} Quote copy with priceCap, capBreached and the bound set
+   */
+  applyPriceCap(quote, cap, slippagePercent) {
+    const price = FixedPoint.parse(cap.price, 18);
+    if (price <= BigInt(0)) {
+      throw new Error('Price cap must be greater than zero');
+    }
+
+    const scaleIn = FixedPoint.pow10(quote.tokenIn.decimals);
+    const scaleOut = FixedPoint.pow10(quote.tokenOut.decimals);
+    const one = FixedPoint.pow10(18);
+    const minRate = cap.unit === 'out-per-in';
+
+    if (quote.exactOut) {
+      // Most input the cap allows for the fixed output, rounded against the trade
+      const capMax = minRate
+        ? FixedPoint.mulDiv(quote.amountOutRaw * scaleIn, one, price * scaleOut, FixedPoint.ROUND_DOWN)
+        : FixedPoint.mulDiv(quote.amountOutRaw * scaleIn, price, one * scaleOut, FixedPoint.ROUND_DOWN);
+      const slippageMax = FixedPoint.plusPercent(quote.amountInRaw, slippagePercent);
+      return {
+        ...quote,
+        priceCap: cap,
+        capBreached: quote.amountInRaw > capMax,
+        amountInMaxRaw: capMax < slippageMax ? capMax : slippageMax
+      };
+    }
+
+    // Least output the cap allows for the fixed input
+    const capMin = minRate
+      ? FixedPoint.mulDiv(quote.amountInRaw * scaleOut, price, one * scaleIn, FixedPoint.ROUND_UP)
+      : FixedPoint.mulDiv(quote.amountInRaw * scaleOut, one, price * scaleIn, FixedPoint.ROUND_UP);
+    const slippageMin = FixedPoint.minusPercent(quote.amountOutRaw, slippagePercent);
+    return {
+      ...quote,
+      priceCap: cap,
+      capBreached: quote.amountOutRaw < capMin,
+      amountOutMinRaw: capMin > slippageMin ? capMin : slippageMin
+    };
+  },
+
+  /**
+   * Refuse to submit a quote that breaches its Buy/Sell price cap
+   * @param {Object} quote - Quote from applyPriceCap()
+   */
+  assertWithinCap(quote) {
+    if (!quote.capBreached) return;
+
+    const { price, unit } = quote.priceCap;
+    const limit = unit === 'out-per-in'
+      ? `minimum sell price of ${price} ${quote.tokenOut.symbol} per ${quote.tokenIn.symbol}`
+      : `maximum buy price of ${price} ${quote.tokenIn.symbol} per ${quote.tokenOut.symbol}`;
+    const error = new Error(`The current price breaches your ${limit}. The swap was not submitted.`);
+    error.code = 'PRICE_CAP';
+    throw error;
+  },
+
+  /**
+   * Re-quote a swap against fresh reserves just before it is signed
+   * The displayed quote may be minutes old and approval can take up to two
+   * minutes more, so reserves are re-read here. If the fresh quote is worse
+   * than the displayed one by more than EctoplasmConfig.swap.maxQuoteDrift,
+   * confirmDrift is shown the difference and must accept it; without a
+   * callback the swap is refused with code 'QUOTE_DRIFT'.
+   * A price cap or order bound carried by the quote is kept.
+   * @param {Object} quote - Quote the user saw
+   * @param {number} slippagePercent - Slippage tolerance
+   * @param {function(Object): (boolean|Promise<boolean>)} [confirmDrift] - Receives the
+   *        result of compareQuotes(); return true to sign the fresh quote
+   * @returns {Promise<Object>} Fresh quote to sign
+   */
+  async requoteBeforeSigning(quote, slippagePercent, confirmDrift) {
+    // Drop cached reads so reserves come from the latest block
+    QueryCache.invalidate();
+
+    let fresh = quote.exactOut
+      ? await this.getSwapQuoteExactOut(quote.tokenIn.symbol, quote.tokenOut.symbol, quote.amountOut)
+      : await this.getSwapQuote(quote.tokenIn.symbol, quote.tokenOut.symbol, quote.amountIn);
+    if (!fresh.valid) {
+      throw new Error(`Could not re-check the price before signing: ${fresh.error || 'no quote'}`);
+    }
+
+    if (quote.priceCap) {
+      fresh = this.applyPriceCap(fresh, quote.priceCap, slippagePercent);
+    } else {
+      if (quote.amountOutMinRaw !== undefined) fresh.amountOutMinRaw = quote.amountOutMinRaw;
+      if (quote.amountInMaxRaw !== undefined) fresh.amountInMaxRaw = quote.amountInMaxRaw;
+    }
+    this.assertWithinCap(fresh);
+
+    // A swap outside its own bound would only revert on-chain
+    const outsideBound = fresh.exactOut
+      ? fresh.amountInRaw > this.getAmountInMax(fresh, slippagePercent)
+      : fresh.amountOutMinRaw !== undefined && fresh.amountOutRaw < fresh.amountOutMinRaw;
+    if (outsideBound) {
+      throw new Error('The price moved past this swap\'s limit before signing. The swap was not submitted.');
+    }
+
+    const drift = this.compareQuotes(quote, fresh);
+    if (!drift.exceeded) return fresh;
+
+    if (confirmDrift && await confirmDrift(drift)) return fresh;
+
+    const error = new Error(confirmDrift
+      ? 'Swap cancelled: the price changed before signing.'
+      : `The price moved ${drift.driftPercent}% against this swap before signing. The swap was not submitted.`);
+    error.code = 'QUOTE_DRIFT';
+    error.drift = drift;
+    throw error;
+  },
+
+  /**
+   * Measure how much worse a fresh quote is than the one shown
+   * Exact-input swaps compare the output, exact-output swaps the input
+   * @param {Object} previous - Quote the user saw
+   * @param {Object} fresh - Quote from current reserves
+   * @returns {{previous: Object, quote: Object, driftPercent: string, exceeded: boolean}}
+   *          driftPercent is positive when the fresh quote is worse
+   */
+  compareQuotes(previous, fresh) {
+    const worseBy = previous.exactOut
+      ? fresh.amountInRaw - previous.amountInRaw
+      : previous.amountOutRaw - fresh.amountOutRaw;
+    const base = previous.exactOut ? previous.amountInRaw : previous.amountOutRaw;
+
+    // Basis points, rounded towards the worse outcome
+    const driftBps = base > BigInt(0)
+      ? FixedPoint.mulDiv(worseBy, BigInt(10000), base, FixedPoint.ROUND_UP)
+      : BigInt(0);
+    const maxBps = FixedPoint.parse(EctoplasmConfig.swap.maxQuoteDrift, 2);
+
+    return {
+      previous,
+      quote: fresh,
+      driftPercent: FixedPoint.format(driftBps, 2, 2),
+      exceeded: driftBps > maxBps
+    };
+  },
+
+  /**
+   * Maximum input an exact-output swap may spend after slippage
+   * A quote with amountInMaxRaw set (e.g. by a limit order) uses that bound instead
+   * @param {Object} quote - Quote from getSwapQuoteExactOut()
+   * @param {number} slippagePercent - Slippage tolerance
+   * @returns {bigint}
+   */
+  getAmountInMax(quote, slippagePercent) {
+    if (quote.amountInMaxRaw !== undefined) return quote.amountInMaxRaw;
+    return FixedPoint.plusPercent(quote.amountInRaw, slippagePercent);
   },
 
   /**
-   * Get all configured token balances for connected wallet
-   * @returns {Promise<Object>} Map of symbol -> balance info
+   * Build the Router call for a quote
+   * Exact-input quotes bound the output by amount_out_min, exact-output
+   * quotes bound the input by amount_in_max. Slippage sets the bound unless
+   * the quote carries amountOutMinRaw / amountInMaxRaw (limit orders)
+   * @param {Object} quote - Quote from getSwapQuote() or getSwapQuoteExactOut()
+   * @param {number} slippagePercent - Slippage tolerance
+   * @returns {{entryPoint: string, args: RuntimeArgs}}
    */
-  async getAllBalances() {
-    if (!window.connectedAccount) {
-      throw new Error('Wallet not connected');
-    }
-
-    const balances = {};
-    const tokens = EctoplasmConfig.tokens;
+  buildSwapCall(quote, slippagePercent) {
+    const publicKey = CLPublicKey.fromHex(window.connectedAccount);
+    const to = CLValueBuilder.key(CLValueBuilder.byteArray(publicKey.toAccountHash()));
 
-    // Fetch all CEP-18 token balances in parallel
-    const tokenPromises = Object.entries(tokens)
-      .filter(([_, config]) => config.hash) // Only tokens with deployed contracts
-      .map(async ([symbol, config]) => {
-        try {
-          const balance = await this.getTokenBalance(config.hash, window.connectedAccount);
-          return [symbol, balance];
-        } catch (e) {
-          console.warn(`Failed to fetch ${symbol} balance:`, e);
-          return [symbol, { raw: BigInt(0), formatted: '0', decimals: config.decimals }];
-        }
-      });
+    // Calculate deadline (current time + configured minutes)
+    const deadline = CLValueBuilder.u64(Date.now() + (EctoplasmConfig.swap.deadlineMinutes * 60 * 1000));
+    const path = this.buildPathList(quote.path);
 
-    const results = await Promise.all(tokenPromises);
-    results.forEach(([symbol, balance]) => {
-      balances[symbol] = balance;
-    });
+    if (quote.exactOut) {
+      const amountInMax = this.getAmountInMax(quote, slippagePercent);
+      return {
+        entryPoint: 'swap_tokens_for_exact_tokens',
+        args: RuntimeArgs.fromMap({
+          amount_out: CLValueBuilder.u256(quote.amountOutRaw.toString()),
+          amount_in_max: CLValueBuilder.u256(amountInMax.toString()),
+          path,
+          to,
+          deadline
+        })
+      };
+    }
 
-    // Get native CSPR balance
-    balances.CSPR = await this.getNativeBalance(window.connectedAccount);
+    // Calculate minimum output with slippage, unless the quote carries its own bound
+    const amountOutMin = quote.amountOutMinRaw !== undefined
+      ? quote.amountOutMinRaw
+      : FixedPoint.minusPercent(quote.amountOutRaw, slippagePercent);
 
-    return balances;
+    return {
+      entryPoint: 'swap_exact_tokens_for_tokens',
+      args: RuntimeArgs.fromMap({
+        amount_in: CLValueBuilder.u256(quote.amountInRaw.toString()),
+        amount_out_min: CLValueBuilder.u256(amountOutMin.toString()),
+        path,
+        to,
+        deadline
+      })
+    };
   },
 
-  // ============================================
-  // Pair Reserves Queries
-  // ============================================
-
   /**
-   * Get pair contract address from Factory
-   * @param {string} tokenA - First token contract hash
-   * @param {string} tokenB - Second token contract hash
-   * @returns {Promise<string|null>} Pair contract hash or null
+   * Config payment limit for a swap, scaled by the number of hops
+   * Used when speculative execution cannot estimate the cost
+   * @param {Object} quote - Quote being executed
+   * @returns {string} Payment amount in motes
    */
-  async getPairAddress(tokenA, tokenB) {
-    this.ensureInit();
+  getSwapGasLimit(quote) {
+    const extraHops = Math.max(0, (quote.hops?.length || 1) - 1);
+    const limit = BigInt(EctoplasmConfig.gasLimits.swap) +
+      BigInt(EctoplasmConfig.gasLimits.swapHop) * BigInt(extraHops);
+    return limit.toString();
+  },
 
-    try {
-      const factoryHash = EctoplasmConfig.contracts.factory;
-      const stateRootHash = await this.client.nodeClient.getStateRootHash();
+  /**
+   * Describe a swap for the transaction tracker
+   * @param {Object} quote - Quote being executed
+   * @returns {Object} TransactionStore details
+   */
+  describeSwap(quote) {
+    return {
+      type: 'swap',
+      summary: `Swap ${quote.amountIn} ${quote.tokenIn.symbol} for ${quote.amountOut} ${quote.tokenOut.symbol}`,
+      tokens: [quote.tokenIn.symbol, quote.tokenOut.symbol],
+      amounts: [quote.amountIn, quote.amountOut]
+    };
+  },
 
-      // Factory stores pairs in a mapping: (token0, token1) -> pair_address
-      // Tokens must be sorted (smaller hash first)
-      const [token0, token1] = this.sortTokens(tokenA, tokenB);
+  /**
+   * Check the Router allowance and submit an approval if it is too low
+   * Approves the exact amount or the U256 maximum depending on the approval mode
+   * Waits for the approval deploy before returning
+   * @param {string} tokenHash - Token contract hash
+   * @param {bigint} amount - Amount the Router needs to spend
+   */
+  async ensureRouterAllowance(tokenHash, amount) {
+    const hasAllowance = await this.checkAllowance(
+      tokenHash,
+      window.connectedAccount,
+      amount
+    );
 
-      // Build the dictionary key (format may vary by implementation)
-      const pairKey = `${token0.replace('hash-', '')}_${token1.replace('hash-', '')}`;
+    if (hasAllowance) return;
 
-      const result = await this.client.nodeClient.getDictionaryItemByName(
-        stateRootHash,
-        factoryHash.replace('hash-', ''),
-        'pairs',
-        pairKey
-      );
+    console.log('Requesting token approval...');
+    const approveAmount = this.getApprovalMode() === 'unlimited' ? this.maxU256 : amount;
+    const approvalHash = await this.approveToken(tokenHash, approveAmount);
+    console.log('Approval submitted:', approvalHash);
 
-      return result?.CLValue?.data || null;
-    } catch (error) {
-      if (error.message?.includes('ValueNotFound') || error.message?.includes('Failed to find')) {
-        return null; // Pair doesn't exist
-      }
-      console.error('Error fetching pair address:', error);
-      throw error;
+    // Wait for approval to be processed
+    const approvalResult = await TransactionStore.wait(approvalHash);
+    if (!approvalResult.success) {
+      throw new Error(`Approval failed: ${approvalResult.error}`);
     }
   },
 
   /**
-   * Get reserves from a Pair contract
-   * @param {string} tokenAHash - First token contract hash
-   * @param {string} tokenBHash - Second token contract hash
-   * @returns {Promise<{reserveA: bigint, reserveB: bigint, exists: boolean}>}
+   * Build path as list of contract hashes (one entry per token on the route)
+   * @param {string[]} path - Token contract hashes
+   * @returns {CLList}
    */
-  async getPairReserves(tokenAHash, tokenBHash) {
-    this.ensureInit();
+  buildPathList(path) {
+    return new CLList(path.map(tokenHash => this.hashToByteArray(tokenHash)));
+  },
 
-    try {
-      // First, get the pair address from Factory
-      const pairAddress = await this.getPairAddress(tokenAHash, tokenBHash);
+  /**
+   * Convert a contract hash ("hash-...") to a 32-byte CLValue
+   * @param {string} contractHash - Contract hash
+   * @returns {CLByteArray}
+   */
+  hashToByteArray(contractHash) {
+    return CLValueBuilder.byteArray(Uint8Array.from(Buffer.from(contractHash.replace('hash-', ''), 'hex')));
+  },
 
-      if (!pairAddress) {
-        return { reserveA: BigInt(0), reserveB: BigInt(0), exists: false };
-      }
+  /**
+   * Build, sign and submit a deploy calling a Router entry point
+   * @param {string} entryPoint - Router entry point name
+   * @param {RuntimeArgs} args - Entry point arguments
+   * @param {string} gasLimit - Payment amount in motes
+   * @param {Object|null} record - TransactionStore details (type, summary, tokens, amounts)
+   * @returns {Promise<string>} Deploy hash
+   */
+  async submitRouterCall(entryPoint, args, gasLimit, record = null) {
+    const publicKey = CLPublicKey.fromHex(window.connectedAccount);
+    const session = this.buildRouterSession(entryPoint, args);
+    const { payment } = await this.estimatePayment(publicKey, session, gasLimit);
+    const deploy = this.makeDeploy(publicKey, session, payment);
 
-      const stateRootHash = await this.client.nodeClient.getStateRootHash();
+    const signedDeploy = await this.signDeploy(deploy);
+    const deployHash = await this.putDeploy(signedDeploy);
 
-      // Query pair contract's reserve values
-      const reserve0 = await this.queryContractNamedKey(pairAddress, 'reserve0', stateRootHash);
-      const reserve1 = await this.queryContractNamedKey(pairAddress, 'reserve1', stateRootHash);
+    TransactionStore.add(deployHash, record || { type: entryPoint, summary: entryPoint });
 
-      // Sort tokens to match pair order (token0 < token1)
-      const [token0] = this.sortTokens(tokenAHash, tokenBHash);
+    return deployHash;
+  },
 
-      // Map reserves back to input order
-      if (tokenAHash === token0) {
-        return {
-          reserveA: BigInt(reserve0 || 0),
-          reserveB: BigInt(reserve1 || 0),
-          exists: true
-        };
-      } else {
-        return {
-          reserveA: BigInt(reserve1 || 0),
-          reserveB: BigInt(reserve0 || 0),
-          exists: true
-        };
-      }
-    } catch (error) {
-      console.error('Error fetching pair reserves:', error);
-      return { reserveA: BigInt(0), reserveB: BigInt(0), exists: false };
-    }
+  /**
+   * Build the session item for a Router call
+   * contracts.router is the Router's contract package hash, so the call goes
+   * to the package's latest enabled version. CEP-18 tokens see the package as
+   * the caller, which is why approvals name it as the spender.
+   * @param {string} entryPoint - Router entry point name
+   * @param {RuntimeArgs} args - Entry point arguments
+   * @returns {ExecutableDeployItem}
+   */
+  buildRouterSession(entryPoint, args) {
+    const packageHash = EctoplasmConfig.contracts.router.replace('hash-', '');
+    return DeployUtil.ExecutableDeployItem.newStoredVersionContractByHash(
+      Uint8Array.from(Buffer.from(packageHash, 'hex')),
+      null, // Latest version
+      entryPoint,
+      args
+    );
   },
 
   /**
-   * Query a named key from a contract
+   * Wrap a session item into an unsigned deploy for the current network
+   * @param {CLPublicKey} publicKey - Deploy account
+   * @param {ExecutableDeployItem} session - Session item
+   * @param {string|bigint} payment - Payment amount in motes
+   * @returns {Deploy}
    */
-  async queryContractNamedKey(contractHash, keyName, stateRootHash) {
+  makeDeploy(publicKey, session, payment) {
+    return DeployUtil.makeDeploy(
+      new DeployUtil.DeployParams(
+        publicKey,
+        EctoplasmConfig.getNetwork().chainName,
+        1, // Gas price
+        3600000 // TTL: 1 hour
+      ),
+      session,
+      DeployUtil.standardPayment(payment.toString())
+    );
+  },
+
+  // ============================================
+  // Gas Estimation
+  // ============================================
+
+  /**
+   * Estimate the payment for a session via the node's speculative execution
+   * The probe deploy is executed against the latest state with a generous
+   * payment; the measured cost plus the configured safety margin becomes the
+   * payment. Falls back to the config limit when the network has no
+   * speculative endpoint, the endpoint does not serve speculative_exec, or
+   * the probe fails (e.g. a pending approval); `reason` says which.
+   * @param {CLPublicKey} publicKey - Deploy account
+   * @param {ExecutableDeployItem} session - Session item to estimate
+   * @param {string} fallbackLimit - Config payment limit in motes
+   * @returns {Promise<{payment: string, cost: string|null, estimated: boolean, reason?: string}>}
+   */
+  async estimatePayment(publicKey, session, fallbackLimit) {
+    const fallback = (reason) => ({ payment: fallbackLimit.toString(), cost: null, estimated: false, reason });
+
+    const client = this.getSpeculativeClient();
+    if (!client) return fallback('no speculative execution node configured');
+    if (this.speculativeUnsupported) return fallback('speculative execution is disabled on the configured node');
+
+    const { safetyMargin, probeMultiplier } = EctoplasmConfig.gas;
+
     try {
-      const result = await this.client.nodeClient.getBlockState(
-        stateRootHash || await this.client.nodeClient.getStateRootHash(),
-        `hash-${contractHash.replace('hash-', '')}`,
-        [keyName]
+      const probe = this.makeDeploy(
+        publicKey,
+        session,
+        BigInt(fallbackLimit) * BigInt(probeMultiplier)
       );
-      return result?.CLValue?.data?.toString();
+      const result = await RpcNodePool.withTimeout(client.nodeClient.speculativeDeploy(probe));
+      const cost = this.getExecutionCost(result);
+
+      // Fixed-point margin keeps the math in BigInt; round the payment up
+      const margin = FixedPoint.parse(safetyMargin, 4, FixedPoint.ROUND_UP);
+      const payment = FixedPoint.mulDiv(cost, margin, FixedPoint.pow10(4), FixedPoint.ROUND_UP);
+      return { payment: payment.toString(), cost: cost.toString(), estimated: true };
     } catch (error) {
-      console.warn(`Failed to query ${keyName}:`, error);
-      return null;
+      // Method not found: the node has speculative execution disabled
+      if (error.code === -32601) {
+        this.speculativeUnsupported = true;
+        console.warn('Speculative execution is disabled on', EctoplasmConfig.getNetwork().speculativeRpcUrl);
+        return fallback('speculative execution is disabled on the configured node');
+      }
+      console.warn('Gas estimation unavailable, using config limit:', error.message);
+      return fallback('the estimate failed');
     }
   },
 
   /**
-   * Sort token addresses (smaller hash first, matching Pair contract logic)
+   * Client for the current network's speculative execution endpoint
+   * Kept apart from the node pool: public RPC nodes do not serve speculative_exec
+   * @returns {CasperClient|null} Null when the network has no endpoint configured
    */
-  sortTokens(tokenA, tokenB) {
-    const hashA = tokenA.replace('hash-', '').toLowerCase();
-    const hashB = tokenB.replace('hash-', '').toLowerCase();
-    return hashA < hashB ? [tokenA, tokenB] : [tokenB, tokenA];
+  getSpeculativeClient() {
+    const url = EctoplasmConfig.getNetwork().speculativeRpcUrl;
+    if (!url) return null;
+    if (this.speculativeClient?.url !== url) {
+      this.speculativeClient = { url, client: new CasperClient(url) };
+    }
+    return this.speculativeClient.client;
   },
 
-  // ============================================
-  // Swap Quote Calculations (Local)
-  // ============================================
-
   /**
-   * Calculate output amount for a swap using AMM formula
-   * Implements: amount_out = (amount_in * 997 * reserve_out) / (reserve_in * 1000 + amount_in * 997)
-   * @param {bigint} amountIn - Input amount (in smallest unit)
-   * @param {bigint} reserveIn - Reserve of input token
-   * @param {bigint} reserveOut - Reserve of output token
-   * @returns {bigint} Output amount
+   * Read the gas cost from a speculative execution result (1.x and 2.x formats)
+   * @param {Object} result - speculative_exec response
+   * @returns {bigint} Cost in motes
+   * @throws {Error} When the probe failed or reported no cost
    */
-  getAmountOut(amountIn, reserveIn, reserveOut) {
-    if (amountIn <= BigInt(0)) return BigInt(0);
-    if (reserveIn <= BigInt(0) || reserveOut <= BigInt(0)) return BigInt(0);
-
-    const amountInWithFee = amountIn * BigInt(997);
-    const numerator = amountInWithFee * reserveOut;
-    const denominator = reserveIn * BigInt(1000) + amountInWithFee;
+  getExecutionCost(result) {
+    const execution = result?.execution_result || {};
+    const failure = execution.Failure || execution.Version1?.Failure;
+    if (failure || execution.Version2?.error_message) {
+      throw new Error(`Speculative execution failed: ${failure?.error_message || execution.Version2.error_message}`);
+    }
 
-    return numerator / denominator;
+    const cost = execution.Success?.cost ??
+      execution.Version1?.Success?.cost ??
+      execution.Version2?.cost ??
+      execution.cost;
+    if (cost === undefined || cost === null) {
+      throw new Error('Speculative execution returned no cost');
+    }
+    return BigInt(cost);
   },
 
   /**
-   * Calculate input amount required for desired output
-   * Implements: amount_in = (reserve_in * amount_out * 1000) / ((reserve_out - amount_out) * 997) + 1
+   * Estimate the network fee for a quote, including a pending approval
+   * Without a connected wallet the config limits are used.
+   * @param {Object} quote - Quote from getSwapQuote() or getSwapQuoteExactOut()
+   * @param {number} slippagePercent - Slippage tolerance
+   * @returns {Promise<{motes: bigint, cspr: string, estimated: boolean, reason: string|null, includesApproval: boolean}>}
+   *          reason explains why the fee is the config limit rather than an estimate
    */
-  getAmountIn(amountOut, reserveIn, reserveOut) {
-    if (amountOut <= BigInt(0)) return BigInt(0);
-    if (reserveIn <= BigInt(0) || reserveOut <= BigInt(0)) return BigInt(0);
-    if (amountOut >= reserveOut) return BigInt(0); // Cannot request more than reserve
+  async estimateSwapFee(quote, slippagePercent = EctoplasmConfig.swap.defaultSlippage) {
+    let swapPayment = {
+      payment: this.getSwapGasLimit(quote),
+      estimated: false,
+      reason: quote.demo ? 'the pair is not deployed' : 'no wallet is connected'
+    };
+    let includesApproval = false;
 
-    const numerator = reserveIn * amountOut * BigInt(1000);
-    const denominator = (reserveOut - amountOut) * BigInt(997);
+    if (window.connectedAccount && quote.valid && !quote.demo) {
+      const publicKey = CLPublicKey.fromHex(window.connectedAccount);
 
-    return numerator / denominator + BigInt(1);
+      // An approval deploy runs first when the allowance is short
+      const spend = quote.exactOut ? this.getAmountInMax(quote, slippagePercent) : quote.amountInRaw;
+      includesApproval = !await this.checkAllowance(quote.path[0], window.connectedAccount, spend);
+
+      // The swap cannot be simulated before its approval exists
+      if (includesApproval) {
+        swapPayment.reason = 'the swap cannot be simulated before its approval';
+      } else {
+        try {
+          const call = this.buildSwapCall(quote, slippagePercent);
+          const session = this.buildRouterSession(call.entryPoint, call.args);
+          swapPayment = await this.estimatePayment(publicKey, session, swapPayment.payment);
+        } catch (error) {
+          console.warn('Swap fee estimation failed:', error);
+          swapPayment.reason = 'the estimate failed';
+        }
+      }
+    }
+
+    const motes = BigInt(swapPayment.payment) +
+      (includesApproval ? BigInt(EctoplasmConfig.gasLimits.approve) : BigInt(0));
+
+    return {
+      motes,
+      cspr: this.formatTokenAmount(motes, 9),
+      estimated: swapPayment.estimated,
+      reason: swapPayment.estimated ? null : swapPayment.reason,
+      includesApproval
+    };
   },
 
   /**
-   * Get complete swap quote with price impact
-   * @param {string} tokenInSymbol - Input token symbol
-   * @param {string} tokenOutSymbol - Output token symbol
-   * @param {string} amountIn - Human-readable input amount
-   * @returns {Promise<SwapQuote>}
+   * Sign deploy using connected wallet provider
    */
-  async getSwapQuote(tokenInSymbol, tokenOutSymbol, amountIn) {
-    const tokenIn = EctoplasmConfig.getToken(tokenInSymbol);
-    const tokenOut = EctoplasmConfig.getToken(tokenOutSymbol);
+  async signDeploy(deploy) {
+    const wallet = WalletRegistry.get(window.connectedWallet);
+    if (!wallet) {
+      throw new Error(`Unsupported wallet: ${window.connectedWallet}`);
+    }
 
-    if (!tokenIn || !tokenOut) {
-      return {
-        valid: false,
-        error: `Invalid token: ${tokenInSymbol} or ${tokenOutSymbol}`,
-        amountOut: '0',
-        amountOutRaw: BigInt(0),
-        priceImpact: '0',
-        rate: '0'
-      };
+    if (window.walletLocked) {
+      throw new Error('Wallet is locked. Unlock it to sign transactions.');
     }
 
-    // Check if token contracts are deployed
-    if (!tokenIn.hash || !tokenOut.hash) {
-      // Return demo quote for now if tokens not deployed
-      return this.getDemoQuote(tokenInSymbol, tokenOutSymbol, amountIn);
+    // The active key may have changed while this deploy was being built
+    if (deploy.header.account.toHex().toLowerCase() !== window.connectedAccount.toLowerCase()) {
+      throw new Error('Active wallet account changed. Please review and try again.');
+    }
+
+    // So may the network, and the wallet must be signing for the same chain
+    const network = EctoplasmConfig.getNetwork();
+    if (deploy.header.chainName !== network.chainName) {
+      throw new Error('Network changed while this transaction was being built. Please review and try again.');
+    }
+    const walletChain = await this.getWalletChainName(wallet);
+    if (walletChain && walletChain !== network.chainName) {
+      const error = new Error(`Your wallet is on ${walletChain} but Ectoplasm is on ${network.name} (${network.chainName}). Switch one of them so they match.`);
+      error.code = 'NETWORK_MISMATCH';
+      throw error;
     }
 
+    return wallet.signDeploy(deploy, window.connectedAccount);
+  },
+
+  /**
+   * Chain the wallet signs for, when the adapter reports one
+   * @param {Object} wallet - Wallet adapter
+   * @returns {Promise<string|null>}
+   */
+  async getWalletChainName(wallet) {
+    if (typeof wallet.getChainName !== 'function') return null;
     try {
-      // Convert to raw amount
-      const amountInRaw = this.parseTokenAmount(amountIn, tokenIn.decimals);
+      return await wallet.getChainName();
+    } catch (error) {
+      console.warn('Could not read wallet network:', error);
+      return null;
+    }
+  },
+
+  /**
+   * Wait for deploy to be processed
+   * @param {string} deployHash - The deploy hash to wait for
+   * @param {number} timeoutMs - Timeout in milliseconds
+   */
+  async waitForDeploy(deployHash, timeoutMs = 120000) {
+    const startTime = Date.now();
+    const pollInterval = 2000;
+
+    while (Date.now() - startTime < timeoutMs) {
+      try {
+        const result = await this.nodeCall('getDeployInfo', deployHash);
+
+        if (result.execution_results?.length > 0) {
+          // The deploy changed global state, cached reads are stale
+          QueryCache.invalidate();
+
+          const execResult = result.execution_results[0];
+          if (execResult.result.Success) {
+            return { success: true, result: execResult };
+          } else {
+            return {
+              success: false,
+              error: execResult.result.Failure?.error_message || 'Transaction failed'
+            };
+          }
+        }
+      } catch (e) {
+        // Deploy not found yet, continue polling
+      }
 
-      // Get reserves
-      const reserves = await this.getPairReserves(tokenIn.hash, tokenOut.hash);
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
 
-      if (!reserves.exists) {
-        return {
-          valid: false,
-          error: 'Pair does not exist',
-          amountOut: '0',
-          amountOutRaw: BigInt(0),
-          priceImpact: '0',
-          rate: '0'
-        };
-      }
+    return { success: false, timedOut: true, error: 'Transaction timed out' };
+  },
 
-      // Calculate output
-      const amountOutRaw = this.getAmountOut(amountInRaw, reserves.reserveA, reserves.reserveB);
-      const amountOut = this.formatTokenAmount(amountOutRaw, tokenOut.decimals);
+  // ============================================
+  // Liquidity (Add / Remove)
+  // ============================================
 
-      // Calculate price impact
-      const spotPrice = Number(reserves.reserveB) / Number(reserves.reserveA);
-      const executionPrice = Number(amountOutRaw) / Number(amountInRaw);
-      const priceImpact = spotPrice > 0 ? ((spotPrice - executionPrice) / spotPrice) * 100 : 0;
+  /**
+   * Equivalent amount of the other token at the current pool ratio
+   * Implements: amount_b = amount_a * reserve_b / reserve_a
+   * @param {bigint} amountA - Amount of token A
+   * @param {bigint} reserveA - Reserve of token A
+   * @param {bigint} reserveB - Reserve of token B
+   * @returns {bigint} Amount of token B
+   */
+  quote(amountA, reserveA, reserveB) {
+    if (amountA <= BigInt(0)) return BigInt(0);
+    if (reserveA <= BigInt(0) || reserveB <= BigInt(0)) return BigInt(0);
 
-      // Calculate rate
-      const decimalAdjust = Math.pow(10, tokenIn.decimals - tokenOut.decimals);
-      const rate = Number(amountOutRaw) / Number(amountInRaw) * decimalAdjust;
+    return amountA * reserveB / reserveA;
+  },
 
-      // Calculate minimum received with slippage
-      const slippage = EctoplasmConfig.swap.defaultSlippage / 100;
-      const minReceivedRaw = amountOutRaw * BigInt(Math.floor((1 - slippage) * 10000)) / BigInt(10000);
+  /**
+   * Pick deposit amounts that match the pool ratio without exceeding either desired amount
+   * Mirrors the Router's add_liquidity logic; empty pools accept any ratio
+   * @returns {{amountA: bigint, amountB: bigint}}
+   */
+  getOptimalLiquidityAmounts(amountADesired, amountBDesired, reserveA, reserveB) {
+    if (reserveA === BigInt(0) && reserveB === BigInt(0)) {
+      return { amountA: amountADesired, amountB: amountBDesired };
+    }
 
-      return {
-        valid: true,
-        tokenIn,
-        tokenOut,
-        amountIn,
-        amountInRaw,
-        amountOut,
-        amountOutRaw,
-        minReceived: this.formatTokenAmount(minReceivedRaw, tokenOut.decimals),
-        minReceivedRaw,
-        priceImpact: Math.max(0, priceImpact).toFixed(2),
-        rate: rate.toFixed(6),
-        path: [tokenIn.hash, tokenOut.hash],
-        reserves
-      };
-    } catch (error) {
-      console.error('Quote error:', error);
-      return {
-        valid: false,
-        error: error.message || 'Failed to calculate quote',
-        amountOut: '0',
-        amountOutRaw: BigInt(0),
-        priceImpact: '0',
-        rate: '0'
-      };
+    const amountBOptimal = this.quote(amountADesired, reserveA, reserveB);
+    if (amountBOptimal <= amountBDesired) {
+      return { amountA: amountADesired, amountB: amountBOptimal };
     }
+
+    const amountAOptimal = this.quote(amountBDesired, reserveB, reserveA);
+    return { amountA: amountAOptimal, amountB: amountBDesired };
   },
 
   /**
-   * Demo quote for when contracts are not yet deployed
-   * Uses static rates for UI demonstration
+   * Read a pool's pair contract, reserves and LP total supply
+   * @param {string} symbolA - First token symbol
+   * @param {string} symbolB - Second token symbol
+   * @returns {Promise<Object>} Pool state with reserves in symbolA/symbolB order
    */
-  getDemoQuote(tokenInSymbol, tokenOutSymbol, amountIn) {
-    // Demo rate table
-    const demoRates = {
-      cspr: { ecto: 0.05, usdc: 0.035, weth: 0.000015, wbtc: 0.0000008 },
-      ecto: { cspr: 20, usdc: 0.70, weth: 0.0003, wbtc: 0.000016 },
-      usdc: { cspr: 28.57, ecto: 1.43, weth: 0.00043, wbtc: 0.000023 },
-      weth: { cspr: 66667, ecto: 3333, usdc: 2333, wbtc: 0.053 },
-      wbtc: { cspr: 1250000, ecto: 62500, usdc: 43750, weth: 18.87 }
-    };
+  async getPoolState(symbolA, symbolB) {
+    this.ensureInit();
 
-    const fromKey = tokenInSymbol.toLowerCase();
-    const toKey = tokenOutSymbol.toLowerCase();
-    const rate = demoRates[fromKey]?.[toKey] || 1;
+    const tokenA = EctoplasmConfig.getToken(symbolA);
+    const tokenB = EctoplasmConfig.getToken(symbolB);
+    const hashA = EctoplasmConfig.getRoutingHash(symbolA);
+    const hashB = EctoplasmConfig.getRoutingHash(symbolB);
 
-    const amountInNum = parseFloat(amountIn) || 0;
-    const amountOutNum = amountInNum * rate;
+    if (!hashA || !hashB) {
+      return { exists: false, tokenA, tokenB };
+    }
 
-    const tokenIn = EctoplasmConfig.getToken(tokenInSymbol);
-    const tokenOut = EctoplasmConfig.getToken(tokenOutSymbol);
+    const pairAddress = await this.getPairAddress(hashA, hashB);
+    if (!pairAddress) {
+      return { exists: false, tokenA, tokenB };
+    }
 
-    const slippage = EctoplasmConfig.swap.defaultSlippage / 100;
-    const minReceivedNum = amountOutNum * (1 - slippage);
+    const [reserves, totalSupply] = await Promise.all([
+      this.getPairReserves(hashA, hashB),
+      this.queryContractNamedKey(pairAddress, 'total_supply')
+    ]);
 
     return {
-      valid: true,
-      demo: true, // Flag indicating this is a demo quote
-      tokenIn,
-      tokenOut,
-      amountIn,
-      amountInRaw: this.parseTokenAmount(amountIn, tokenIn?.decimals || 18),
-      amountOut: amountOutNum.toFixed(6),
-      amountOutRaw: this.parseTokenAmount(amountOutNum.toString(), tokenOut?.decimals || 18),
-      minReceived: minReceivedNum.toFixed(6),
-      minReceivedRaw: BigInt(0),
-      priceImpact: '0.00', // Demo has no real impact
-      rate: rate.toFixed(6),
-      path: [],
-      reserves: null
+      exists: reserves.exists,
+      pairAddress,
+      tokenA,
+      tokenB,
+      hashA,
+      hashB,
+      reserveA: reserves.reserveA,
+      reserveB: reserves.reserveB,
+      totalSupply: BigInt(totalSupply || 0)
     };
   },
 
-  // ============================================
-  // Transaction Building & Signing
-  // ============================================
-
   /**
-   * Check if Router has sufficient allowance to spend user's tokens
+   * Read the account's LP positions across every configured pair
+   * Pool share and underlying amounts are derived from the LP balance,
+   * the pair's total_supply and its reserves
+   * @param {string} publicKeyHex - Account public key in hex
+   * @returns {Promise<Object[]>} Positions with a non-zero LP balance
    */
-  async checkAllowance(tokenHash, ownerPublicKey, amount) {
-    this.ensureInit();
+  async getLPPositions(publicKeyHex = window.connectedAccount) {
+    if (!publicKeyHex) {
+      throw new Error('Wallet not connected');
+    }
 
-    if (!tokenHash) return false;
+    const lpDecimals = EctoplasmConfig.liquidity.lpTokenDecimals;
+
+    const positions = await Promise.all(
+      Object.keys(EctoplasmConfig.contracts.pairs).map(async (pairName) => {
+        const [symbolA, symbolB] = pairName.split('/');
+        try {
+          const pool = await this.getPoolState(symbolA, symbolB);
+          if (!pool.exists || pool.totalSupply === BigInt(0)) return null;
+
+          const balance = await this.getTokenBalance(pool.pairAddress, publicKeyHex);
+          const lpBalanceRaw = balance.raw;
+          if (lpBalanceRaw === BigInt(0)) return null;
+
+          const amountARaw = lpBalanceRaw * pool.reserveA / pool.totalSupply;
+          const amountBRaw = lpBalanceRaw * pool.reserveB / pool.totalSupply;
 
+          return {
+            pair: pairName,
+            symbolA,
+            symbolB,
+            pairAddress: pool.pairAddress,
+            lpBalance: this.formatTokenAmount(lpBalanceRaw, lpDecimals),
+            lpBalanceRaw,
+            totalSupplyRaw: pool.totalSupply,
+            share: FixedPoint.format(
+              FixedPoint.mulDiv(lpBalanceRaw, FixedPoint.pow10(6), pool.totalSupply),
+              4,
+              4
+            ),
+            amountA: this.formatTokenAmount(amountARaw, pool.tokenA.decimals),
+            amountARaw,
+            amountB: this.formatTokenAmount(amountBRaw, pool.tokenB.decimals),
+            amountBRaw
+          };
+        } catch (error) {
+          console.warn(`Failed to read ${pairName} LP position:`, error);
+          return null;
+        }
+      })
+    );
+
+    return positions.filter(Boolean);
+  },
+
+  /**
+   * Quote the matching deposit for one side of a pool
+   * @param {string} symbolA - First token symbol
+   * @param {string} symbolB - Second token symbol
+   * @param {string} amount - Human-readable amount entered for one side
+   * @param {string} side - 'a' if amount is token A, 'b' if it is token B
+   * @returns {Promise<Object>} Deposit quote with both amounts and expected pool share
+   */
+  async getAddLiquidityQuote(symbolA, symbolB, amount, side = 'a') {
     try {
-      const accountHash = CLPublicKey.fromHex(ownerPublicKey).toAccountHashStr();
-      const routerHash = EctoplasmConfig.contracts.router;
+      const pool = await this.getPoolState(symbolA, symbolB);
+      if (!pool.exists) {
+        return { valid: false, error: 'Pool not deployed yet' };
+      }
 
-      const stateRootHash = await this.client.nodeClient.getStateRootHash();
-      const ownerKey = accountHash.replace('account-hash-', '');
-      const spenderKey = routerHash.replace('hash-', '');
+      // First deposit sets the price, so both sides are free
+      if (pool.reserveA === BigInt(0) || pool.reserveB === BigInt(0)) {
+        return { valid: true, empty: true, pool };
+      }
 
-      // CEP-18 allowances stored with composite key
-      const allowanceKey = `${ownerKey}_${spenderKey}`;
+      let amountARaw;
+      let amountBRaw;
+      if (side === 'b') {
+        amountBRaw = this.parseTokenAmount(amount, pool.tokenB.decimals);
+        amountARaw = this.quote(amountBRaw, pool.reserveB, pool.reserveA);
+      } else {
+        amountARaw = this.parseTokenAmount(amount, pool.tokenA.decimals);
+        amountBRaw = this.quote(amountARaw, pool.reserveA, pool.reserveB);
+      }
 
-      const result = await this.client.nodeClient.getDictionaryItemByName(
-        stateRootHash,
-        tokenHash.replace('hash-', ''),
-        'allowances',
-        allowanceKey
-      );
+      // LP minted = min(amountA * supply / reserveA, amountB * supply / reserveB)
+      let poolShare = '0.00';
+      if (pool.totalSupply > BigInt(0)) {
+        const mintedA = amountARaw * pool.totalSupply / pool.reserveA;
+        const mintedB = amountBRaw * pool.totalSupply / pool.reserveB;
+        const minted = mintedA < mintedB ? mintedA : mintedB;
+        poolShare = FixedPoint.format(
+          FixedPoint.mulDiv(minted, FixedPoint.pow10(4), pool.totalSupply + minted),
+          2,
+          2
+        );
+      }
 
-      const currentAllowance = BigInt(result?.CLValue?.data?.toString() || '0');
-      return currentAllowance >= amount;
+      return {
+        valid: true,
+        pool,
+        amountA: this.formatTokenAmount(amountARaw, pool.tokenA.decimals),
+        amountARaw,
+        amountB: this.formatTokenAmount(amountBRaw, pool.tokenB.decimals),
+        amountBRaw,
+        poolShare
+      };
     } catch (error) {
-      return false; // No allowance set
+      console.error('Liquidity quote error:', error);
+      return { valid: false, error: error.message || 'Failed to quote deposit' };
     }
   },
 
   /**
-   * Build and sign approval transaction
-   * @param {string} tokenHash - Token contract hash
-   * @param {bigint} amount - Amount to approve
+   * Quote the underlying tokens returned for burning LP tokens
+   * @param {string} symbolA - First token symbol
+   * @param {string} symbolB - Second token symbol
+   * @param {string} liquidity - Human-readable LP token amount
+   * @returns {Promise<Object>} Withdrawal quote
+   */
+  async getRemoveLiquidityQuote(symbolA, symbolB, liquidity) {
+    try {
+      const pool = await this.getPoolState(symbolA, symbolB);
+      if (!pool.exists || pool.totalSupply === BigInt(0)) {
+        return { valid: false, error: 'Pool has no liquidity' };
+      }
+
+      const liquidityRaw = this.parseTokenAmount(liquidity, EctoplasmConfig.liquidity.lpTokenDecimals);
+      if (liquidityRaw > pool.totalSupply) {
+        return { valid: false, error: 'Amount exceeds pool supply' };
+      }
+
+      const amountARaw = liquidityRaw * pool.reserveA / pool.totalSupply;
+      const amountBRaw = liquidityRaw * pool.reserveB / pool.totalSupply;
+
+      return {
+        valid: true,
+        pool,
+        liquidityRaw,
+        amountA: this.formatTokenAmount(amountARaw, pool.tokenA.decimals),
+        amountARaw,
+        amountB: this.formatTokenAmount(amountBRaw, pool.tokenB.decimals),
+        amountBRaw
+      };
+    } catch (error) {
+      console.error('Liquidity quote error:', error);
+      return { valid: false, error: error.message || 'Failed to quote withdrawal' };
+    }
+  },
+
+  /**
+   * Add liquidity to a pool
+   * Deposits the pool-ratio amounts closest to the desired ones, approving
+   * both tokens first.
+   * @param {string} symbolA - First token symbol
+   * @param {string} symbolB - Second token symbol
+   * @param {string} amountADesired - Human-readable amount of token A
+   * @param {string} amountBDesired - Human-readable amount of token B
+   * @param {number} slippagePercent - Slippage tolerance
    * @returns {Promise<string>} Deploy hash
    */
-  async approveToken(tokenHash, amount) {
+  async addLiquidity(symbolA, symbolB, amountADesired, amountBDesired, slippagePercent = EctoplasmConfig.swap.defaultSlippage) {
     this.ensureInit();
 
     if (!window.connectedAccount || !window.connectedWallet) {
       throw new Error('Wallet not connected');
     }
 
-    const publicKey = CLPublicKey.fromHex(window.connectedAccount);
-    const routerHash = EctoplasmConfig.contracts.router;
-    const gasLimit = EctoplasmConfig.gasLimits.approve;
-    const network = EctoplasmConfig.getNetwork();
-
-    // Build deploy arguments for CEP-18 approve
-    const args = RuntimeArgs.fromMap({
-      spender: CLValueBuilder.key(
-        CLValueBuilder.byteArray(
-          Uint8Array.from(Buffer.from(routerHash.replace('hash-', ''), 'hex'))
-        )
-      ),
-      amount: CLValueBuilder.u256(amount.toString())
-    });
+    const pool = await this.getPoolState(symbolA, symbolB);
+    if (!pool.exists) {
+      throw new Error('Pool does not exist');
+    }
 
-    // Build the deploy
-    const deploy = DeployUtil.makeDeploy(
-      new DeployUtil.DeployParams(
-        publicKey,
-        network.chainName,
-        1, // Gas price
-        3600000 // TTL: 1 hour
-      ),
-      DeployUtil.ExecutableDeployItem.newStoredContractByHash(
-        Uint8Array.from(Buffer.from(tokenHash.replace('hash-', ''), 'hex')),
-        'approve',
-        args
-      ),
-      DeployUtil.standardPayment(gasLimit)
+    const { amountA, amountB } = this.getOptimalLiquidityAmounts(
+      this.parseTokenAmount(amountADesired, pool.tokenA.decimals),
+      this.parseTokenAmount(amountBDesired, pool.tokenB.decimals),
+      pool.reserveA,
+      pool.reserveB
     );
 
-    // Sign with connected wallet
-    const signedDeploy = await this.signDeploy(deploy);
+    if (amountA <= BigInt(0) || amountB <= BigInt(0)) {
+      throw new Error('Deposit amounts must be greater than zero');
+    }
 
-    // Submit to network
-    const deployHash = await this.client.putDeploy(signedDeploy);
+    // Calculate minimum deposits with slippage
+    const amountAMin = FixedPoint.minusPercent(amountA, slippagePercent);
+    const amountBMin = FixedPoint.minusPercent(amountB, slippagePercent);
 
-    return deployHash;
+    const publicKey = CLPublicKey.fromHex(window.connectedAccount);
+    const to = CLValueBuilder.key(CLValueBuilder.byteArray(publicKey.toAccountHash()));
+    const deadline = CLValueBuilder.u64(Date.now() + (EctoplasmConfig.swap.deadlineMinutes * 60 * 1000));
+    const gasLimit = EctoplasmConfig.gasLimits.addLiquidity;
+    const formattedA = this.formatTokenAmount(amountA, pool.tokenA.decimals);
+    const formattedB = this.formatTokenAmount(amountB, pool.tokenB.decimals);
+    const record = {
+      type: 'add_liquidity',
+      summary: `Add ${formattedA} ${pool.tokenA.symbol} + ${formattedB} ${pool.tokenB.symbol}`,
+      tokens: [pool.tokenA.symbol, pool.tokenB.symbol],
+      amounts: [formattedA, formattedB]
+    };
+
+    await this.ensureRouterAllowance(pool.hashA, amountA);
+    await this.ensureRouterAllowance(pool.hashB, amountB);
+
+    const args = RuntimeArgs.fromMap({
+      token_a: this.hashToByteArray(pool.hashA),
+      token_b: this.hashToByteArray(pool.hashB),
+      amount_a_desired: CLValueBuilder.u256(amountA.toString()),
+      amount_b_desired: CLValueBuilder.u256(amountB.toString()),
+      amount_a_min: CLValueBuilder.u256(amountAMin.toString()),
+      amount_b_min: CLValueBuilder.u256(amountBMin.toString()),
+      to,
+      deadline
+    });
+
+    return this.submitRouterCall('add_liquidity', args, gasLimit, record);
   },
 
   /**
-   * Execute a swap transaction
-   * @param {Object} quote - Quote from getSwapQuote()
+   * Remove liquidity from a pool
+   * Approves the pair's LP token for the Router, then burns it for the
+   * underlying tokens.
+   * @param {string} symbolA - First token symbol
+   * @param {string} symbolB - Second token symbol
+   * @param {string} liquidity - Human-readable LP token amount
    * @param {number} slippagePercent - Slippage tolerance
    * @returns {Promise<string>} Deploy hash
    */
-  async executeSwap(quote, slippagePercent = EctoplasmConfig.swap.defaultSlippage) {
+  async removeLiquidity(symbolA, symbolB, liquidity, slippagePercent = EctoplasmConfig.swap.defaultSlippage) {
     this.ensureInit();
 
     if (!window.connectedAccount || !window.connectedWallet) {
       throw new Error('Wallet not connected');
     }
 
+    const quote = await this.getRemoveLiquidityQuote(symbolA, symbolB, liquidity);
     if (!quote.valid) {
-      throw new Error(quote.error || 'Invalid quote');
+      throw new Error(quote.error || 'Invalid withdrawal');
     }
 
-    if (quote.demo) {
-      throw new Error('Cannot execute swap: Token contracts not deployed');
+    const { pool, liquidityRaw } = quote;
+    if (liquidityRaw <= BigInt(0)) {
+      throw new Error('Withdrawal amount must be greater than zero');
     }
 
-    // Step 1: Check and request approval if needed
-    const hasAllowance = await this.checkAllowance(
-      quote.path[0],
-      window.connectedAccount,
-      quote.amountInRaw
-    );
-
-    if (!hasAllowance) {
-      console.log('Requesting token approval...');
-      const approvalHash = await this.approveToken(quote.path[0], quote.amountInRaw);
-      console.log('Approval submitted:', approvalHash);
+    // Calculate minimum outputs with slippage
+    const amountAMin = FixedPoint.minusPercent(quote.amountARaw, slippagePercent);
+    const amountBMin = FixedPoint.minusPercent(quote.amountBRaw, slippagePercent);
 
-      // Wait for approval to be processed
-      const approvalResult = await this.waitForDeploy(approvalHash);
-      if (!approvalResult.success) {
-        throw new Error(`Approval failed: ${approvalResult.error}`);
-      }
-    }
+    // The pair contract is the LP token
+    await this.ensureRouterAllowance(pool.pairAddress, liquidityRaw);
 
-    // Step 2: Build swap transaction
     const publicKey = CLPublicKey.fromHex(window.connectedAccount);
-    const routerHash = EctoplasmConfig.contracts.router;
-    const gasLimit = EctoplasmConfig.gasLimits.swap;
-    const network = EctoplasmConfig.getNetwork();
+    const to = CLValueBuilder.key(CLValueBuilder.byteArray(publicKey.toAccountHash()));
+    const deadline = CLValueBuilder.u64(Date.now() + (EctoplasmConfig.swap.deadlineMinutes * 60 * 1000));
+    const gasLimit = EctoplasmConfig.gasLimits.removeLiquidity;
+    const record = {
+      type: 'remove_liquidity',
+      summary: `Remove ${liquidity} ${pool.tokenA.symbol}/${pool.tokenB.symbol} LP`,
+      tokens: [pool.tokenA.symbol, pool.tokenB.symbol],
+      amounts: [quote.amountA, quote.amountB]
+    };
 
-    // Calculate deadline (current time + configured minutes)
-    const deadline = Date.now() + (EctoplasmConfig.swap.deadlineMinutes * 60 * 1000);
+    const args = RuntimeArgs.fromMap({
+      token_a: this.hashToByteArray(pool.hashA),
+      token_b: this.hashToByteArray(pool.hashB),
+      liquidity: CLValueBuilder.u256(liquidityRaw.toString()),
+      amount_a_min: CLValueBuilder.u256(amountAMin.toString()),
+      amount_b_min: CLValueBuilder.u256(amountBMin.toString()),
+      to,
+      deadline
+    });
 
-    // Calculate minimum output with slippage
-    const slippageMultiplier = BigInt(Math.floor((1 - slippagePercent / 100) * 10000));
-    const amountOutMin = quote.amountOutRaw * slippageMultiplier / BigInt(10000);
+    return this.submitRouterCall('remove_liquidity', args, gasLimit, record);
+  },
 
-    // Build path as list of contract hashes
-    const pathList = new CLList([
-      CLValueBuilder.byteArray(Uint8Array.from(Buffer.from(quote.path[0].replace('hash-', ''), 'hex'))),
-      CLValueBuilder.byteArray(Uint8Array.from(Buffer.from(quote.path[1].replace('hash-', ''), 'hex')))
-    ]);
+  // ============================================
+  // Event Stream (live state refresh)
+  // ============================================
 
-    const args = RuntimeArgs.fromMap({
-      amount_in: CLValueBuilder.u256(quote.amountInRaw.toString()),
-      amount_out_min: CLValueBuilder.u256(amountOutMin.toString()),
-      path: pathList,
-      to: CLValueBuilder.key(CLValueBuilder.byteArray(publicKey.toAccountHash())),
-      deadline: CLValueBuilder.u64(deadline)
-    });
+  /**
+   * Subscribe to the node SSE event stream
+   * Processed deploys touching the router, a configured pair or the connected
+   * account invalidate cached reads and emit a `casper:statechange` window
+   * event once the block containing them is added.
+   *
+   * For local testing, point the stream at a stand-in server either by
+   * passing its URL or by setting localStorage `ectoplasm-events-url`;
+   * scripts/sse-standin.js serves one.
+   *
+   * @param {string} [url] - SSE endpoint, defaults to the network's eventsUrl
+   */
+  startEventStream(url) {
+    if (typeof EventSource === 'undefined') return;
 
-    const deploy = DeployUtil.makeDeploy(
-      new DeployUtil.DeployParams(
-        publicKey,
-        network.chainName,
-        1,
-        3600000
-      ),
-      DeployUtil.ExecutableDeployItem.newStoredContractByHash(
-        Uint8Array.from(Buffer.from(routerHash.replace('hash-', ''), 'hex')),
-        'swap_exact_tokens_for_tokens',
-        args
-      ),
-      DeployUtil.standardPayment(gasLimit)
-    );
+    const streamUrl = url ||
+      localStorage.getItem('ectoplasm-events-url') ||
+      EctoplasmConfig.getNetwork().eventsUrl;
+    if (!streamUrl) return;
 
-    const signedDeploy = await this.signDeploy(deploy);
-    const deployHash = await this.client.putDeploy(signedDeploy);
+    this.stopEventStream();
 
-    return deployHash;
+    const source = new EventSource(streamUrl);
+    source.onmessage = (event) => this.handleStreamEvent(event.data);
+    source.onerror = () => {
+      // EventSource reconnects on its own; cached reads may have missed updates
+      console.warn('CasperService: event stream interrupted, reconnecting');
+      QueryCache.invalidate();
+    };
+    this.eventSource = source;
   },
 
   /**
-   * Sign deploy using connected wallet provider
+   * Close the SSE subscription and drop any queued change
    */
-  async signDeploy(deploy) {
-    const deployJson = DeployUtil.deployToJson(deploy);
-
-    if (window.connectedWallet === 'casperwallet') {
-      // CasperWallet browser extension
-      const provider = window.CasperWalletProvider();
-      const response = await provider.sign(
-        JSON.stringify(deployJson),
-        window.connectedAccount
-      );
-      
-      // Handle different response formats from CasperWallet
-      let signatureHex;
-      if (response.signature) {
-        signatureHex = response.signature;
-      } else if (response.deploy?.approvals?.[0]?.signature) {
-        signatureHex = response.deploy.approvals[0].signature;
-      } else {
-        throw new Error('Invalid signature response from CasperWallet');
-      }
-      
-      // Ensure signature is properly formatted (with algorithm prefix)
-      if (!signatureHex.startsWith('01') && !signatureHex.startsWith('02')) {
-        // Add the appropriate signature prefix based on key type (01=Ed25519, 02=Secp256k1)
-        const publicKey = CLPublicKey.fromHex(window.connectedAccount);
-        const keyType = publicKey.isEd25519() ? '01' : '02';
-        signatureHex = keyType + signatureHex;
-      }
-      
-      return DeployUtil.setSignature(
-        deploy,
-        signatureHex,
-        CLPublicKey.fromHex(window.connectedAccount)
-      );
-    } else if (window.connectedWallet === 'caspersigner') {
-      // Casper Signer (legacy)
-      const helper = window.casperlabsHelper || window.CasperWallet;
-      const signedDeployJson = await helper.sign(
-        deployJson,
-        window.connectedAccount
-      );
-      
-      // Handle both direct JSON and wrapped response formats
-      const deployData = signedDeployJson.deploy || signedDeployJson;
-      const result = DeployUtil.deployFromJson(deployData);
-      if (result.err) {
-        throw new Error(`Failed to parse signed deploy: ${result.err}`);
-      }
-      return result.unwrap();
-    } else if (window.connectedWallet === 'csprcloud') {
-      // CSPR.Cloud wallet
-      const signedDeployJson = await window.csprclick.sign(deployJson);
-      
-      // Handle both direct JSON and wrapped response formats
-      const deployData = signedDeployJson.deploy || signedDeployJson;
-      const result = DeployUtil.deployFromJson(deployData);
-      if (result.err) {
-        throw new Error(`Failed to parse signed deploy: ${result.err}`);
+  stopEventStream() {
+    if (this.eventSource) {
+      this.eventSource.close();
+      this.eventSource = null;
+    }
+    clearTimeout(this.pendingChangeTimer);
+    this.pendingChange = null;
+    this.pendingChangeTimer = null;
+  },
+
+  /**
+   * Handle one SSE message (1.x DeployProcessed or 2.x TransactionProcessed)
+   * @param {string} raw - JSON message body
+   */
+  handleStreamEvent(raw) {
+    let event;
+    try {
+      event = JSON.parse(raw);
+    } catch (e) {
+      return; // Keep-alives and non-JSON comments
+    }
+
+    if (event.BlockAdded) {
+      const block = event.BlockAdded.block || {};
+      const header = block.header || block.Version2?.header || block.Version1?.header;
+      if (header?.state_root_hash) {
+        QueryCache.pinBlock(header.state_root_hash, header.height ?? null);
       }
-      return result.unwrap();
+      this.flushStateChange();
+      return;
     }
 
-    throw new Error(`Unsupported wallet: ${window.connectedWallet}`);
+    const processed = event.DeployProcessed || event.TransactionProcessed;
+    if (!processed) return;
+
+    const touches = this.getDeployTouches(processed);
+    if (!touches) return;
+
+    QueryCache.invalidate();
+    this.queueStateChange(touches);
   },
 
   /**
-   * Wait for deploy to be processed
-   * @param {string} deployHash - The deploy hash to wait for
-   * @param {number} timeoutMs - Timeout in milliseconds
+   * Work out which watched contracts and accounts a processed deploy touched
+   * @param {Object} processed - DeployProcessed / TransactionProcessed payload
+   * @returns {{router: boolean, account: boolean, pairs: string[]}|null} Null when irrelevant
    */
-  async waitForDeploy(deployHash, timeoutMs = 120000) {
-    const startTime = Date.now();
-    const pollInterval = 2000;
+  getDeployTouches(processed) {
+    const payload = JSON.stringify(processed).toLowerCase();
+    const has = (hash) => !!hash && payload.includes(hash.replace(/^(hash-|account-hash-)/, '').toLowerCase());
 
-    while (Date.now() - startTime < timeoutMs) {
-      try {
-        const result = await this.client.nodeClient.getDeployInfo(deployHash);
+    const router = has(EctoplasmConfig.contracts.router);
+    const pairs = Object.entries(EctoplasmConfig.contracts.pairs)
+      .filter(([, pairHash]) => has(pairHash))
+      .map(([pairName]) => pairName);
 
-        if (result.execution_results?.length > 0) {
-          const execResult = result.execution_results[0];
-          if (execResult.result.Success) {
-            return { success: true, result: execResult };
-          } else {
-            return {
-              success: false,
-              error: execResult.result.Failure?.error_message || 'Transaction failed'
-            };
-          }
+    let account = false;
+    if (window.connectedAccount) {
+      const initiator = processed.account ||
+        processed.initiator_addr?.PublicKey ||
+        '';
+      account = initiator.toLowerCase() === window.connectedAccount.toLowerCase() ||
+        has(window.connectedAccount);
+      if (!account) {
+        try {
+          account = has(CLPublicKey.fromHex(window.connectedAccount).toAccountHashStr());
+        } catch (e) {
+          // Malformed key, treat as untouched
         }
-      } catch (e) {
-        // Deploy not found yet, continue polling
       }
+    }
 
-      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    if (!router && !account && pairs.length === 0) return null;
+    return { router, account, pairs };
+  },
+
+  /**
+   * Merge a change into the queue; it is emitted on the next BlockAdded so
+   * listeners read state that already includes the deploy
+   */
+  queueStateChange(touches) {
+    const pending = this.pendingChange || { router: false, account: false, pairs: [] };
+    pending.router = pending.router || touches.router;
+    pending.account = pending.account || touches.account;
+    pending.pairs = [...new Set([...pending.pairs, ...touches.pairs])];
+    this.pendingChange = pending;
+
+    if (!this.pendingChangeTimer) {
+      this.pendingChangeTimer = setTimeout(
+        () => this.flushStateChange(),
+        EctoplasmConfig.cache.eventFlushDelay
+      );
     }
+  },
 
-    return { success: false, error: 'Transaction timed out' };
+  /**
+   * Emit the queued change as a `casper:statechange` window event
+   */
+  flushStateChange() {
+    clearTimeout(this.pendingChangeTimer);
+    this.pendingChangeTimer = null;
+
+    const change = this.pendingChange;
+    this.pendingChange = null;
+    if (!change) return;
+
+    emitWindowEvent('casper:statechange', change);
   },
 
   // ============================================
@@ -772,6 +4648,7 @@ const CasperService = {
 
   /**
    * Format token amount with decimals for display
+   * Truncated (never rounded up) to 6 decimal places, trailing zeros trimmed
    * @param {bigint} amount - Raw amount
    * @param {number} decimals - Token decimals
    * @returns {string} Formatted amount
@@ -781,41 +4658,28 @@ const CasperService = {
       amount = BigInt(amount || 0);
     }
 
-    const divisor = BigInt(10 ** decimals);
-    const intPart = amount / divisor;
-    const fracPart = amount % divisor;
-
-    // Pad fraction to full decimal places, then trim trailing zeros
-    const fracStr = fracPart.toString().padStart(decimals, '0');
-    // Keep up to 6 decimal places for display
-    const trimmedFrac = fracStr.slice(0, 6).replace(/0+$/, '');
-
-    if (trimmedFrac) {
-      return `${intPart}.${trimmedFrac}`;
-    }
-    return intPart.toString();
+    return FixedPoint.format(amount, decimals, 6, { trim: true });
   },
 
   /**
    * Parse human-readable amount to raw BigInt
+   * Digits beyond the token's decimals are truncated
    * @param {string} amount - Human-readable amount
    * @param {number} decimals - Token decimals
    * @returns {bigint} Raw amount
    */
   parseTokenAmount(amount, decimals) {
-    const str = amount.toString();
-    const parts = str.split('.');
-    const intPart = parts[0] || '0';
-    const fracPart = (parts[1] || '').padEnd(decimals, '0').slice(0, decimals);
-    return BigInt(intPart + fracPart);
+    return FixedPoint.parse(amount, decimals, FixedPoint.ROUND_DOWN);
   }
 };
 
-// Auto-initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-  // Delay init slightly to ensure SDK is loaded
-  setTimeout(() => CasperService.init(), 100);
-});
+// Auto-initialize when DOM is ready (headless runners call init() themselves)
+if (typeof document !== 'undefined') {
+  document.addEventListener('DOMContentLoaded', () => {
+    // Delay init slightly to ensure SDK is loaded
+    setTimeout(() => CasperService.init(), 100);
+  });
+}
 
 // Export for module systems if available
 if (typeof module !== 'undefined' && module.exports) {
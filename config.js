@@ -4,73 +4,161 @@
  */
 const EctoplasmConfig = {
   // Network Configuration
+  // Each network carries its own contract and token sets; EctoplasmConfig.contracts
+  // and EctoplasmConfig.tokens always resolve to the current network's sets
   networks: {
     testnet: {
       name: 'Casper Testnet',
-      rpcUrl: 'https://rpc.testnet.casperlabs.io/rpc',
+      // RPC nodes in order of preference; the pool fails over between them
+      rpcUrls: [
+        'https://rpc.testnet.casperlabs.io/rpc',
+        'https://node.testnet.casper.network/rpc',
+      ],
+      // Node SSE endpoint used to refresh balances and reserves live
+      eventsUrl: 'https://node.testnet.casper.network/events',
+      // Node serving speculative_exec for gas estimation. Nodes run it on a
+      // separate port (7778 by default) and public nodes disable it, so
+      // estimation is off until an operator sets an HTTPS endpoint here and
+      // adds its origin to connect-src in vercel.json,
+      // e.g. 'https://my-node.example:7778/rpc'. Null: pay the gasLimits below
+      speculativeRpcUrl: null,
+      explorerUrl: 'https://testnet.cspr.live',
       chainName: 'casper-test',
+
+      // Contract Package Hashes
+      contracts: {
+        factory: 'hash-b42ef2718fd368fb40564b2c655550de5f5157b9d3788463ce4a7492db100816',
+        router: 'hash-344a719930ebca4c37525d5801400b24b7f007a56f3426e9a5777cd6f56faca1',
+        lpToken: 'hash-16eacd913f576394fbf114f652504e960367be71b560795fb9d7cf4d5c98ea68',
+        // Trading pair contracts (with initial liquidity)
+        pairs: {
+          'ECTO/USDC': 'hash-7a9d232fb79ae73ad24f2f40f76ec97757df9f40c60913477b67e912a5ac7ddf',
+          'WETH/USDC': 'hash-3a580a704165ce3fc5c4216819f372a19b765b736ecd89b009fa04725ebba0bf',
+          'WBTC/USDC': 'hash-35db4ae07d69915fc04ef5441642911da75f48b05c0b55f31b59a9ae0504c8bf',
+        },
+      },
+
+      // Token Configuration
+      // Built-in set, used until the token lists load (see tokenLists below)
+      tokens: {
+        CSPR: {
+          hash: null, // Native token, no contract needed
+          symbol: 'CSPR',
+          decimals: 9, // CSPR uses 9 decimals (motes)
+          name: 'Casper',
+          icon: '/assets/tokens/cspr.svg',
+          native: true // No contract: CSPR pairs are not routable yet
+        },
+        ECTO: {
+          hash: 'hash-fb7c662bca66d1a32018ac6529b4ee588cf13178370ae5b59f979ae6e5e96029',
+          symbol: 'ECTO',
+          decimals: 18,
+          name: 'Ectoplasm Token',
+          icon: null
+        },
+        USDC: {
+          hash: 'hash-85c1770e3dd4e951d37b8ea9b0047fed7fb68578eb4006477d31f019b6d4d1ca',
+          symbol: 'USDC',
+          decimals: 6,
+          name: 'USD Coin',
+          icon: null
+        },
+        WETH: {
+          hash: 'hash-01db8d5ecf32d600c0f601b76a094ed5bb982226d5e0430386077bb7bf4a6a07',
+          symbol: 'WETH',
+          decimals: 18,
+          name: 'Wrapped Ether',
+          icon: null
+        },
+        WBTC: {
+          hash: 'hash-e0d728136c25fd7345a1e75a5a9d483498025cee516a948a38e95a39a3ba891c',
+          symbol: 'WBTC',
+          decimals: 8,
+          name: 'Wrapped Bitcoin',
+          icon: null
+        }
+      },
     },
     mainnet: {
       name: 'Casper Mainnet',
-      rpcUrl: 'https://rpc.mainnet.casperlabs.io/rpc',
+      rpcUrls: [
+        'https://rpc.mainnet.casperlabs.io/rpc',
+        'https://node.mainnet.casper.network/rpc',
+      ],
+      eventsUrl: 'https://node.mainnet.casper.network/events',
+      speculativeRpcUrl: null,
+      explorerUrl: 'https://cspr.live',
       chainName: 'casper',
+
+      // Not deployed yet: quotes run in demo mode until hashes are filled in
+      contracts: {
+        factory: null,
+        router: null,
+        lpToken: null,
+        pairs: {},
+      },
+
+      tokens: {
+        CSPR: {
+          hash: null,
+          symbol: 'CSPR',
+          decimals: 9,
+          name: 'Casper',
+          icon: '/assets/tokens/cspr.svg',
+          native: true
+        },
+        ECTO: { hash: null, symbol: 'ECTO', decimals: 18, name: 'Ectoplasm Token', icon: null },
+        USDC: { hash: null, symbol: 'USDC', decimals: 6, name: 'USD Coin', icon: null },
+        WETH: { hash: null, symbol: 'WETH', decimals: 18, name: 'Wrapped Ether', icon: null },
+        WBTC: { hash: null, symbol: 'WBTC', decimals: 8, name: 'Wrapped Bitcoin', icon: null }
+      },
     }
   },
 
-  // Current Network (toggle for deployment)
+  // Current Network (restored from the selector, see setNetwork())
+  defaultNetwork: 'testnet',
   currentNetwork: 'testnet',
+  networkStorageKey: 'ectoplasm-network',
 
-  // Contract Package Hashes (deployed on testnet)
-  contracts: {
-    factory: 'hash-b42ef2718fd368fb40564b2c655550de5f5157b9d3788463ce4a7492db100816',
-    router: 'hash-344a719930ebca4c37525d5801400b24b7f007a56f3426e9a5777cd6f56faca1',
-    lpToken: 'hash-16eacd913f576394fbf114f652504e960367be71b560795fb9d7cf4d5c98ea68',
-    // Trading pair contracts (with initial liquidity)
-    pairs: {
-      'ECTO/USDC': 'hash-7a9d232fb79ae73ad24f2f40f76ec97757df9f40c60913477b67e912a5ac7ddf',
-      'WETH/USDC': 'hash-3a580a704165ce3fc5c4216819f372a19b765b736ecd89b009fa04725ebba0bf',
-      'WBTC/USDC': 'hash-35db4ae07d69915fc04ef5441642911da75f48b05c0b55f31b59a9ae0504c8bf',
-    },
+  // Active network's contract and token sets
+  get contracts() {
+    return this.getNetwork().contracts;
   },
 
-  // Token Configuration
-  // Note: Token contracts need to be deployed and hashes updated here
-  tokens: {
-    CSPR: {
-      hash: null, // Native token, no contract needed
-      symbol: 'CSPR',
-      decimals: 9, // CSPR uses 9 decimals (motes)
-      name: 'Casper',
-      icon: null
-    },
-    ECTO: {
-      hash: 'hash-fb7c662bca66d1a32018ac6529b4ee588cf13178370ae5b59f979ae6e5e96029',
-      symbol: 'ECTO',
-      decimals: 18,
-      name: 'Ectoplasm Token',
-      icon: null
-    },
-    USDC: {
-      hash: 'hash-85c1770e3dd4e951d37b8ea9b0047fed7fb68578eb4006477d31f019b6d4d1ca',
-      symbol: 'USDC',
-      decimals: 6,
-      name: 'USD Coin',
-      icon: null
-    },
-    WETH: {
-      hash: 'hash-01db8d5ecf32d600c0f601b76a094ed5bb982226d5e0430386077bb7bf4a6a07',
-      symbol: 'WETH',
-      decimals: 18,
-      name: 'Wrapped Ether',
-      icon: null
-    },
-    WBTC: {
-      hash: 'hash-e0d728136c25fd7345a1e75a5a9d483498025cee516a948a38e95a39a3ba891c',
-      symbol: 'WBTC',
-      decimals: 8,
-      name: 'Wrapped Bitcoin',
-      icon: null
-    }
+  get tokens() {
+    return this.getNetwork().tokens;
+  },
+
+  // RPC Node Pool
+  rpc: {
+    requestTimeout: 10000,       // 10 seconds per node call before failing over
+    healthCheckInterval: 30000,  // Re-rank nodes every 30 seconds
+    maxBlockLag: 3,              // Blocks behind the best node before marked unhealthy
+  },
+
+  // Query Cache
+  cache: {
+    stateRootTtl: 8000,          // Re-check for a new block after 8 seconds
+    eventFlushDelay: 20000,      // Refresh anyway if no block follows a relevant deploy
+  },
+
+  // Transaction Tracker
+  transactions: {
+    maxStored: 50,               // Keep the 50 most recent transactions
+    expireAfter: 4500000,        // 75 minutes: deploy TTL (1 hour) plus margin
+  },
+
+  // Token Lists
+  // JSON documents (see tokenlists/tokenlist.schema.json) merged into the
+  // current network's tokens. Remote lists need their origin in the CSP
+  // connect-src, and their logo hosts in img-src (vercel.json).
+  tokenLists: {
+    sources: [
+      // Higher priority wins when lists give one symbol to different contracts
+      { url: '/tokenlists/ectoplasm.tokenlist.json', priority: 100 },
+    ],
+    fetchTimeout: 8000,          // 8 seconds per list before using the cached copy
+    cacheKey: 'ectoplasm-token-lists',
   },
 
   // Swap Settings
@@ -79,21 +167,90 @@ const EctoplasmConfig = {
     maxSlippage: 50.0,           // 50% max
     deadlineMinutes: 20,         // Transaction deadline
     feePercent: 0.3,             // 0.3% swap fee (matches contract: 997/1000)
+    maxHops: 3,                  // Longest route the router will consider
+    maxQuoteDrift: 0.5,          // Re-confirm if the price worsens by more than 0.5% before signing
+  },
+
+  // Limit Orders (rest in the browser, execute through the Router)
+  orders: {
+    storageKey: 'ectoplasm-orders',
+    pollInterval: 15000,         // Re-quote open orders every 15 seconds
+    defaultExpiry: 86400000,     // Orders expire after 24 hours unless set otherwise
+    executionTimeout: 600000,    // Release an order stuck mid-signing after 10 minutes
+    maxHistory: 50,              // Keep the 50 most recent finished orders
+  },
+
+  // Scheduled (DCA / TWAP) Orders
+  schedules: {
+    storageKey: 'ectoplasm-schedules',
+    pollInterval: 15000,         // Look for due slices every 15 seconds
+    minInterval: 300000,         // Slices run at least 5 minutes apart
+    retryDelay: 60000,           // Retry a slice that could not be submitted after 1 minute
+    executionTimeout: 600000,    // Release a schedule stuck mid-signing after 10 minutes
+    maxLogEntries: 100,          // Keep the 100 most recent log entries per schedule
+  },
+
+  // Liquidity Settings
+  liquidity: {
+    lpTokenDecimals: 18,         // Pair contracts are CEP-18 LP tokens
+  },
+
+  // Token Approvals
+  approvals: {
+    defaultMode: 'exact',        // 'exact' approves each spend, 'unlimited' approves once
+    modeStorageKey: 'ectoplasm-approval-mode',
   },
 
   // Gas Limits (in motes - 1 CSPR = 1,000,000,000 motes)
   gasLimits: {
     approve: '3000000000',       // 3 CSPR
     swap: '15000000000',         // 15 CSPR
+    swapHop: '5000000000',       // 5 CSPR per extra hop on multi-hop routes
     addLiquidity: '20000000000', // 20 CSPR
     removeLiquidity: '15000000000', // 15 CSPR
   },
 
+  // USD Price Oracle (derived from pool reserves)
+  prices: {
+    quoteSymbol: 'USDC',         // Priced at $1; other tokens are priced through pools against it
+    maxHops: 3,                  // Furthest a token may be from the quote token
+    minLiquidityUsd: 1000,       // Pools with less liquidity are too easy to move to price from
+    twapWindow: 600000,          // Time-weighted average over the last 10 minutes
+    refreshInterval: 60000,      // Sample pool prices every minute
+    maxReferenceDeviation: 0.05, // Flag prices more than 5% away from CoinGecko
+    samplesKey: 'ectoplasm-price-samples',
+  },
+
+  // Gas Estimation (speculative execution)
+  gas: {
+    safetyMargin: 1.2,           // Pay 20% above the simulated cost
+    probeMultiplier: 2,          // Simulate with 2x the config limit so it cannot run out
+  },
+
   // Helper to get current network config
   getNetwork() {
     return this.networks[this.currentNetwork];
   },
 
+  /**
+   * Make another network current and remember the choice
+   * Callers re-initialize CasperService afterwards (CasperService.switchNetwork)
+   * @param {string} networkId - Key of this.networks
+   * @returns {Object} The new network config
+   */
+  setNetwork(networkId) {
+    if (!this.networks[networkId]) {
+      throw new Error(`Unknown network: ${networkId}`);
+    }
+    this.currentNetwork = networkId;
+    try {
+      localStorage.setItem(this.networkStorageKey, networkId);
+    } catch (e) {
+      // Storage unavailable; the choice lasts for this page only
+    }
+    return this.getNetwork();
+  },
+
   // Helper to find token by symbol
   getToken(symbol) {
     return this.tokens[symbol?.toUpperCase()] || null;
@@ -104,20 +261,50 @@ const EctoplasmConfig = {
     return Object.values(this.tokens).find(t => t.hash === hash) || null;
   },
 
+  // Helper to get the contract hash used in pools and router paths
+  // (null for native CSPR, which has no contract to route through)
+  getRoutingHash(symbol) {
+    return this.getToken(symbol)?.hash || null;
+  },
+
   // Check if token contracts are deployed
   areTokensDeployed() {
     return this.tokens.ECTO.hash !== null;
   }
 };
 
+// Restore the network chosen in an earlier visit
+try {
+  const savedNetwork = localStorage.getItem(EctoplasmConfig.networkStorageKey);
+  if (savedNetwork && EctoplasmConfig.networks[savedNetwork]) {
+    EctoplasmConfig.currentNetwork = savedNetwork;
+  }
+} catch (e) {
+  // Storage unavailable; keep the default network
+}
+
 // Freeze config objects to prevent accidental modification
 Object.freeze(EctoplasmConfig.networks);
-Object.freeze(EctoplasmConfig.networks.testnet);
-Object.freeze(EctoplasmConfig.networks.mainnet);
-Object.freeze(EctoplasmConfig.contracts);
+Object.values(EctoplasmConfig.networks).forEach(network => {
+  Object.freeze(network);
+  Object.freeze(network.rpcUrls);
+  Object.freeze(network.contracts);
+  Object.freeze(network.contracts.pairs);
+});
+Object.freeze(EctoplasmConfig.rpc);
+Object.freeze(EctoplasmConfig.cache);
+Object.freeze(EctoplasmConfig.transactions);
 Object.freeze(EctoplasmConfig.swap);
+Object.freeze(EctoplasmConfig.liquidity);
+Object.freeze(EctoplasmConfig.orders);
+Object.freeze(EctoplasmConfig.schedules);
+Object.freeze(EctoplasmConfig.approvals);
+Object.freeze(EctoplasmConfig.tokenLists);
+Object.freeze(EctoplasmConfig.tokenLists.sources);
 Object.freeze(EctoplasmConfig.gasLimits);
-// Note: tokens not frozen so hashes can be updated after deployment
+Object.freeze(EctoplasmConfig.gas);
+Object.freeze(EctoplasmConfig.prices);
+// Note: token sets not frozen so hashes can be updated after deployment
 
 // Export for module systems if available
 if (typeof module !== 'undefined' && module.exports) {
@@ -29,13 +29,6 @@
 // CONSTANTS & CONFIGURATION
 // ============================================================================
 
-/**
- * Casper Wallet Application ID
- * Used for wallet connection requests with CSPR.CLOUD and CasperWallet
- * @constant {string}
- */
-const CSPR_WALLET_APP_ID = '019ae32b-4115-7d44-b2c3-a8091354c9a2';
-
 /**
  * Price ticker configuration
  * @constant {number}
@@ -51,6 +44,8 @@ const API_TIMEOUT = 10_000;                 // 10 seconds API timeout
  */
 const MAX_REASONABLE_SWAP = 1_000_000; // Maximum reasonable swap amount
 const WALLET_CONNECTION_TIMEOUT = 30_000; // 30 seconds wallet connection timeout
+const WALLET_SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // Restored sessions expire after 7 days
+const WALLET_DETECT_TIMEOUT = 1_500;      // Wait for extensions to inject their provider
 
 /**
  * Performance thresholds
@@ -256,6 +251,50 @@ document.addEventListener('DOMContentLoaded', () => {
   setupPopouts();         // Settings/details/network popovers
   performanceMonitor.end('setupPopouts', false);
   
+  performanceMonitor.start('setupNodeStatus');
+  setupNodeStatus();      // Active RPC node in network popover
+  performanceMonitor.end('setupNodeStatus', false);
+  
+  performanceMonitor.start('setupNetworkSelector');
+  setupNetworkSelector(); // Testnet/mainnet switch in network popover
+  performanceMonitor.end('setupNetworkSelector', false);
+  
+  performanceMonitor.start('setupStateSync');
+  setupStateSync();       // Live balance/LP refresh from the event stream
+  performanceMonitor.end('setupStateSync', false);
+  
+  performanceMonitor.start('setupTransactionTracker');
+  setupTransactionTracker(); // Recent transactions panels
+  performanceMonitor.end('setupTransactionTracker', false);
+  
+  performanceMonitor.start('setupLimitOrders');
+  setupLimitOrders();     // Limit/stop/take-profit watcher, order list and history
+  performanceMonitor.end('setupLimitOrders', false);
+  
+  performanceMonitor.start('setupScheduler');
+  setupScheduler();       // DCA/TWAP scheduler, schedule form and execution log
+  performanceMonitor.end('setupScheduler', false);
+  
+  performanceMonitor.start('setupPriceOracle');
+  setupPriceOracle();     // USD prices from pool reserves
+  performanceMonitor.end('setupPriceOracle', false);
+  
+  performanceMonitor.start('setupTokenLists');
+  setupTokenLists();      // Token list documents and logos in the token selects
+  performanceMonitor.end('setupTokenLists', false);
+  
+  performanceMonitor.start('setupCustomTokens');
+  setupCustomTokens();    // Imported CEP-18 tokens in the swap token selects
+  performanceMonitor.end('setupCustomTokens', false);
+  
+  performanceMonitor.start('setupAllowanceManager');
+  setupAllowanceManager(); // Approval mode setting and router allowance lists
+  performanceMonitor.end('setupAllowanceManager', false);
+  
+  performanceMonitor.start('setupLiquidityForms');
+  setupLiquidityForms();  // Deposit/withdraw forms in pool popouts
+  performanceMonitor.end('setupLiquidityForms', false);
+  
   performanceMonitor.start('setupPromoSlider');
   setupPromoSlider();     // Launchpad promotional budget slider
   performanceMonitor.end('setupPromoSlider', false);
@@ -308,39 +347,83 @@ function hydrateTheme(){
  * Restores the wallet connection state from a previous session if available.
  * This ensures users stay logged in when navigating between pages.
  * 
- * Priority order:
- * 1. User's saved wallet connection in localStorage
- * 2. No connection (user needs to connect)
+ * The stored session is only trusted once the wallet confirms it:
+ * 1. Sessions older than WALLET_SESSION_MAX_AGE expire; sessions without a
+ *    timestamp go straight to verification and are stamped once it passes
+ * 2. The wallet must be installed and still connected to the site
+ * 3. A locked wallet restores the session with signing paused
+ * 4. A different active key replaces the stored one
+ * Anything else leaves a "reconnect" state on the connect button.
  * 
  * Called on page load to restore the user's wallet connection
  */
-function hydrateWalletConnection() {
+async function hydrateWalletConnection() {
   const storedWallet = localStorage.getItem('ectoplasm-connected-wallet');
   const storedAccount = localStorage.getItem('ectoplasm-connected-account');
-  
-  if (storedWallet && storedAccount) {
-    // Restore global state for contract interactions
-    window.connectedWallet = storedWallet;
-    window.connectedAccount = storedAccount;
-    
-    // Update UI with restored connection
-    const connectBtn = document.getElementById('connectWallet');
-    if (connectBtn) {
-      const shortKey = typeof storedAccount === 'string' && storedAccount.length > 12
-        ? `${storedAccount.slice(0, 6)}…${storedAccount.slice(-4)}`
-        : storedAccount;
-      
-      connectBtn.textContent = `Connected: ${shortKey}`;
-      connectBtn.classList.add('connected');
-      connectBtn.disabled = false;
-    }
-    
-    // Update wallet status badge
-    updateWalletStatus(`Connected via ${storedWallet}`);
-  }
+  // Sessions saved before timestamps were recorded have none; verify those now
+  const connectedAt = parseInt(localStorage.getItem('ectoplasm-connected-at'), 10) || null;
 
   // Update dashboard visibility based on connection state
   updateDashboardVisibility();
+
+  if (!storedWallet || !storedAccount) return;
+
+  if (connectedAt && Date.now() - connectedAt > WALLET_SESSION_MAX_AGE) {
+    expireWalletSession('Session expired');
+    return;
+  }
+
+  const wallet = WalletRegistry.get(storedWallet);
+  walletSessionState = 'verifying';
+  updateConnectButton();
+  updateWalletStatus(`Verifying ${getWalletName(storedWallet)}…`);
+
+  const session = wallet
+    ? await WalletRegistry.verifySession(wallet.id, WALLET_DETECT_TIMEOUT)
+    : { status: 'unavailable' };
+
+  if (session.status === 'unavailable') {
+    expireWalletSession(`${getWalletName(storedWallet)} not detected`);
+    return;
+  }
+  if (session.status === 'disconnected') {
+    expireWalletSession(`${getWalletName(storedWallet)} disconnected`);
+    return;
+  }
+
+  // Restore global state for contract interactions
+  walletSessionState = null;
+  window.connectedWallet = storedWallet;
+  window.connectedAccount = session.publicKey || storedAccount;
+  window.walletLocked = session.status === 'locked';
+  localStorage.setItem('ectoplasm-connected-account', window.connectedAccount);
+  localStorage.setItem('ectoplasm-connected-at', String(Date.now()));
+
+  // Update UI with restored connection
+  updateConnectButton();
+  updateWalletStatus(window.walletLocked
+    ? 'Wallet locked · unlock to sign'
+    : `Connected via ${wallet.name}`);
+
+  // Follow account switches, locks and disconnects made in the wallet
+  subscribeWalletEvents(wallet);
+  refreshAccountViews();
+}
+
+/**
+ * Drop a restored session the wallet no longer backs and ask to reconnect
+ * 
+ * @param {string} reason - Why the session ended, shown in the status badge
+ */
+function expireWalletSession(reason){
+  localStorage.removeItem('ectoplasm-connected-wallet');
+  localStorage.removeItem('ectoplasm-connected-account');
+  localStorage.removeItem('ectoplasm-connected-at');
+
+  walletSessionState = 'reconnect';
+  updateConnectButton();
+  updateWalletStatus(`${reason} · reconnect`);
+  console.log(`Wallet session not restored: ${reason}`);
 }
 
 /**
@@ -404,6 +487,8 @@ async function initPriceTicker(){
       
       if(!isNaN(price)) {
         el.textContent = `CSPR $${price.toFixed(2)}`;
+        // Cross-check only: on-chain USD prices come from PriceOracle
+        if(typeof PriceOracle !== 'undefined') PriceOracle.setReferencePrice('CSPR', price);
         el.setAttribute('data-last-update', new Date().toISOString());
         failureCount = 0; // Reset failure count on success
         
@@ -513,28 +598,43 @@ function activateSwapNav(){
 // ============================================================================
 
 /**
- * Handle wallet connection request
+ * Translate a wallet connection error into a user-facing message
  * 
- * Supports three Casper wallet providers:
- * 1. CasperWallet - Browser extension wallet (window.CasperWalletProvider)
- * 2. CasperSigner - Official Casper Labs wallet (window.casperlabsHelper or window.CasperWallet)
- * 3. CSPR.CLOUD - Cloud-based wallet service (window.csprclick)
+ * @param {Error} err - Error thrown while connecting
+ * @returns {string} Message to show in the wallet picker
+ */
+function getWalletErrorMessage(err){
+  const message = err?.message || '';
+  if(message === 'NO_WALLET_DETECTED'){
+    return 'No Casper wallet detected. Install one of the wallets below, then reload the page.';
+  }
+  if(message === 'CONNECTION_TIMEOUT'){
+    return 'Wallet connection timed out. Please check your wallet extension and try again.';
+  }
+  if(message === 'NO_ACTIVE_ACCOUNT'){
+    return 'The wallet did not return an account. Unlock it and select an account, then try again.';
+  }
+  if(message.includes('User rejected')){
+    return 'Wallet connection rejected. Please approve the connection request in your wallet.';
+  }
+  return 'Wallet connection failed. Please try again.';
+}
+
+/**
+ * Connect to a specific wallet adapter
  * 
  * Flow:
- * 1. Detect available wallet providers
- * 2. Prompt user to select if multiple are available
- * 3. Request connection with selected wallet
- * 4. Display connected account in UI
- * 5. Store connection state in window global for contract interactions
- * 
- * Enhancements:
- * - Better error messages for user guidance
- * - Timeout protection for hanging connections
- * - Loading state indication
+ * 1. Request connection from the wallet (with timeout protection)
+ * 2. Display connected account in UI
+ * 3. Store connection state in window global and localStorage
+ * 4. Refresh balances, LP positions and transactions
  * 
  * @async
+ * @param {Object} wallet - Adapter from WalletRegistry
+ * @returns {Promise<string>} Connected public key
+ * @throws {Error} CONNECTION_TIMEOUT, NO_ACTIVE_ACCOUNT or the wallet's own error
  */
-async function connectWalletHandler(){
+async function connectWithWallet(wallet){
   const connectBtn = document.getElementById('connectWallet');
   
   // Show loading state
@@ -544,142 +644,234 @@ async function connectWalletHandler(){
   }
   
   try {
-    // Detect available wallet providers
-    const casperWalletProvider = typeof window.CasperWalletProvider === 'function' ? window.CasperWalletProvider() : null;
-    const casperSigner = window.casperlabsHelper || window.CasperWallet;
-    const csprCloud = window.csprclick;
-
-    // Check if any wallet is available
-    if(!casperWalletProvider && !casperSigner && !csprCloud){
-      throw new Error('NO_WALLET_DETECTED');
-    }
-
-    // Build list of available wallets
-    const choices = [];
-    if(casperWalletProvider) choices.push('casperwallet');
-    if(casperSigner) choices.push('caspersigner');
-    if(csprCloud) choices.push('csprcloud');
-
-    // If multiple wallets available, let user choose
-    let selectedWallet = choices[0];
-    if(choices.length > 1){
-      const choice = prompt(`Select wallet (${choices.join(', ')}):`, choices[0]);
-      if(!choice) {
-        throw new Error('USER_CANCELLED');
-      }
-      if(choice && choices.includes(choice.trim().toLowerCase())){
-        selectedWallet = choice.trim().toLowerCase();
-      }
-    }
-
-    let connectedAccount = null;
-
     // Connect to selected wallet provider with timeout
-    const connectionPromise = (async () => {
-      if(selectedWallet === 'casperwallet'){
-        console.log('Connecting to Casper Wallet...');
-        if(!casperWalletProvider){
-          throw new Error('Casper Wallet provider not available.');
-        }
-        await requestCasperWalletConnection(casperWalletProvider);
-        connectedAccount = await casperWalletProvider.getActivePublicKey();
-        console.log('Connected to Casper Wallet:', connectedAccount);
-      } else if(selectedWallet === 'csprcloud'){
-        console.log('Connecting to CSPR.CLOUD wallet...');
-        // Try different connection methods (API may vary by version)
-        if(typeof csprCloud.requestConnection === 'function'){
-          await csprCloud.requestConnection({appId: CSPR_WALLET_APP_ID});
-        } else if(typeof csprCloud.connect === 'function'){
-          await csprCloud.connect({appId: CSPR_WALLET_APP_ID});
-        }
-        if(typeof csprCloud.getActiveAccount !== 'function'){
-          throw new Error('CSPR.CLOUD wallet API is unavailable.');
-        }
-        const account = await csprCloud.getActiveAccount();
-        if(account){
-          connectedAccount = account;
-          console.log('Connected to CSPR.CLOUD:', connectedAccount);
-        } else {
-          throw new Error('No active account found in CSPR.CLOUD wallet');
-        }
-      } else {
-        // CasperSigner connection
-        console.log('Connecting to CasperSigner...');
-        if(window.casperlabsHelper){
-          connectedAccount = await window.casperlabsHelper.requestConnection();
-        } else if(window.CasperWallet){
-          connectedAccount = await window.CasperWallet.requestConnection();
-        }
-        console.log('Connected to CasperSigner:', connectedAccount);
-      }
-      return connectedAccount;
-    })();
-    
-    // Add timeout to prevent hanging
+    console.log(`Connecting to ${wallet.name}...`);
+    let timeoutId;
     const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => reject(new Error('CONNECTION_TIMEOUT')), WALLET_CONNECTION_TIMEOUT);
+      timeoutId = setTimeout(() => reject(new Error('CONNECTION_TIMEOUT')), WALLET_CONNECTION_TIMEOUT);
     });
     
-    connectedAccount = await Promise.race([connectionPromise, timeoutPromise]);
-
-    // Update UI with connected account
-    if(connectedAccount){
-      // Truncate long public keys for display (first 6 + last 4 chars)
-      const shortKey = typeof connectedAccount === 'string' && connectedAccount.length > 12
-        ? `${connectedAccount.slice(0, 6)}…${connectedAccount.slice(-4)}`
-        : connectedAccount;
-      
-      if(connectBtn) {
-        connectBtn.textContent = `Connected: ${shortKey}`;
-        connectBtn.classList.add('connected');
-        connectBtn.disabled = false;
-      }
-      
-      // Store connection state globally for contract interactions
-      window.connectedWallet = selectedWallet;
-      window.connectedAccount = connectedAccount;
-      
-      // Persist connection state to localStorage for cross-page sessions
-      localStorage.setItem('ectoplasm-connected-wallet', selectedWallet);
-      localStorage.setItem('ectoplasm-connected-account', connectedAccount);
-      
-      // Update wallet status badge
-      updateWalletStatus(`Connected via ${selectedWallet}`);
-
-      // Show dashboard link now that user is logged in
-      updateDashboardVisibility();
-
-      // Refresh token balances after connection
-      if (typeof CasperService !== 'undefined') {
-        updateTokenBalances();
-      }
+    const connectedAccount = await Promise.race([wallet.connect(), timeoutPromise])
+      .finally(() => clearTimeout(timeoutId));
+    if(!connectedAccount){
+      throw new Error('NO_ACTIVE_ACCOUNT');
     }
-  }catch(err){
-    console.error('Wallet connection failed', err);
+    console.log(`Connected to ${wallet.name}:`, connectedAccount);
     
-    // Provide user-friendly error messages
-    let userMessage = 'Wallet connection failed. Please try again.';
+    // Store connection state globally for contract interactions
+    walletSessionState = null;
+    window.connectedWallet = wallet.id;
+    window.connectedAccount = connectedAccount;
+    window.walletLocked = false;
+    updateConnectButton();
+    subscribeWalletEvents(wallet);
     
-    if(err.message === 'NO_WALLET_DETECTED'){
-      userMessage = 'No Casper wallet detected. Please install CasperWallet, CasperSigner, or CSPR.CLOUD extension.';
-    } else if(err.message === 'USER_CANCELLED'){
-      userMessage = 'Wallet connection cancelled.';
-    } else if(err.message === 'CONNECTION_TIMEOUT'){
-      userMessage = 'Wallet connection timed out. Please check your wallet extension and try again.';
-    } else if(err.message.includes('User rejected')){
-      userMessage = 'Wallet connection rejected. Please approve the connection request in your wallet.';
-    }
+    // Persist connection state to localStorage for cross-page sessions
+    localStorage.setItem('ectoplasm-connected-wallet', wallet.id);
+    localStorage.setItem('ectoplasm-connected-account', connectedAccount);
+    localStorage.setItem('ectoplasm-connected-at', String(Date.now()));
+    localStorage.setItem('ectoplasm-last-wallet', wallet.id);
     
-    alert(userMessage);
+    // Update wallet status badge
+    updateWalletStatus(`Connected via ${wallet.name}`);
+
+    // Show dashboard link now that user is logged in
+    updateDashboardVisibility();
+
+    // Refresh token balances, LP positions and transactions after connection
+    refreshAccountViews();
+
+    return connectedAccount;
+  }catch(err){
+    console.error('Wallet connection failed', err);
     updateWalletStatus('Connection failed');
     
     // Reset button state
-    if(connectBtn) {
-      connectBtn.textContent = 'Connect Wallet';
-      connectBtn.disabled = false;
-      connectBtn.classList.remove('connected');
+    updateConnectButton();
+    throw err;
+  }
+}
+
+/**
+ * Wallet picker modal
+ * 
+ * Lists every registered wallet adapter: detected wallets can be connected,
+ * undetected ones link to their install page. The last-used wallet is listed
+ * first. Connection progress and errors are shown inline in a live region.
+ * 
+ * The modal is created on first use so every page gets it without markup.
+ */
+const WalletPicker = {
+  modal: null,
+  list: null,
+  status: null,
+  returnFocus: null,
+  connecting: false,
+
+  /**
+   * Build the modal DOM once and wire up close/keyboard handlers
+   */
+  build(){
+    if(this.modal) return;
+
+    const modal = document.createElement('div');
+    modal.id = 'walletPickerModal';
+    modal.className = 'modal-overlay';
+    modal.hidden = true;
+    modal.innerHTML = `
+      <div class="modal-container wallet-picker" role="dialog" aria-modal="true" aria-labelledby="walletPickerTitle" aria-describedby="walletPickerStatus">
+        <div class="modal-content">
+          <div class="modal-header">
+            <h2 id="walletPickerTitle">Connect a wallet</h2>
+            <button class="icon-btn modal-close" type="button" aria-label="Close wallet picker">✕</button>
+          </div>
+          <ul class="wallet-picker-list"></ul>
+          <p id="walletPickerStatus" class="wallet-picker-status muted small" aria-live="polite"></p>
+        </div>
+      </div>`;
+    document.body.appendChild(modal);
+
+    this.modal = modal;
+    this.list = modal.querySelector('.wallet-picker-list');
+    this.status = modal.querySelector('.wallet-picker-status');
+
+    modal.querySelector('.modal-close').addEventListener('click', () => this.close());
+
+    // Close modal when clicking on overlay (outside modal content)
+    modal.addEventListener('click', (e) => {
+      if(e.target === modal) this.close();
+    });
+
+    modal.addEventListener('keydown', (e) => {
+      if(e.key === 'Escape'){
+        e.stopPropagation();
+        this.close();
+      } else if(e.key === 'Tab'){
+        this.trapFocus(e);
+      }
+    });
+  },
+
+  /**
+   * Keep keyboard focus inside the dialog while it is open
+   */
+  trapFocus(e){
+    const focusable = Array.from(this.modal.querySelectorAll('button:not([disabled]), a[href]'));
+    if(!focusable.length) return;
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    if(e.shiftKey && document.activeElement === first){
+      e.preventDefault();
+      last.focus();
+    } else if(!e.shiftKey && document.activeElement === last){
+      e.preventDefault();
+      first.focus();
+    }
+  },
+
+  /**
+   * Show progress or an error in the status line
+   * @param {string} message - Text to show
+   * @param {boolean} isError - Style as an error and announce assertively
+   */
+  setStatus(message, isError = false){
+    this.status.textContent = message;
+    this.status.classList.toggle('error', isError);
+    this.status.setAttribute('role', isError ? 'alert' : 'status');
+  },
+
+  /**
+   * Render wallet rows, detected wallets first and the last-used one on top
+   */
+  render(){
+    const lastUsed = localStorage.getItem('ectoplasm-last-wallet');
+    const wallets = WalletRegistry.list()
+      .map((wallet, index) => ({ wallet, index, detected: WalletRegistry.detected().includes(wallet) }))
+      .sort((a, b) =>
+        (b.wallet.id === lastUsed) - (a.wallet.id === lastUsed) ||
+        b.detected - a.detected ||
+        a.index - b.index
+      );
+
+    this.list.innerHTML = wallets.map(({ wallet, detected }) => `
+      <li class="wallet-picker-item">
+        <div>
+          <strong>${sanitizeHTML(wallet.name)}</strong>
+          <div class="muted tiny">${detected ? (wallet.id === lastUsed ? 'Detected · Last used' : 'Detected') : 'Not installed'}</div>
+        </div>
+        ${detected
+          ? `<button type="button" class="btn primary small" data-wallet-id="${sanitizeHTML(wallet.id)}">Connect</button>`
+          : `<a class="btn ghost small" href="${sanitizeHTML(wallet.installUrl)}" target="_blank" rel="noopener">Install</a>`}
+      </li>`).join('');
+
+    this.list.querySelectorAll('[data-wallet-id]').forEach((btn) => {
+      btn.addEventListener('click', () => this.connect(btn.dataset.walletId));
+    });
+
+    if(!wallets.some(({ detected }) => detected)){
+      this.setStatus(getWalletErrorMessage(new Error('NO_WALLET_DETECTED')), true);
+    } else {
+      this.setStatus('');
+    }
+  },
+
+  /**
+   * Open the picker and focus the first wallet action
+   */
+  open(){
+    this.build();
+    this.returnFocus = document.activeElement;
+    this.render();
+    this.modal.hidden = false;
+    document.body.style.overflow = 'hidden'; // Prevent background scroll
+    this.modal.querySelector('.wallet-picker-item .btn, .modal-close')?.focus();
+  },
+
+  /**
+   * Close the picker and restore focus to the element that opened it
+   */
+  close(){
+    if(!this.modal || this.modal.hidden) return;
+    this.modal.hidden = true;
+    document.body.style.overflow = '';
+    this.returnFocus?.focus?.();
+  },
+
+  /**
+   * Connect the chosen wallet, reporting progress and errors inline
+   * @param {string} walletId - Adapter id
+   */
+  async connect(walletId){
+    const wallet = WalletRegistry.get(walletId);
+    if(!wallet || this.connecting) return;
+
+    this.connecting = true;
+    const buttons = Array.from(this.list.querySelectorAll('[data-wallet-id]'));
+    buttons.forEach((btn) => { btn.disabled = true; });
+    this.setStatus(`Waiting for ${wallet.name}… approve the connection in your wallet.`);
+
+    try {
+      await connectWithWallet(wallet);
+      this.setStatus(`Connected via ${wallet.name}.`);
+      this.close();
+    } catch (err) {
+      this.setStatus(getWalletErrorMessage(err), true);
+    } finally {
+      this.connecting = false;
+      buttons.forEach((btn) => { btn.disabled = false; });
     }
   }
+};
+
+/**
+ * Handle wallet connection request
+ * 
+ * Opens the wallet picker, which supports every wallet adapter registered
+ * in WalletRegistry (wallets.js): CasperWallet, CasperSigner and CSPR.CLOUD
+ * out of the box
+ */
+function connectWalletHandler(){
+  WalletPicker.open();
 }
 
 /**
@@ -690,24 +882,31 @@ async function connectWalletHandler(){
  * 
  * This ensures a clean state when the user disconnects and prevents
  * stale connection data from persisting across sessions.
+ * 
+ * @param {Object} [options]
+ * @param {boolean} [options.fromWallet] - The wallet already disconnected, don't ask it again
  */
-function disconnectWalletHandler() {
-  const connectBtn = document.getElementById('connectWallet');
+function disconnectWalletHandler(options = {}) {
+  // Let the wallet forget this site (best effort, the local session is cleared regardless)
+  const wallet = WalletRegistry.get(window.connectedWallet);
+  if (wallet && !options.fromWallet) {
+    wallet.disconnect().catch((err) => console.warn('Wallet disconnect failed', err));
+  }
+  unsubscribeWalletEvents();
   
   // Clear global state
   delete window.connectedWallet;
   delete window.connectedAccount;
+  delete window.walletLocked;
   
   // Clear localStorage
   localStorage.removeItem('ectoplasm-connected-wallet');
   localStorage.removeItem('ectoplasm-connected-account');
+  localStorage.removeItem('ectoplasm-connected-at');
   
   // Reset button state
-  if (connectBtn) {
-    connectBtn.textContent = 'Connect Wallet';
-    connectBtn.disabled = false;
-    connectBtn.classList.remove('connected');
-  }
+  walletSessionState = null;
+  updateConnectButton();
   
   // Update wallet status badge
   updateWalletStatus('Wallet disconnected');
@@ -715,9 +914,160 @@ function disconnectWalletHandler() {
   // Hide dashboard link now that user is logged out
   updateDashboardVisibility();
 
+  // Clear LP positions, transactions and imported tokens for the disconnected account
+  renderLPPositions();
+  renderTransactionTracker();
+  applyCustomTokens();
+
   console.log('Wallet disconnected');
 }
 
+// Restored-session state shown on the connect button: null, 'verifying' or 'reconnect'
+let walletSessionState = null;
+
+/**
+ * Render the connect button from the current wallet state
+ * Shows the truncated key, a locked state while signing is paused, or the
+ * verifying/reconnect states of a restored session
+ */
+function updateConnectButton(){
+  const connectBtn = document.getElementById('connectWallet');
+  if(!connectBtn) return;
+
+  const account = window.connectedAccount;
+  connectBtn.classList.toggle('reconnect', !account && walletSessionState === 'reconnect');
+  if(!account){
+    const labels = { verifying: 'Verifying wallet…', reconnect: 'Reconnect Wallet' };
+    connectBtn.textContent = labels[walletSessionState] || 'Connect Wallet';
+    connectBtn.disabled = walletSessionState === 'verifying';
+    connectBtn.classList.remove('connected', 'locked');
+    return;
+  }
+
+  // Truncate long public keys for display (first 6 + last 4 chars)
+  const shortKey = typeof account === 'string' && account.length > 12
+    ? `${account.slice(0, 6)}…${account.slice(-4)}`
+    : account;
+
+  connectBtn.textContent = window.walletLocked ? `Locked: ${shortKey}` : `Connected: ${shortKey}`;
+  connectBtn.classList.add('connected');
+  connectBtn.classList.toggle('locked', !!window.walletLocked);
+  connectBtn.disabled = false;
+}
+
+/**
+ * Reload balances, LP positions and the transaction list for the current account
+ */
+function refreshAccountViews(){
+  applyCustomTokens();
+  if (typeof CasperService !== 'undefined') {
+    updateTokenBalances();
+    renderLPPositions();
+  }
+  renderTransactionTracker();
+  renderAllowances();
+  renderOrders();
+  renderSchedules();
+  if (typeof OrderBook !== 'undefined' && typeof CasperService !== 'undefined') {
+    OrderBook.check();
+  }
+  if (typeof OrderScheduler !== 'undefined' && typeof CasperService !== 'undefined') {
+    OrderScheduler.tick();
+  }
+}
+
+/**
+ * Display name for a wallet id
+ * @param {string} walletId - Adapter id
+ * @returns {string}
+ */
+function getWalletName(walletId){
+  return WalletRegistry.get(walletId)?.name || walletId;
+}
+
+// ============================================================================
+// WALLET EVENTS
+// ============================================================================
+
+// Unsubscribe functions for the connected wallet's event handlers
+let walletEventUnsubscribers = [];
+
+/**
+ * Follow the connected wallet's account switches, locks and disconnects
+ * 
+ * @param {Object|null} wallet - Adapter from WalletRegistry
+ */
+function subscribeWalletEvents(wallet){
+  unsubscribeWalletEvents();
+  if(!wallet) return;
+
+  walletEventUnsubscribers = [
+    wallet.on('activeKeyChanged', ({ publicKey }) => handleActiveKeyChanged(publicKey)),
+    wallet.on('locked', () => setWalletLocked(true)),
+    wallet.on('unlocked', async ({ publicKey }) => {
+      setWalletLocked(false);
+      // The user may have unlocked into a different account
+      handleActiveKeyChanged(publicKey || await wallet.getActivePublicKey());
+    }),
+    wallet.on('disconnected', () => {
+      if(window.connectedWallet === wallet.id){
+        disconnectWalletHandler({ fromWallet: true });
+      }
+    })
+  ];
+}
+
+/**
+ * Remove all wallet event handlers
+ */
+function unsubscribeWalletEvents(){
+  walletEventUnsubscribers.forEach((unsubscribe) => unsubscribe());
+  walletEventUnsubscribers = [];
+}
+
+/**
+ * Switch the session to the wallet's new active account
+ * Balances, LP positions and the transaction list are reloaded for the new
+ * key, and a `wallet:accountchange` window event lets other modules follow
+ * 
+ * @param {string|null} publicKey - New active public key
+ */
+function handleActiveKeyChanged(publicKey){
+  if(!publicKey || !window.connectedAccount) return;
+  if(publicKey.toLowerCase() === window.connectedAccount.toLowerCase()) return;
+
+  const previousAccount = window.connectedAccount;
+  window.connectedAccount = publicKey;
+  localStorage.setItem('ectoplasm-connected-account', publicKey);
+
+  // Balances belong to the previous account until reloaded
+  window.tokenBalances = null;
+
+  updateConnectButton();
+  updateWalletStatus(`Connected via ${getWalletName(window.connectedWallet)}`);
+  console.log('Active account changed:', publicKey);
+
+  refreshAccountViews();
+
+  window.dispatchEvent(new CustomEvent('wallet:accountchange', {
+    detail: { publicKey, previousAccount }
+  }));
+}
+
+/**
+ * Pause or resume signing while the wallet is locked
+ * 
+ * @param {boolean} locked - Whether the wallet is locked
+ */
+function setWalletLocked(locked){
+  if(!window.connectedAccount) return;
+  window.walletLocked = locked;
+  updateConnectButton();
+  updateWalletStatus(locked
+    ? 'Wallet locked · unlock to sign'
+    : `Connected via ${getWalletName(window.connectedWallet)}`);
+}
+
 /**
  * Setup the logo menu (mega menu) interactions
  * Handles opening/closing the dropdown menu with proper accessibility
@@ -803,25 +1153,6 @@ function setupLogoMenu(){
   });
 }
 
-/**
- * Request connection to CasperWallet with app ID
- * Falls back to connection without app ID if the first attempt fails
- * 
- * @param {Object} provider - CasperWallet provider instance
- * @returns {Promise} Connection promise
- */
-async function requestCasperWalletConnection(provider){
-  if(!provider?.requestConnection) return;
-  try{
-    // Try with app ID first (preferred)
-    return await provider.requestConnection({appId: CSPR_WALLET_APP_ID});
-  }catch(err){
-    // Fallback to connection without app ID
-    console.warn('Casper Wallet connection with appId failed, retrying without appId', err);
-    return provider.requestConnection();
-  }
-}
-
 // ============================================================================
 // SWAP INTERFACE
 // ============================================================================
@@ -831,7 +1162,7 @@ async function requestCasperWalletConnection(provider){
  * 
  * Features:
  * - Real-time swap amount calculations (demo mode with fixed rate)
- * - Order type switching (Swap, Limit, Buy, Sell)
+ * - Order type switching (Swap, Limit, Stop, Take profit, Buy, Sell)
  * - Slippage tolerance validation
  * - Price impact calculation
  * - Dynamic UI updates based on selected order type
@@ -861,6 +1192,8 @@ function setupSwapDemo(){
   const rateDisplay = document.getElementById('rateDisplay');
   const minReceived = document.getElementById('minReceived');
   const feeDisplay = document.getElementById('feeDisplay');
+  const routeDisplay = document.getElementById('routeDisplay');
+  const routeDetail = document.getElementById('routeDetail');
 
   // Demo rate table for token pairs
   const rateTable = {
@@ -890,34 +1223,80 @@ function setupSwapDemo(){
   };
 
   /**
-   * Estimate a network fee for the demo UI
+   * Show the USD value of both amounts (see formatUsdLabel)
+   */
+  const updateUsdValues = () => {
+    [[fromAmt, fromToken, 'fromUsd'], [toAmt, toToken, 'toUsd']].forEach(([input, select, id]) => {
+      const el = document.getElementById(id);
+      if(!el) return;
+      const label = parseFloat(input.value) > 0 ? formatUsdLabel(select?.value, input.value) : null;
+      el.textContent = label !== null ? `≈ ${label}` : '';
+    });
+  };
+
+  // Incremented per fee request so a slow estimate never overwrites a newer one
+  let feeRequestId = 0;
+
+  /**
+   * Show the network fee for a quote in CSPR and USD
+   * Uses speculative execution when a wallet is connected and the network
+   * has a speculative endpoint, otherwise the config payment limits, which
+   * are labelled as such
    */
-  const estimateFee = (inputValue) => {
-    const base = Math.max(0.003, inputValue * 0.0002);
-    return base.toFixed(4);
+  const updateFeeDisplay = async (quote, slippagePct) => {
+    if(!feeDisplay) return;
+    const requestId = ++feeRequestId;
+
+    if(!quote || !quote.valid || typeof CasperService === 'undefined'){
+      feeDisplay.textContent = '--';
+      return;
+    }
+
+    feeDisplay.textContent = 'Estimating…';
+    let fee;
+    try {
+      fee = await CasperService.estimateSwapFee(quote, slippagePct);
+    } catch (error) {
+      console.warn('Fee estimation failed:', error);
+      if(requestId === feeRequestId) feeDisplay.textContent = '--';
+      return;
+    }
+    if(requestId !== feeRequestId) return;
+
+    const usdLabel = formatUsdLabel('CSPR', fee.cspr);
+    const usd = usdLabel !== null ? ` (${usdLabel})` : '';
+    const approval = fee.includesApproval ? ' incl. approval' : '';
+    if(fee.estimated){
+      feeDisplay.textContent = `~${fee.cspr} CSPR${usd}${approval}`;
+      feeDisplay.title = 'Estimated by simulating the swap';
+    } else {
+      feeDisplay.textContent = `up to ${fee.cspr} CSPR${usd}${approval} (fee limit, not an estimate)`;
+      feeDisplay.title = `Fee limit from config: ${fee.reason || 'no estimate available'}`;
+    }
   };
 
+  // Which side the user last typed into, so live refreshes re-quote the same way
+  let quoteSource = 'from';
+
   /**
    * Calculate output amount when inputs or tokens change
    * Uses CasperService for real quotes when available, falls back to demo rates
    * Includes input validation and sanitization
    */
   const updateOutputs = async (source = 'from') => {
+    quoteSource = source;
     const sellSymbol = getTokenLabel(fromToken, 'CSPR');
     const buySymbol = getTokenLabel(toToken, 'ECTO');
     const slippagePct = parseFloat(slippage?.value) || 0.5;
     let val;
 
-    // Handle "to" input (reverse calculation)
+    // Handle "to" input (exact-output calculation)
     if(source === 'to'){
       const desired = parseFloat(toAmt.value) || 0;
       if(desired < 0){
         toAmt.value = 0;
       }
-      // For now, use demo rate for reverse calculation
-      const rate = getRate();
-      val = Math.max(0, desired) / (rate || 1);
-      fromAmt.value = val ? val.toFixed(6) : '';
+      val = Math.max(0, desired);
     } else {
       val = parseFloat(fromAmt.value) || 0;
 
@@ -936,13 +1315,16 @@ function setupSwapDemo(){
     // Try to get a real quote from CasperService
     let quote = null;
     if (typeof CasperService !== 'undefined' && val > 0) {
-      quote = await getSwapQuote();
+      quote = await getSwapQuote(source);
     }
 
     // Use quote data if available, otherwise fall back to demo rates
     if (quote && quote.valid) {
-      // Update output amount from quote
-      if (source !== 'to') {
+      // Update the opposite amount from quote
+      if (source === 'to') {
+        fromAmt.value = quote.amountIn || '';
+        val = parseFloat(quote.amountIn) || 0;
+      } else {
         toAmt.value = quote.amountOut || '';
       }
 
@@ -961,19 +1343,59 @@ function setupSwapDemo(){
         rateDisplay.textContent = `1 ${sellSymbol} ≈ ${quote.rate} ${buySymbol}`;
       }
 
+      // Show the selected route (e.g. ECTO → USDC → WETH)
+      const routeText = quote.route?.length ? quote.route.join(' → ') : 'Auto (best path)';
+      if(routeDisplay) routeDisplay.textContent = routeText;
+      if(routeDetail) routeDetail.textContent = routeText;
+
       // Update order summary
       if(orderSummary){
         orderSummary.hidden = false;
         const demoNote = quote.demo ? ' (Demo)' : '';
-        orderSummary.textContent = `You send ${val} ${sellSymbol} and will receive at least ${quote.minReceived} ${buySymbol} with ${slippagePct}% slippage.${demoNote}`;
-        if(minReceived) minReceived.textContent = `${quote.minReceived} ${buySymbol}`;
+        if (quote.exactOut) {
+          // quote.maxSold uses the default slippage; show the bound that is signed
+          const maxSold = CasperService.formatTokenAmount(
+            CasperService.getAmountInMax(quote, slippagePct), quote.tokenIn?.decimals ?? 18
+          );
+          orderSummary.textContent = `You receive exactly ${quote.amountOut} ${buySymbol} and will send at most ${maxSold} ${sellSymbol} with ${slippagePct}% slippage.${demoNote}`;
+          if(minReceived) minReceived.textContent = `${quote.amountOut} ${buySymbol}`;
+        } else {
+          orderSummary.textContent = `You send ${val} ${sellSymbol} and will receive at least ${quote.minReceived} ${buySymbol} with ${slippagePct}% slippage.${demoNote}`;
+          if(minReceived) minReceived.textContent = `${quote.minReceived} ${buySymbol}`;
+        }
+      }
+
+      // Buy/Sell price cap: show the bound it sets, and warn when the quote breaches it
+      const cap = getPriceCap();
+      if(cap && orderSummary){
+        try {
+          const capped = CasperService.applyPriceCap(quote, cap, slippagePct);
+          const capLabel = cap.unit === 'in-per-out'
+            ? `max buy price of ${cap.price} ${sellSymbol} per ${buySymbol}`
+            : `min sell price of ${cap.price} ${buySymbol} per ${sellSymbol}`;
+          if(capped.capBreached){
+            orderSummary.textContent = `The current price breaches your ${capLabel}, so this swap will not be submitted.`;
+          } else if(capped.exactOut){
+            const maxSold = CasperService.formatTokenAmount(capped.amountInMaxRaw, quote.tokenIn.decimals);
+            orderSummary.textContent = `You receive exactly ${quote.amountOut} ${buySymbol} and will send at most ${maxSold} ${sellSymbol} (${capLabel}).`;
+          } else {
+            const minOut = CasperService.formatTokenAmount(capped.amountOutMinRaw, quote.tokenOut.decimals);
+            orderSummary.textContent = `You send ${val} ${sellSymbol} and will receive at least ${minOut} ${buySymbol} (${capLabel}).`;
+            if(minReceived) minReceived.textContent = `${minOut} ${buySymbol}`;
+          }
+        } catch (error) {
+          console.warn('Price cap not applied:', error);
+        }
       }
     } else {
       // Fall back to demo rate calculation
       const rate = getRate();
-      const output = val * (rate || 1);
 
-      if (source !== 'to') {
+      if (source === 'to') {
+        val = val / (rate || 1);
+        fromAmt.value = val ? val.toFixed(6) : '';
+      } else {
+        const output = val * (rate || 1);
         toAmt.value = output ? output.toFixed(6) : '';
       }
 
@@ -1009,9 +1431,8 @@ function setupSwapDemo(){
       }
     }
 
-    if(feeDisplay){
-      feeDisplay.textContent = `~${estimateFee(val)} ${sellSymbol}`;
-    }
+    updateUsdValues();
+    updateFeeDisplay(quote, slippagePct);
   };
 
   // Debounce updateOutputs for better performance during rapid input
@@ -1019,6 +1440,19 @@ function setupSwapDemo(){
 
   fromAmt.addEventListener('input', () => debouncedUpdateOutputs('from'));
   toAmt.addEventListener('input', () => debouncedUpdateOutputs('to'));
+
+  // Re-quote against fresh reserves when a relevant deploy lands on-chain
+  window.addEventListener('casper:statechange', (e) => {
+    if (e.detail.router || e.detail.pairs.length) {
+      debouncedUpdateOutputs(quoteSource);
+    }
+  });
+  window.addEventListener('casper:pricesupdate', updateUsdValues);
+  // A quote from the old network's pools must never be submitted on the new one
+  window.addEventListener('casper:networkchange', () => {
+    window.currentSwapQuote = null;
+    updateOutputs(quoteSource);
+  });
   if(fromToken) fromToken.addEventListener('change', () => {
     updateOutputs('from');
     // Update balance display for new token selection
@@ -1027,7 +1461,7 @@ function setupSwapDemo(){
       const bal = window.tokenBalances[symbol];
       const balanceEl = document.querySelector('.token-row:first-of-type .balance');
       if (balanceEl && bal) {
-        balanceEl.textContent = `Balance: ${bal.formatted}`;
+        balanceEl.textContent = formatBalanceText(symbol, bal);
       }
     }
   });
@@ -1039,7 +1473,7 @@ function setupSwapDemo(){
       const bal = window.tokenBalances[symbol];
       const balanceEl = document.querySelector('.token-row:last-of-type .balance');
       if (balanceEl && bal) {
-        balanceEl.textContent = `Balance: ${bal.formatted}`;
+        balanceEl.textContent = formatBalanceText(symbol, bal);
       }
     }
   });
@@ -1089,6 +1523,33 @@ function setupSwapDemo(){
     if(toToken && toValue) toToken.value = toValue;
   };
 
+  const actionLabel = actionBtn ? actionBtn.textContent : 'Swap';
+
+  /**
+   * Show the price unit for the selected pair and mode
+   * Prices are buy token per sell token, except the Buy mode cap, which is
+   * the price paid per token bought. An entered price is cleared when its
+   * unit changes so it is never read in the wrong direction.
+   */
+  const updateLimitUnit = () => {
+    const unit = document.querySelector('[data-limit-unit]');
+    if(!unit) return;
+    const buyLabel = getTokenLabel(toToken, 'ECTO');
+    const sellLabel = getTokenLabel(fromToken, 'CSPR');
+    const text = window.swapCapUnit === 'in-per-out'
+      ? `${sellLabel} per ${buyLabel}`
+      : `${buyLabel} per ${sellLabel}`;
+    if(unit.textContent !== text && limitPrice) limitPrice.value = '';
+    unit.textContent = text;
+  };
+  if(fromToken) fromToken.addEventListener('change', updateLimitUnit);
+  if(toToken) toToken.addEventListener('change', updateLimitUnit);
+  if(swapFlip) swapFlip.addEventListener('click', updateLimitUnit);
+  // A changed Buy/Sell cap changes the bound shown in the summary
+  if(limitPrice) limitPrice.addEventListener('input', () => {
+    if(window.swapCapUnit) debouncedUpdateOutputs(quoteSource);
+  });
+
   /**
    * Configuration for each order type mode
    * Defines the UI text, behavior, and token selection for each mode
@@ -1106,25 +1567,51 @@ function setupSwapDemo(){
       pill: 'Limit',
       title: 'Post limit orders with off-chain resting and on-chain execution.',
       summary: '',
-      action: 'place limit',
+      action: 'Place limit order',
+      showLimit: true,
+      orderType: 'limit',
+      priceLabel: 'Limit price',
+      tokens: null
+    },
+    stop: {
+      pill: 'Stop',
+      title: 'Sell automatically if the pool price falls to your stop.',
+      summary: '',
+      action: 'Place stop order',
+      showLimit: true,
+      orderType: 'stop',
+      priceLabel: 'Stop price',
+      tokens: null
+    },
+    'take-profit': {
+      pill: 'Take profit',
+      title: 'Lock in gains when the pool price rises to your target.',
+      summary: '',
+      action: 'Place take-profit order',
       showLimit: true,
+      orderType: 'take-profit',
+      priceLabel: 'Target price',
       tokens: null
     },
     buy: {
       pill: 'Buy',
       title: 'Buy ECTO with CSPR while respecting your price cap.',
       summary: '',
-      action: 'buy',
+      action: 'Buy',
       showLimit: true,
+      capUnit: 'in-per-out',
+      priceLabel: 'Max buy price',
       tokens: { from: 'cspr', to: 'ecto' }
     },
     sell: {
       pill: 'Sell',
       title: 'Sell ECTO back to CSPR with tight routing.',
       summary: '',
-      action: 'sell',
+      action: 'Sell',
       showLimit: true,
-      tokens: { from: 'cspr', to: 'ecto' }
+      capUnit: 'out-per-in',
+      priceLabel: 'Min sell price',
+      tokens: { from: 'ecto', to: 'cspr' }
     }
   };
 
@@ -1132,7 +1619,7 @@ function setupSwapDemo(){
    * Set the active order mode
    * Updates UI elements, shows/hides limit controls, and selects appropriate tokens
    * 
-   * @param {string} mode - The mode to activate ('swap', 'limit', 'buy', or 'sell')
+   * @param {string} mode - The mode to activate ('swap', 'limit', 'stop', 'take-profit', 'buy', or 'sell')
    */
   const setMode = (mode) => {
     const config = modeCopy[mode] || modeCopy.swap;
@@ -1153,19 +1640,42 @@ function setupSwapDemo(){
       orderSummary.hidden = !config.summary;
     }
 
-    // Show/hide limit price controls
-    if(limitControls){
-      limitControls.hidden = !config.showLimit;
-      if(config.showLimit && limitPrice && !limitPrice.value){
-        // Set default limit price (2x current output for demo)
-        limitPrice.value = (parseFloat(toAmt.value) * 2 || 0.5).toFixed(4);
-      }
-    }
-    
     // Auto-select tokens for buy/sell modes
     if(config.tokens){
       selectTokens(config.tokens.from, config.tokens.to);
     }
+
+    // The action button places an order in the order modes and swaps in Buy/Sell
+    window.swapOrderType = config.orderType || null;
+    window.swapCapUnit = config.capUnit || null;
+    if(actionBtn){
+      actionBtn.textContent = config.orderType || config.capUnit ? config.action : actionLabel;
+    }
+    updateLimitUnit();
+
+    // Show/hide limit price controls
+    if(limitControls){
+      limitControls.hidden = !config.showLimit;
+      const quote = window.currentSwapQuote;
+      const quoteMatches = quote?.valid && quote.tokenIn?.symbol?.toLowerCase() === fromToken?.value
+        && quote.tokenOut?.symbol?.toLowerCase() === toToken?.value;
+      if(config.showLimit && config.capUnit !== 'in-per-out' && limitPrice && !limitPrice.value && quoteMatches){
+        // Start from the current pool rate
+        limitPrice.value = quote.rate;
+      }
+
+      // Stop and take-profit orders always sell the Sell amount; only stops trail.
+      // Buy/Sell only use the price as a cap on the swap
+      const priceLabel = limitControls.querySelector('[data-limit-label]');
+      const sideControls = limitControls.querySelector('[data-side-controls]');
+      const trailControls = limitControls.querySelector('[data-trail-controls]');
+      if(priceLabel) priceLabel.textContent = config.priceLabel || 'Limit price';
+      if(sideControls) sideControls.hidden = config.orderType !== 'limit';
+      if(trailControls) trailControls.hidden = config.orderType !== 'stop';
+      limitControls.querySelectorAll('[data-order-only]').forEach((el) => { el.hidden = !config.orderType; });
+    }
+
+    if(config.tokens) updateOutputs(quoteSource);
   };
 
   // Setup order type tab switching
@@ -1174,9 +1684,19 @@ function setupSwapDemo(){
     setMode('swap'); // Default to swap mode
   }
 
-  // Ensure CTA always routes to the swap tab and highlights nav
+  // Ensure CTA always routes to the swap tab and highlights nav (or places the limit order)
   if(actionBtn){
-    actionBtn.addEventListener('click', () => {
+    actionBtn.addEventListener('click', (e) => {
+      if(window.swapOrderType){
+        e.preventDefault();
+        placeOrder(window.swapOrderType);
+        return;
+      }
+      if(window.swapCapUnit){
+        e.preventDefault();
+        demoSwap();
+        return;
+      }
       activateSwapNav();
       setMode('swap');
     });
@@ -1262,160 +1782,1237 @@ function setupPopouts(){
       }
     });
 
-    // Prevent clicks inside popout from closing it
-    popout.addEventListener('click', (e) => e.stopPropagation());
-    
-    // Close button within popout
-    popout.querySelectorAll('[data-popout-close]').forEach((closeBtn) => closeBtn.addEventListener('click', closeAll));
+    // Prevent clicks inside popout from closing it
+    popout.addEventListener('click', (e) => e.stopPropagation());
+    
+    // Close button within popout
+    popout.querySelectorAll('[data-popout-close]').forEach((closeBtn) => closeBtn.addEventListener('click', closeAll));
+  });
+
+  // Close all popovers when clicking outside or on backdrop
+  document.addEventListener('click', closeAll);
+  backdrop.addEventListener('click', closeAll);
+  
+  // Close all popovers on Escape key
+  document.addEventListener('keydown', (e) => {
+    if(e.key === 'Escape') closeAll();
+  });
+}
+
+/**
+ * Update wallet status badge
+ * Displays connection status in the network popover
+ * 
+ * @param {string} message - Status message to display
+ */
+function updateWalletStatus(message){
+  const badge = document.getElementById('walletStatus');
+  if(badge){
+    badge.textContent = message;
+  }
+}
+
+/**
+ * Update RPC node badge
+ * Shows the node the RpcNodePool is currently routing calls through
+ * 
+ * @param {Object|null} node - Node status from RpcNodePool.getStatus()
+ */
+function updateRpcNodeStatus(node){
+  const badge = document.getElementById('rpcNodeStatus');
+  if(!badge) return;
+  if(!node){
+    badge.textContent = 'RPC node: none';
+    badge.title = '';
+    return;
+  }
+  const parts = [node.host];
+  if(node.latency !== null) parts.push(`${node.latency}ms`);
+  if(node.height !== null) parts.push(`#${node.height}`);
+  badge.textContent = `RPC ${parts.join(' · ')}${node.healthy ? '' : ' (degraded)'}`;
+  badge.title = node.url;
+}
+
+/**
+ * Show the current network's name wherever the page labels it
+ */
+function updateNetworkLabels(){
+  const network = EctoplasmConfig.getNetwork();
+  document.querySelectorAll('[data-network-name]').forEach((el) => {
+    el.textContent = network.name;
+  });
+  document.querySelectorAll('[data-network-select]').forEach((select) => {
+    select.value = EctoplasmConfig.currentNetwork;
+  });
+}
+
+/**
+ * Setup the network selector in the network popover
+ * Switching re-initializes CasperService against the new network's nodes,
+ * contracts and tokens, then reloads everything shown for the account
+ */
+function setupNetworkSelector(){
+  if(typeof EctoplasmConfig === 'undefined' || typeof CasperService === 'undefined') return;
+
+  document.querySelectorAll('[data-network-select]').forEach((select) => {
+    select.innerHTML = Object.entries(EctoplasmConfig.networks)
+      .map(([id, network]) => `<option value="${sanitizeHTML(id)}">${sanitizeHTML(network.name)}</option>`)
+      .join('');
+    select.addEventListener('change', () => {
+      try {
+        CasperService.switchNetwork(select.value);
+      } catch (error) {
+        console.error('Network switch failed:', error);
+        updateNetworkLabels();
+      }
+    });
+  });
+
+  window.addEventListener('casper:networkchange', () => {
+    updateNetworkLabels();
+    refreshAccountViews();
+  });
+
+  updateNetworkLabels();
+}
+
+/**
+ * Keep the RPC node badge in sync with pool health checks and failovers
+ */
+function setupNodeStatus(){
+  if(!document.getElementById('rpcNodeStatus')) return;
+  window.addEventListener('casper:nodechange', (e) => updateRpcNodeStatus(e.detail.node));
+  if(typeof RpcNodePool !== 'undefined' && RpcNodePool.current){
+    updateRpcNodeStatus(RpcNodePool.getStatus());
+  }
+}
+
+/**
+ * Execute swap transaction
+ * Uses CasperService for real contract interactions when available,
+ * falls back to demo mode when contracts are not deployed
+ */
+async function demoSwap(){
+  // Submitting the form in an order mode places the order instead of swapping now
+  if (window.swapOrderType) {
+    placeOrder(window.swapOrderType);
+    return;
+  }
+
+  // Check if wallet is connected
+  if (!window.connectedAccount || !window.connectedWallet) {
+    alert('Please connect your wallet first');
+    return;
+  }
+
+  // Check if CasperService is available
+  if (typeof CasperService === 'undefined') {
+    alert('CasperService not loaded. Please refresh the page.');
+    return;
+  }
+
+  // Check if we have a valid quote
+  if (!window.currentSwapQuote || !window.currentSwapQuote.valid) {
+    alert('Please enter a valid swap amount first');
+    return;
+  }
+
+  // Check if this is a demo quote (contracts not deployed)
+  if (window.currentSwapQuote.demo) {
+    const { tokenIn, tokenOut } = window.currentSwapQuote;
+    if (tokenIn?.native || tokenOut?.native) {
+      alert('Native CSPR swaps are not supported yet. Swap between CEP-18 tokens instead.');
+      return;
+    }
+    alert('Demo mode: Token contracts not yet deployed on testnet.\n\nOnce contracts are deployed and config.js is updated with token hashes, real swaps will be enabled.');
+    return;
+  }
+
+  const slippage = parseFloat(document.getElementById('slippage')?.value) || 0.5;
+
+  // Buy/Sell modes bound the swap by the price cap and refuse a quote that breaches it
+  let quote = window.currentSwapQuote;
+  const cap = getPriceCap();
+  if (cap) {
+    try {
+      quote = CasperService.applyPriceCap(quote, cap, slippage);
+      CasperService.assertWithinCap(quote);
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+  }
+
+  const actionBtn = document.getElementById('swapActionBtn');
+  const originalText = actionBtn ? actionBtn.textContent : 'Swap';
+
+  try {
+    if (actionBtn) {
+      actionBtn.textContent = 'Approving...';
+      actionBtn.style.pointerEvents = 'none';
+    }
+
+    // Execute the swap via CasperService (exact-output quotes use the router's exact-output entry point)
+    // Reserves are re-read before signing; a worse price needs the user's go-ahead
+    const options = { confirmDrift: confirmQuoteDrift };
+    const deployHash = quote.exactOut
+      ? await CasperService.executeSwapExactOut(quote, slippage, options)
+      : await CasperService.executeSwap(quote, slippage, options);
+
+    if (actionBtn) {
+      actionBtn.textContent = 'Confirming...';
+    }
+
+    // Wait for transaction confirmation (the tracker keeps watching if we stop waiting)
+    const result = await TransactionStore.wait(deployHash);
+
+    if (result.success) {
+      alert(`Swap successful!\n\nTransaction hash:\n${deployHash}`);
+
+      // Refresh balances
+      await updateTokenBalances();
+
+      // Clear form
+      const fromAmt = document.getElementById('fromAmount');
+      const toAmt = document.getElementById('toAmount');
+      if (fromAmt) fromAmt.value = '';
+      if (toAmt) toAmt.value = '';
+      window.currentSwapQuote = null;
+    } else if (result.timedOut) {
+      alert(`Swap submitted but not yet confirmed.\n\n${result.error}\n\nTransaction hash:\n${deployHash}`);
+    } else {
+      alert(`Swap failed: ${result.error}`);
+    }
+  } catch (error) {
+    if (error.code === 'QUOTE_DRIFT') {
+      alert(`${error.message}\n\nRe-enter the amount for a fresh quote.`);
+      return;
+    }
+    console.error('Swap error:', error);
+    alert(`Swap failed: ${error.message}`);
+  } finally {
+    if (actionBtn) {
+      actionBtn.textContent = originalText;
+      actionBtn.style.pointerEvents = '';
+    }
+  }
+}
+
+/**
+ * Ask the user to accept a price that worsened between quoting and signing
+ * @param {Object} drift - Result of CasperService.compareQuotes()
+ * @returns {boolean} True to sign the swap at the new price
+ */
+function confirmQuoteDrift(drift){
+  const { previous, quote } = drift;
+  const amount = previous.exactOut
+    ? `You pay: ${previous.amountIn} → ${quote.amountIn} ${quote.tokenIn.symbol}`
+    : `You receive: ${previous.amountOut} → ${quote.amountOut} ${quote.tokenOut.symbol}`;
+
+  return confirm(
+    `The price moved ${drift.driftPercent}% against you since this quote.\n\n` +
+    `${amount}\n` +
+    `Rate: ${previous.rate} → ${quote.rate}\n` +
+    `Price impact: ${previous.priceImpact}% → ${quote.priceImpact}%\n\n` +
+    'Sign the swap at the new price?'
+  );
+}
+
+/**
+ * Price cap entered in Buy or Sell mode
+ * @returns {{price: string, unit: string}|null} Null outside those modes or when no cap is set
+ */
+function getPriceCap(){
+  const price = document.getElementById('limitPrice')?.value;
+  if(!window.swapCapUnit || !(parseFloat(price) > 0)) return null;
+  return { price, unit: window.swapCapUnit };
+}
+
+/**
+ * Update token balance displays in the swap UI
+ * Fetches balances from CasperService and updates the balance labels
+ */
+async function updateTokenBalances() {
+  if (typeof CasperService === 'undefined' || !window.connectedAccount) {
+    return;
+  }
+
+  try {
+    const balances = await CasperService.getAllBalances();
+
+    // Update "from" token balance display
+    const fromToken = document.getElementById('fromToken');
+    const fromBalance = document.querySelector('.token-row:first-of-type .balance');
+    if (fromToken && fromBalance) {
+      const symbol = fromToken.value?.toUpperCase() || 'CSPR';
+      const bal = balances[symbol];
+      if (bal) {
+        fromBalance.textContent = formatBalanceText(symbol, bal);
+      }
+    }
+
+    // Update "to" token balance display
+    const toToken = document.getElementById('toToken');
+    const toBalance = document.querySelector('.token-row:last-of-type .balance');
+    if (toToken && toBalance) {
+      const symbol = toToken.value?.toUpperCase() || 'ECTO';
+      const bal = balances[symbol];
+      if (bal) {
+        toBalance.textContent = formatBalanceText(symbol, bal);
+      }
+    }
+
+    // Store balances globally for easy access
+    window.tokenBalances = balances;
+    renderPortfolioValue();
+    console.log('Token balances updated:', balances);
+  } catch (error) {
+    console.error('Failed to update token balances:', error);
+  }
+}
+
+/**
+ * Balance label with its USD value (off-chain values are marked, see formatUsdLabel)
+ * @param {string} symbol - Token symbol
+ * @param {{formatted: string}} balance - Balance from CasperService
+ * @returns {string}
+ */
+function formatBalanceText(symbol, balance){
+  const label = parseFloat(balance.formatted) > 0 ? formatUsdLabel(symbol, balance.formatted) : null;
+  return `Balance: ${balance.formatted}${label !== null ? ` (≈ ${label})` : ''}`;
+}
+
+/**
+ * Keep balances and LP positions in sync with on-chain changes
+ * Listens for `casper:statechange` events emitted by the CasperService event stream
+ */
+function setupStateSync(){
+  window.addEventListener('casper:statechange', (e) => {
+    const { account, pairs } = e.detail;
+    if (!window.connectedAccount) return;
+
+    if (account) {
+      updateTokenBalances();
+    }
+    // Pool reserves move the value of LP shares, not just the holder's balance
+    if (account || pairs.length) {
+      renderLPPositions({ background: true });
+    }
+  });
+}
+
+// ============================================================================
+// TRANSACTION TRACKER
+// ============================================================================
+
+/**
+ * Format a timestamp as a short relative time (e.g. "3m ago")
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+function formatTimeAgo(timestamp){
+  const seconds = Math.max(0, Math.floor((Date.now() - timestamp) / 1000));
+  if(seconds < 60) return `${seconds}s ago`;
+  if(seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+  if(seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+  return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+/**
+ * Render recent transactions for the connected account into every tracker panel
+ */
+function renderTransactionTracker(){
+  const lists = document.querySelectorAll('[data-tx-tracker]');
+  if(!lists.length || typeof TransactionStore === 'undefined') return;
+
+  const transactions = window.connectedAccount
+    ? TransactionStore.getAll(window.connectedAccount)
+      .filter((tx) => tx.network === EctoplasmConfig.currentNetwork)
+    : [];
+  const explorerUrl = EctoplasmConfig.getNetwork().explorerUrl;
+  const statusLabels = { pending: 'Pending', succeeded: 'Confirmed', failed: 'Failed' };
+
+  const html = transactions.length
+    ? transactions.map((tx) => `
+      <li class="tx-item">
+        <div>
+          <div>${sanitizeHTML(tx.summary)}</div>
+          <div class="muted tiny">
+            <a href="${sanitizeHTML(`${explorerUrl}/deploy/${tx.deployHash}`)}" target="_blank" rel="noopener">${sanitizeHTML(tx.deployHash.slice(0, 10))}…</a>
+            · ${sanitizeHTML(formatTimeAgo(tx.submittedAt))}
+          </div>
+          ${tx.error ? `<div class="muted tiny">${sanitizeHTML(tx.error)}</div>` : ''}
+        </div>
+        <span class="tx-status ${sanitizeHTML(tx.status)}">${sanitizeHTML(statusLabels[tx.status] || tx.status)}</span>
+      </li>`).join('')
+    : `<li class="muted small">${window.connectedAccount ? 'No transactions yet.' : 'Connect your wallet to see your transactions.'}</li>`;
+
+  lists.forEach((list) => { list.innerHTML = html; });
+}
+
+/**
+ * Setup transaction tracker panels
+ * Re-renders on tracker updates, on changes from other tabs and every 30
+ * seconds so relative times stay current
+ */
+function setupTransactionTracker(){
+  if(!document.querySelector('[data-tx-tracker]')) return;
+
+  window.addEventListener('casper:txupdate', renderTransactionTracker);
+  window.addEventListener('storage', (e) => {
+    if(typeof TransactionStore !== 'undefined' && e.key === TransactionStore.storageKey){
+      renderTransactionTracker();
+    }
+  });
+  document.querySelectorAll('[data-tx-clear]').forEach((btn) => {
+    btn.addEventListener('click', () => TransactionStore.clearFinished());
+  });
+  setInterval(renderTransactionTracker, 30000);
+
+  renderTransactionTracker();
+}
+
+// ============================================================================
+// ALLOWANCE MANAGER
+// ============================================================================
+
+// Incremented per render so a slow allowance read never overwrites a newer one
+let allowanceRenderId = 0;
+
+/**
+ * Render the connected account's router allowances into every allowance list
+ * Each non-zero allowance gets a one-click revoke button
+ */
+async function renderAllowances(){
+  const lists = document.querySelectorAll('[data-allowance-list]');
+  if(!lists.length || typeof CasperService === 'undefined') return;
+
+  const renderId = ++allowanceRenderId;
+  const setHtml = (html) => lists.forEach((list) => { list.innerHTML = html; });
+
+  if(!window.connectedAccount){
+    setHtml('<li class="muted small">Connect your wallet to see your approvals.</li>');
+    return;
+  }
+
+  let allowances;
+  try {
+    allowances = await CasperService.getAllowances(window.connectedAccount);
+  } catch (error) {
+    console.warn('Failed to load allowances:', error);
+    if(renderId === allowanceRenderId){
+      setHtml('<li class="muted small">Could not load approvals. Try refreshing.</li>');
+    }
+    return;
+  }
+  if(renderId !== allowanceRenderId) return;
+  if(!allowances.length){
+    setHtml('<li class="muted small">No token contracts are deployed on this network.</li>');
+    return;
+  }
+
+  // Revokes still waiting on chain keep their button disabled across re-renders
+  const pendingRevokes = new Set(
+    TransactionStore.getAll(window.connectedAccount)
+      .filter((tx) => tx.type === 'revoke' && tx.status === 'pending')
+      .flatMap((tx) => tx.tokens || [])
+  );
+
+  setHtml(allowances.map((entry) => {
+    const amount = entry.unlimited ? 'Unlimited' : entry.formatted;
+    const pending = pendingRevokes.has(entry.symbol);
+    const action = entry.raw > BigInt(0)
+      ? `<button type="button" class="btn ghost small" data-allowance-revoke="${sanitizeHTML(entry.tokenHash)}" ${pending ? 'disabled' : ''}>${pending ? 'Revoking…' : 'Revoke'}</button>`
+      : '<span class="muted tiny">None</span>';
+    return `
+      <li class="allowance-item">
+        <div>
+          <div>${sanitizeHTML(entry.symbol)}</div>
+          <div class="muted tiny">${sanitizeHTML(amount)}</div>
+        </div>
+        ${action}
+      </li>`;
+  }).join(''));
+}
+
+/**
+ * Revoke the router's allowance for a token
+ * @param {HTMLButtonElement} btn - Revoke button carrying the token hash
+ */
+async function revokeAllowanceHandler(btn){
+  if (!window.connectedAccount || !window.connectedWallet) {
+    alert('Please connect your wallet first');
+    return;
+  }
+
+  btn.disabled = true;
+  btn.textContent = 'Revoking…';
+  try {
+    // The tracker re-renders the lists once the revoke confirms
+    await CasperService.revokeAllowance(btn.dataset.allowanceRevoke);
+  } catch (error) {
+    console.error('Revoke error:', error);
+    alert(`Revoke failed: ${error.message}`);
+    btn.disabled = false;
+    btn.textContent = 'Revoke';
+  }
+}
+
+/**
+ * Setup the approval mode setting and allowance lists
+ * Lists refresh when an approval or revoke confirms and when the event
+ * stream reports a change to the account (swaps spend allowances)
+ */
+function setupAllowanceManager(){
+  if (typeof CasperService === 'undefined') return;
+
+  const modeSelect = document.querySelector('[data-approval-mode]');
+  if(modeSelect){
+    modeSelect.value = CasperService.getApprovalMode();
+    modeSelect.addEventListener('change', () => CasperService.setApprovalMode(modeSelect.value));
+  }
+
+  const lists = document.querySelectorAll('[data-allowance-list]');
+  if(!lists.length) return;
+
+  lists.forEach((list) => {
+    list.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-allowance-revoke]');
+      if(btn) revokeAllowanceHandler(btn);
+    });
+  });
+  document.querySelectorAll('[data-allowance-refresh]').forEach((btn) => {
+    btn.addEventListener('click', renderAllowances);
+  });
+
+  window.addEventListener('casper:txupdate', (e) => {
+    const { tx } = e.detail;
+    if(tx && (tx.type === 'approve' || tx.type === 'revoke') && tx.status !== 'pending'){
+      renderAllowances();
+    }
+  });
+  window.addEventListener('casper:statechange', (e) => {
+    if(e.detail.account) renderAllowances();
+  });
+
+  renderAllowances();
+}
+
+// ============================================================================
+// ORDERS (LIMIT, STOP, TAKE PROFIT)
+// ============================================================================
+
+/**
+ * Show a message under the limit order controls
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function setOrderStatus(message, isError = false){
+  document.querySelectorAll('[data-order-status]').forEach((el) => {
+    el.textContent = message;
+    el.classList.toggle('error', isError);
+  });
+}
+
+/**
+ * Describe an order for lists and prompts
+ * @param {Object} order - Order from OrderBook
+ * @returns {string} e.g. "Sell 100 CSPR for ECTO at 0.5 ECTO/CSPR"
+ */
+function describeOrder(order){
+  const size = order.side === 'sell'
+    ? `Sell ${order.amount} ${order.tokenIn} for ${order.tokenOut}`
+    : `Buy ${order.amount} ${order.tokenOut} with ${order.tokenIn}`;
+  const unit = `${order.tokenOut}/${order.tokenIn}`;
+  const type = order.type || 'limit';
+
+  if(type === 'take-profit') return `Take profit: ${size} at or above ${order.price} ${unit}`;
+  if(type === 'stop'){
+    const trailing = order.trailPercent ? ` (trailing ${order.trailPercent}%)` : '';
+    const stop = parseFloat(order.price) > 0 ? `${order.price} ${unit}` : 'the trailing stop';
+    return `Stop: ${size} at or below ${stop}${trailing}`;
+  }
+  return `${size} at ${order.price} ${unit}`;
+}
+
+/**
+ * Render the connected account's active orders into every order list
+ * Triggered orders get a sign button, orders not yet submitted a cancel button
+ */
+function renderOrders(){
+  renderOrderHistory();
+
+  const lists = document.querySelectorAll('[data-order-list]');
+  if(!lists.length || typeof OrderBook === 'undefined') return;
+
+  const orders = OrderBook.getAll(window.connectedAccount).filter((order) => OrderBook.isActive(order));
+  const statusLabels = { open: 'Resting', triggered: 'Price reached', executing: 'Signing', submitted: 'Submitted' };
+
+  const html = orders.length
+    ? orders.map((order) => `
+      <li class="allowance-item order-item">
+        <div>
+          <div>${sanitizeHTML(describeOrder(order))}</div>
+          <div class="muted tiny">
+            ${order.lastRate ? `Now ${sanitizeHTML(order.lastRate)} · ` : ''}expires ${sanitizeHTML(new Date(order.expiresAt).toLocaleString())}
+          </div>
+          ${order.error ? `<div class="muted tiny">${sanitizeHTML(order.error)}</div>` : ''}
+        </div>
+        <div class="order-actions">
+          <span class="order-status ${sanitizeHTML(order.status)}">${sanitizeHTML(statusLabels[order.status] || order.status)}</span>
+          ${order.status === 'triggered' ? `<button type="button" class="btn primary small" data-order-execute="${sanitizeHTML(order.id)}">Sign</button>` : ''}
+          ${order.status === 'open' || order.status === 'triggered' ? `<button type="button" class="btn ghost small" data-order-cancel="${sanitizeHTML(order.id)}">Cancel</button>` : ''}
+        </div>
+      </li>`).join('')
+    : `<li class="muted small">${window.connectedAccount ? 'No open orders.' : 'Connect your wallet to place orders.'}</li>`;
+
+  lists.forEach((list) => { list.innerHTML = html; });
+}
+
+/**
+ * Render the connected account's finished orders into every history list
+ * Shows when each order triggered and how it ended
+ */
+function renderOrderHistory(){
+  const lists = document.querySelectorAll('[data-order-history]');
+  if(!lists.length || typeof OrderBook === 'undefined') return;
+
+  const orders = OrderBook.getAll(window.connectedAccount)
+    .filter((order) => !OrderBook.isActive(order))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+  const explorerUrl = EctoplasmConfig.getNetwork().explorerUrl;
+  const statusLabels = { filled: 'Filled', cancelled: 'Cancelled', expired: 'Expired' };
+
+  const html = orders.length
+    ? orders.map((order) => `
+      <li class="tx-item">
+        <div>
+          <div>${sanitizeHTML(describeOrder(order))}</div>
+          <div class="muted tiny">
+            ${order.triggeredAt ? `Triggered ${sanitizeHTML(formatTimeAgo(order.triggeredAt))} · ` : ''}${sanitizeHTML(statusLabels[order.status] || order.status)} ${sanitizeHTML(formatTimeAgo(order.updatedAt))}
+            ${order.deployHash ? `· <a href="${sanitizeHTML(`${explorerUrl}/deploy/${order.deployHash}`)}" target="_blank" rel="noopener">${sanitizeHTML(order.deployHash.slice(0, 10))}…</a>` : ''}
+          </div>
+          ${order.error ? `<div class="muted tiny">${sanitizeHTML(order.error)}</div>` : ''}
+        </div>
+        <span class="order-status ${sanitizeHTML(order.status)}">${sanitizeHTML(statusLabels[order.status] || order.status)}</span>
+      </li>`).join('')
+    : `<li class="muted small">${window.connectedAccount ? 'No finished orders yet.' : 'Connect your wallet to see your orders.'}</li>`;
+
+  lists.forEach((list) => { list.innerHTML = html; });
+}
+
+/**
+ * Place an order from the swap form
+ * Price is read as buy token per sell token. Limit orders fix the amount
+ * picked by the side select; stop and take-profit orders sell the Sell amount
+ * @param {string} type - 'limit', 'stop' or 'take-profit'
+ */
+function placeOrder(type = 'limit'){
+  if(typeof OrderBook === 'undefined'){
+    setOrderStatus('Orders are not available on this page.', true);
+    return;
+  }
+
+  const side = type === 'limit' ? (document.getElementById('limitSide')?.value || 'sell') : 'sell';
+  const amountEl = document.getElementById(side === 'sell' ? 'fromAmount' : 'toAmount');
+  const expiry = parseInt(document.getElementById('limitExpiry')?.value, 10) || EctoplasmConfig.orders.defaultExpiry;
+
+  try {
+    const order = OrderBook.create({
+      type,
+      side,
+      tokenIn: document.getElementById('fromToken')?.value?.toUpperCase(),
+      tokenOut: document.getElementById('toToken')?.value?.toUpperCase(),
+      amount: amountEl?.value || '0',
+      price: document.getElementById('limitPrice')?.value || '0',
+      trailPercent: type === 'stop' ? (document.getElementById('trailPercent')?.value || null) : null,
+      slippage: parseFloat(document.getElementById('slippage')?.value) || EctoplasmConfig.swap.defaultSlippage,
+      expiresAt: Date.now() + expiry,
+      autoSign: !!document.getElementById('limitAutoSign')?.checked
+    }, window.connectedAccount);
+    setOrderStatus(`Order placed: ${describeOrder(order)}. Keep this page open for it to execute.`);
+  } catch (error) {
+    setOrderStatus(error.message, true);
+  }
+}
+
+/**
+ * Sign and submit a triggered order
+ * @param {string} id - Order id
+ */
+async function executeOrderHandler(id){
+  try {
+    setOrderStatus('Re-quoting and submitting order…');
+    const deployHash = await OrderBook.execute(id);
+    setOrderStatus(deployHash
+      ? `Order submitted: ${deployHash.slice(0, 10)}…`
+      : 'The price moved away from your limit; the order is resting again.');
+  } catch (error) {
+    console.error('Order execution failed:', error);
+    setOrderStatus(`Order not submitted: ${error.message}`, true);
+  }
+}
+
+/**
+ * Ask the user to sign an order whose limit was reached
+ * Deferred so the prompt never blocks the watcher that triggered it
+ * @param {Object} order
+ */
+function promptTriggeredOrder(order){
+  setTimeout(() => {
+    const current = OrderBook.get(order.id);
+    if(!current || current.status !== 'triggered' || current.account !== window.connectedAccount) return;
+    if(confirm(`Your order reached its price:\n\n${describeOrder(current)}\nCurrent rate: ${current.lastRate}\n\nSign the swap now?`)){
+      executeOrderHandler(current.id);
+    }
+  }, 0);
+}
+
+/**
+ * Setup limit, stop and take-profit orders
+ * Starts the order watcher on every page with CasperService, so orders keep
+ * executing while any Ectoplasm page is open, and wires the order list
+ */
+function setupLimitOrders(){
+  if (typeof OrderBook === 'undefined' || typeof CasperService === 'undefined') return;
+
+  window.addEventListener('casper:orderupdate', (e) => {
+    renderOrders();
+    const order = e.detail.order;
+    if(order && order.status === 'triggered' && !order.error) promptTriggeredOrder(order);
+  });
+  window.addEventListener('casper:txupdate', (e) => OrderBook.settle(e.detail.tx));
+  window.addEventListener('casper:statechange', (e) => {
+    if (e.detail.router || e.detail.pairs.length) OrderBook.check();
+  });
+  window.addEventListener('casper:networkchange', () => {
+    renderOrders();
+    OrderBook.check();
+  });
+  window.addEventListener('storage', (e) => {
+    if(e.key === EctoplasmConfig.orders.storageKey) renderOrders();
+  });
+
+  document.querySelectorAll('[data-order-list]').forEach((list) => {
+    list.addEventListener('click', (e) => {
+      const executeBtn = e.target.closest('[data-order-execute]');
+      const cancelBtn = e.target.closest('[data-order-cancel]');
+      if(executeBtn){
+        executeOrderHandler(executeBtn.dataset.orderExecute);
+      } else if(cancelBtn){
+        try {
+          OrderBook.cancel(cancelBtn.dataset.orderCancel);
+          setOrderStatus('Order cancelled.');
+        } catch (error) {
+          setOrderStatus(error.message, true);
+        }
+      }
+    });
+  });
+
+  document.querySelectorAll('[data-order-history-clear]').forEach((btn) => {
+    btn.addEventListener('click', () => OrderBook.clearHistory(window.connectedAccount));
+  });
+
+  OrderBook.start();
+  renderOrders();
+}
+
+// ============================================================================
+// SCHEDULED ORDERS (DCA, TWAP)
+// ============================================================================
+
+/**
+ * Show a message under the schedule form
+ * @param {string} message
+ * @param {boolean} isError
+ */
+function setScheduleStatus(message, isError = false){
+  document.querySelectorAll('[data-schedule-status]').forEach((el) => {
+    el.textContent = message;
+    el.classList.toggle('error', isError);
+  });
+}
+
+/**
+ * Short label for a millisecond duration
+ * @param {number} ms
+ * @returns {string} e.g. "4h", "30m", "7d"
+ */
+function formatDuration(ms){
+  if(ms >= 86400000 && ms % 86400000 === 0) return `${ms / 86400000}d`;
+  if(ms >= 3600000) return `${Math.round(ms / 360000) / 10}h`;
+  return `${Math.round(ms / 60000)}m`;
+}
+
+/**
+ * Describe a schedule for lists
+ * @param {Object} schedule - Schedule from OrderScheduler
+ * @returns {string} e.g. "Buy ECTO with 10 CSPR every 1d (40 of 100 CSPR spent)"
+ */
+function describeSchedule(schedule){
+  const format = (raw) => FixedPoint.format(BigInt(raw), schedule.decimals, 6, { trim: true });
+
+  if(schedule.kind === 'twap'){
+    return `Swap ${format(schedule.totalRaw)} ${schedule.tokenIn} for ${schedule.tokenOut} in ${schedule.slices} slices every ${formatDuration(schedule.interval)} (${schedule.slicesDone}/${schedule.slices} done)`;
+  }
+  return `Buy ${schedule.tokenOut} with ${format(schedule.sliceRaw)} ${schedule.tokenIn} every ${formatDuration(schedule.interval)} (${format(schedule.spentRaw)} of ${format(schedule.totalRaw)} ${schedule.tokenIn} spent)`;
+}
+
+/**
+ * Render the connected account's schedules with their controls and logs
+ */
+function renderSchedules(){
+  const lists = document.querySelectorAll('[data-schedule-list]');
+  if(!lists.length || typeof OrderScheduler === 'undefined') return;
+
+  const schedules = OrderScheduler.getAll(window.connectedAccount);
+  const explorerUrl = EctoplasmConfig.getNetwork().explorerUrl;
+  const statusLabels = { active: 'Active', paused: 'Paused', executing: 'Signing', completed: 'Completed', cancelled: 'Cancelled' };
+  const logLabels = { submitted: 'Submitted', filled: 'Filled', failed: 'Failed', paused: 'Paused', resumed: 'Resumed', cancelled: 'Cancelled', completed: 'Completed' };
+
+  const renderLog = (entry) => `
+    <li class="muted tiny">
+      ${sanitizeHTML(new Date(entry.at).toLocaleString())} · ${sanitizeHTML(logLabels[entry.status] || entry.status)}
+      ${entry.amountIn ? `· ${sanitizeHTML(entry.amountIn)}` : ''}${entry.quotedOut ? ` → ~${sanitizeHTML(entry.quotedOut)}` : ''}
+      ${entry.deployHash ? `· <a href="${sanitizeHTML(`${explorerUrl}/deploy/${entry.deployHash}`)}" target="_blank" rel="noopener">${sanitizeHTML(entry.deployHash.slice(0, 10))}…</a>` : ''}
+      ${entry.error ? `· ${sanitizeHTML(entry.error)}` : ''}
+    </li>`;
+
+  const html = schedules.length
+    ? schedules.map((schedule) => {
+      const id = sanitizeHTML(schedule.id);
+      const running = schedule.status === 'active' || schedule.status === 'paused';
+      return `
+      <li class="tx-item schedule-item">
+        <div>
+          <div>${sanitizeHTML(describeSchedule(schedule))}</div>
+          <div class="muted tiny">
+            ${schedule.status === 'active' ? `Next ${sanitizeHTML(new Date(schedule.nextRunAt).toLocaleString())} · ` : ''}max ${sanitizeHTML(String(schedule.slippage))}% slippage per slice
+          </div>
+          ${schedule.log.length ? `
+          <details class="schedule-log">
+            <summary class="muted tiny">Log (${schedule.log.length})</summary>
+            <ul>${schedule.log.map(renderLog).join('')}</ul>
+          </details>` : ''}
+        </div>
+        <div class="order-actions">
+          <span class="order-status ${sanitizeHTML(schedule.status)}">${sanitizeHTML(statusLabels[schedule.status] || schedule.status)}</span>
+          ${schedule.status === 'active' ? `<button type="button" class="btn ghost small" data-schedule-pause="${id}">Pause</button>` : ''}
+          ${schedule.status === 'paused' ? `<button type="button" class="btn ghost small" data-schedule-resume="${id}">Resume</button>` : ''}
+          ${running ? `<button type="button" class="btn ghost small" data-schedule-cancel="${id}">Cancel</button>` : ''}
+          ${schedule.status === 'completed' || schedule.status === 'cancelled' ? `<button type="button" class="btn ghost small" data-schedule-remove="${id}">Remove</button>` : ''}
+        </div>
+      </li>`;
+    }).join('')
+    : `<li class="muted small">${window.connectedAccount ? 'No scheduled orders.' : 'Connect your wallet to schedule orders.'}</li>`;
+
+  lists.forEach((list) => { list.innerHTML = html; });
+}
+
+/**
+ * Show the fields for the selected schedule type and the current token pair
+ */
+function updateScheduleForm(){
+  const kind = document.getElementById('scheduleKind')?.value || 'dca';
+  const tokenIn = document.getElementById('fromToken')?.value?.toUpperCase() || '';
+  const tokenOut = document.getElementById('toToken')?.value?.toUpperCase() || '';
+
+  document.querySelectorAll('[data-schedule-dca]').forEach((el) => { el.hidden = kind !== 'dca'; });
+  document.querySelectorAll('[data-schedule-twap]').forEach((el) => { el.hidden = kind !== 'twap'; });
+  document.querySelectorAll('[data-schedule-amount-label]').forEach((el) => {
+    el.textContent = `${tokenIn} ${kind === 'dca' ? 'per buy' : 'in total'}`;
+  });
+  document.querySelectorAll('[data-schedule-pair]').forEach((el) => {
+    el.textContent = tokenIn && tokenOut
+      ? `Spends ${tokenIn} for ${tokenOut} (the Sell and Buy tokens above).`
+      : 'Uses the Sell and Buy tokens selected above.';
+  });
+}
+
+/**
+ * Create a schedule from the schedule form
+ * @param {HTMLFormElement} form
+ */
+function createScheduleHandler(form){
+  const value = (id) => form.querySelector(`#${id}`)?.value;
+  const kind = value('scheduleKind');
+
+  try {
+    const schedule = OrderScheduler.create({
+      kind,
+      tokenIn: document.getElementById('fromToken')?.value?.toUpperCase(),
+      tokenOut: document.getElementById('toToken')?.value?.toUpperCase(),
+      amount: value('scheduleAmount') || '0',
+      budget: value('scheduleBudget') || '0',
+      interval: parseInt(value('scheduleInterval'), 10),
+      slices: parseInt(value('scheduleSlices'), 10),
+      duration: parseInt(value('scheduleDuration'), 10),
+      slippage: parseFloat(value('scheduleSlippage'))
+    }, window.connectedAccount);
+    setScheduleStatus(`Scheduled: ${describeSchedule(schedule)}. Slices run while an Ectoplasm page is open; your wallet asks to sign each one.`);
+    form.querySelector('#scheduleAmount').value = '';
+  } catch (error) {
+    setScheduleStatus(error.message, true);
+  }
+}
+
+/**
+ * Setup DCA and TWAP schedules
+ * Starts the scheduler on every page with CasperService, so due slices run
+ * while any Ectoplasm page is open, and wires the schedule form and list
+ */
+function setupScheduler(){
+  if (typeof OrderScheduler === 'undefined' || typeof CasperService === 'undefined') return;
+
+  window.addEventListener('casper:scheduleupdate', renderSchedules);
+  window.addEventListener('casper:networkchange', () => {
+    renderSchedules();
+    OrderScheduler.tick();
+  });
+  window.addEventListener('storage', (e) => {
+    if(e.key === EctoplasmConfig.schedules.storageKey) renderSchedules();
+  });
+
+  document.querySelectorAll('[data-schedule-form]').forEach((form) => {
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      createScheduleHandler(form);
+    });
+  });
+  ['scheduleKind', 'fromToken', 'toToken'].forEach((id) => {
+    document.getElementById(id)?.addEventListener('change', updateScheduleForm);
   });
 
-  // Close all popovers when clicking outside or on backdrop
-  document.addEventListener('click', closeAll);
-  backdrop.addEventListener('click', closeAll);
-  
-  // Close all popovers on Escape key
-  document.addEventListener('keydown', (e) => {
-    if(e.key === 'Escape') closeAll();
+  document.querySelectorAll('[data-schedule-list]').forEach((list) => {
+    list.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-schedule-pause], [data-schedule-resume], [data-schedule-cancel], [data-schedule-remove]');
+      if(!btn) return;
+      try {
+        if(btn.dataset.schedulePause) OrderScheduler.pause(btn.dataset.schedulePause);
+        else if(btn.dataset.scheduleResume) OrderScheduler.resume(btn.dataset.scheduleResume);
+        else if(btn.dataset.scheduleCancel) OrderScheduler.cancel(btn.dataset.scheduleCancel);
+        else OrderScheduler.remove(btn.dataset.scheduleRemove);
+      } catch (error) {
+        setScheduleStatus(error.message, true);
+      }
+    });
   });
+
+  OrderScheduler.start();
+  updateScheduleForm();
+  renderSchedules();
 }
 
+// ============================================================================
+// USD PRICES
+// ============================================================================
+
 /**
- * Update wallet status badge
- * Displays connection status in the network popover
- * 
- * @param {string} message - Status message to display
+ * Format a USD amount for display
+ * @param {number} value - Amount in USD
+ * @returns {string} e.g. "$1,234.56" or "<$0.01"
  */
-function updateWalletStatus(message){
-  const badge = document.getElementById('walletStatus');
-  if(badge){
-    badge.textContent = message;
-  }
+function formatUsd(value){
+  if(value > 0 && value < 0.01) return '<$0.01';
+  return `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
 }
 
 /**
- * Execute swap transaction
- * Uses CasperService for real contract interactions when available,
- * falls back to demo mode when contracts are not deployed
+ * USD value of a token amount from the on-chain price oracle
+ * @param {string} symbol - Token symbol (any case)
+ * @param {number|string} amount - Human-readable amount
+ * @returns {number|null} Null when the token has no on-chain price
  */
-async function demoSwap(){
-  // Check if wallet is connected
-  if (!window.connectedAccount || !window.connectedWallet) {
-    alert('Please connect your wallet first');
-    return;
-  }
+function getUsdValue(symbol, amount){
+  if(typeof PriceOracle === 'undefined' || !symbol) return null;
+  return PriceOracle.getValue(symbol, amount);
+}
 
-  // Check if CasperService is available
-  if (typeof CasperService === 'undefined') {
-    alert('CasperService not loaded. Please refresh the page.');
-    return;
-  }
+/**
+ * USD label for a token amount: the on-chain value, or the CoinGecko
+ * reference marked as off-chain when no pool prices the token
+ * @param {string} symbol - Token symbol (any case)
+ * @param {number|string} amount - Human-readable amount
+ * @returns {string|null} e.g. "$1.20" or "$1.20 via CoinGecko", null when unknown
+ */
+function formatUsdLabel(symbol, amount){
+  const value = getUsdValue(symbol, amount);
+  if(value !== null) return formatUsd(value);
+  const reference = typeof PriceOracle !== 'undefined' && symbol
+    ? PriceOracle.getReferenceValue(symbol, amount)
+    : null;
+  return reference !== null ? `${formatUsd(reference)} via CoinGecko` : null;
+}
 
-  // Check if we have a valid quote
-  if (!window.currentSwapQuote || !window.currentSwapQuote.valid) {
-    alert('Please enter a valid swap amount first');
-    return;
-  }
+/**
+ * Show the connected account's total value: wallet tokens plus LP positions
+ * Tokens without an on-chain price are left out and noted
+ */
+function renderPortfolioValue(){
+  const targets = document.querySelectorAll('[data-portfolio-value]');
+  if(!targets.length) return;
 
-  // Check if this is a demo quote (contracts not deployed)
-  if (window.currentSwapQuote.demo) {
-    alert('Demo mode: Token contracts not yet deployed on testnet.\n\nOnce contracts are deployed and config.js is updated with token hashes, real swaps will be enabled.');
+  if(!window.connectedAccount || !window.tokenBalances){
+    targets.forEach((el) => { el.textContent = '--'; });
     return;
   }
 
-  const actionBtn = document.getElementById('swapActionBtn');
-  const originalText = actionBtn ? actionBtn.textContent : 'Swap';
+  let total = 0;
+  const unpriced = new Set();
+  const add = (symbol, amount) => {
+    if(!(parseFloat(amount) > 0)) return;
+    const value = getUsdValue(symbol, amount);
+    if(value === null) unpriced.add(symbol);
+    else total += value;
+  };
 
-  try {
-    if (actionBtn) {
-      actionBtn.textContent = 'Approving...';
-      actionBtn.style.pointerEvents = 'none';
-    }
+  Object.entries(window.tokenBalances).forEach(([symbol, balance]) => add(symbol, balance.formatted));
+  (window.lpPositions || []).forEach((position) => {
+    add(position.symbolA, position.amountA);
+    add(position.symbolB, position.amountB);
+  });
 
-    const slippage = parseFloat(document.getElementById('slippage')?.value) || 0.5;
+  targets.forEach((el) => {
+    el.textContent = formatUsd(total);
+    el.title = unpriced.size ? `No on-chain price for ${Array.from(unpriced).join(', ')}` : '';
+  });
+}
 
-    // Execute the swap via CasperService
-    const deployHash = await CasperService.executeSwap(window.currentSwapQuote, slippage);
+/**
+ * Start the price oracle and keep USD values current
+ * Prices are re-sampled when a pool changes and restarted on network switches
+ */
+function setupPriceOracle(){
+  if (typeof PriceOracle === 'undefined' || typeof CasperService === 'undefined') return;
 
-    if (actionBtn) {
-      actionBtn.textContent = 'Confirming...';
-    }
+  window.addEventListener('casper:pricesupdate', renderPortfolioValue);
+  window.addEventListener('casper:statechange', (e) => {
+    if (e.detail.pairs.length) PriceOracle.refresh();
+  });
+  window.addEventListener('casper:networkchange', () => PriceOracle.start());
 
-    // Wait for transaction confirmation
-    const result = await CasperService.waitForDeploy(deployHash);
+  PriceOracle.start();
+}
 
-    if (result.success) {
-      alert(`Swap successful!\n\nTransaction hash:\n${deployHash}`);
+// ============================================================================
+// TOKEN LISTS
+// ============================================================================
 
-      // Refresh balances
-      await updateTokenBalances();
+/**
+ * Describe the loaded token lists in the settings popover
+ */
+function renderTokenListInfo(){
+  const targets = document.querySelectorAll('[data-token-list-info]');
+  if(!targets.length || typeof TokenListStore === 'undefined') return;
 
-      // Clear form
-      const fromAmt = document.getElementById('fromAmount');
-      const toAmt = document.getElementById('toAmount');
-      if (fromAmt) fromAmt.value = '';
-      if (toAmt) toAmt.value = '';
-      window.currentSwapQuote = null;
+  const text = TokenListStore.lists.map((entry) => {
+    if(!entry.list) return `${entry.url}: ${entry.status}`;
+    const cached = entry.status === 'cached' ? ' (cached)' : '';
+    return `${entry.list.name} ${TokenListStore.formatVersion(entry.list.version)}${cached}`;
+  }).join(' · ');
+
+  targets.forEach((el) => { el.textContent = text ? `Token lists: ${text}` : ''; });
+}
+
+/**
+ * Load the configured token lists and re-merge them when the network changes
+ * Selects keep the built-in tokens from config.js until the lists arrive
+ */
+function setupTokenLists(){
+  if (typeof TokenListStore === 'undefined') return;
+
+  window.addEventListener('casper:networkchange', () => TokenListStore.apply());
+
+  TokenListStore.refresh()
+    .then(renderTokenListInfo)
+    .catch((error) => console.warn('Token lists failed to load:', error));
+}
+
+// ============================================================================
+// CUSTOM TOKENS
+// ============================================================================
+
+/**
+ * Merge the connected account's imported tokens into the token list
+ */
+function applyCustomTokens(){
+  if (typeof CustomTokenStore === 'undefined') return;
+  CustomTokenStore.apply(window.connectedAccount || null);
+}
+
+/**
+ * Rebuild the swap token selects from EctoplasmConfig.tokens
+ * Keeps each select's choice when the token is still listed
+ */
+function populateTokenSelects(){
+  if (typeof EctoplasmConfig === 'undefined') return;
+
+  const tokens = Object.entries(EctoplasmConfig.tokens);
+  ['fromToken', 'toToken'].forEach((id) => {
+    const select = document.getElementById(id);
+    if(!select) return;
+
+    const previous = select.value;
+    select.innerHTML = '';
+    tokens.forEach(([key, token]) => {
+      const option = document.createElement('option');
+      option.value = key.toLowerCase();
+      option.textContent = token.symbol;
+      if(token.custom) option.dataset.unverified = 'true';
+      select.appendChild(option);
+    });
+
+    if(tokens.some(([key]) => key.toLowerCase() === previous)){
+      select.value = previous;
     } else {
-      alert(`Swap failed: ${result.error}`);
-    }
-  } catch (error) {
-    console.error('Swap error:', error);
-    alert(`Swap failed: ${error.message}`);
-  } finally {
-    if (actionBtn) {
-      actionBtn.textContent = originalText;
-      actionBtn.style.pointerEvents = '';
+      // The selected import was removed; fall back and re-quote
+      select.selectedIndex = id === 'toToken' && tokens.length > 1 ? 1 : 0;
+      select.dispatchEvent(new Event('change'));
     }
+    updateTokenLogo(select);
+  });
+
+  updateTokenWarning();
+}
+
+/**
+ * Show the selected token's logo inside its selector
+ * @param {HTMLSelectElement} select - #fromToken or #toToken
+ */
+function updateTokenLogo(select){
+  const wrapper = select.closest('.token-selector');
+  if(!wrapper) return;
+
+  let logo = wrapper.querySelector('.token-logo');
+  if(!logo){
+    logo = document.createElement('img');
+    logo.className = 'token-logo';
+    logo.alt = '';
+    logo.width = 20;
+    logo.height = 20;
+    // Hide logos that fail to load (or are blocked by the CSP) instead of showing a broken image
+    logo.addEventListener('error', () => wrapper.classList.remove('has-logo'));
+    wrapper.insertBefore(logo, select);
   }
+
+  const icon = EctoplasmConfig.getToken(select.value)?.icon;
+  wrapper.classList.toggle('has-logo', !!icon);
+  if(icon) logo.src = icon;
+  else logo.removeAttribute('src');
 }
 
 /**
- * Update token balance displays in the swap UI
- * Fetches balances from CasperService and updates the balance labels
+ * Warn when either side of the swap is an unverified imported token
  */
-async function updateTokenBalances() {
-  if (typeof CasperService === 'undefined' || !window.connectedAccount) {
+function updateTokenWarning(){
+  const warning = document.getElementById('tokenWarning');
+  if(!warning || typeof EctoplasmConfig === 'undefined') return;
+
+  const unverified = ['fromToken', 'toToken']
+    .map((id) => EctoplasmConfig.getToken(document.getElementById(id)?.value))
+    .filter((token) => token?.custom);
+
+  if(!unverified.length){
+    warning.hidden = true;
+    warning.textContent = '';
     return;
   }
+  const names = unverified.map((token) => `${token.symbol} (${token.hash.slice(0, 12)}…)`).join(' and ');
+  const noun = unverified.length > 1 ? 'are unverified tokens' : 'is an unverified token';
+  warning.textContent = `⚠ ${names} ${noun} you imported. Anyone can create a token with any name; check the contract hash before trading.`;
+  warning.hidden = false;
+}
 
-  try {
-    const balances = await CasperService.getAllBalances();
+/**
+ * List the account's imported tokens with remove buttons
+ */
+function renderCustomTokens(){
+  const lists = document.querySelectorAll('[data-custom-token-list]');
+  if(!lists.length || typeof CustomTokenStore === 'undefined') return;
+
+  const html = CustomTokenStore.getAll(window.connectedAccount).map((token) => `
+    <li class="allowance-item">
+      <div>
+        <div>${sanitizeHTML(token.symbol)} <span class="muted tiny">Unverified</span></div>
+        <div class="muted tiny" title="${sanitizeHTML(token.hash)}">${sanitizeHTML(token.name)} · ${sanitizeHTML(token.hash.slice(0, 14))}…</div>
+      </div>
+      <button type="button" class="btn ghost small" data-custom-token-remove="${sanitizeHTML(token.hash)}">Remove</button>
+    </li>`).join('');
 
-    // Update "from" token balance display
-    const fromToken = document.getElementById('fromToken');
-    const fromBalance = document.querySelector('.token-row:first-of-type .balance');
-    if (fromToken && fromBalance) {
-      const symbol = fromToken.value?.toUpperCase() || 'CSPR';
-      const bal = balances[symbol];
-      if (bal) {
-        fromBalance.textContent = `Balance: ${bal.formatted}`;
+  lists.forEach((list) => { list.innerHTML = html; });
+}
+
+/**
+ * Setup custom token import
+ * Reads the pasted contract package hash on-chain, validates it as CEP-18
+ * and adds it to the connected account's token list
+ */
+function setupCustomTokens(){
+  if (typeof CasperService === 'undefined' || typeof CustomTokenStore === 'undefined') return;
+
+  window.addEventListener('casper:tokenschange', () => {
+    populateTokenSelects();
+    renderCustomTokens();
+  });
+  ['fromToken', 'toToken'].forEach((id) => {
+    const select = document.getElementById(id);
+    if(!select) return;
+    select.addEventListener('change', () => {
+      updateTokenWarning();
+      updateTokenLogo(select);
+    });
+  });
+
+  document.querySelectorAll('[data-token-import]').forEach((form) => {
+    const input = form.querySelector('input');
+    const submitBtn = form.querySelector('button[type="submit"]');
+    const status = form.parentElement.querySelector('[data-token-import-status]');
+    const setStatus = (message, isError = false) => {
+      if(!status) return;
+      status.textContent = message;
+      status.classList.toggle('error', isError);
+    };
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      if (!window.connectedAccount) {
+        setStatus('Connect your wallet to import tokens.', true);
+        return;
       }
-    }
 
-    // Update "to" token balance display
-    const toToken = document.getElementById('toToken');
-    const toBalance = document.querySelector('.token-row:last-of-type .balance');
-    if (toToken && toBalance) {
-      const symbol = toToken.value?.toUpperCase() || 'ECTO';
-      const bal = balances[symbol];
-      if (bal) {
-        toBalance.textContent = `Balance: ${bal.formatted}`;
+      submitBtn.disabled = true;
+      setStatus('Reading token contract…');
+      try {
+        const token = await CasperService.importToken(input.value);
+        setStatus(`Imported ${token.symbol} (${token.name}). It is unverified: trade only if you trust this contract.`);
+        input.value = '';
+      } catch (error) {
+        console.warn('Token import failed:', error);
+        setStatus(error.message || 'Could not import this token.', true);
+      } finally {
+        submitBtn.disabled = false;
       }
-    }
+    });
+  });
 
-    // Store balances globally for easy access
-    window.tokenBalances = balances;
-    console.log('Token balances updated:', balances);
-  } catch (error) {
-    console.error('Failed to update token balances:', error);
-  }
+  document.querySelectorAll('[data-custom-token-list]').forEach((list) => {
+    list.addEventListener('click', (e) => {
+      const btn = e.target.closest('[data-custom-token-remove]');
+      if(btn) CustomTokenStore.remove(btn.dataset.customTokenRemove, window.connectedAccount);
+    });
+  });
+
+  applyCustomTokens();
 }
 
 /**
  * Get swap quote using CasperService
  * Updates the UI with quote details including price impact and minimum received
+ *
+ * @param {string} source - 'from' quotes the sell amount exactly, 'to' quotes the buy amount exactly
  */
-async function getSwapQuote() {
+async function getSwapQuote(source = 'from') {
   if (typeof CasperService === 'undefined') {
     return null;
   }
@@ -1423,14 +3020,17 @@ async function getSwapQuote() {
   const fromToken = document.getElementById('fromToken');
   const toToken = document.getElementById('toToken');
   const fromAmt = document.getElementById('fromAmount');
+  const toAmt = document.getElementById('toAmount');
+  const exactOut = source === 'to';
+  const amountEl = exactOut ? toAmt : fromAmt;
 
-  if (!fromToken || !toToken || !fromAmt) {
+  if (!fromToken || !toToken || !amountEl) {
     return null;
   }
 
   const fromSymbol = fromToken.value?.toUpperCase() || 'CSPR';
   const toSymbol = toToken.value?.toUpperCase() || 'ECTO';
-  const amount = fromAmt.value || '0';
+  const amount = amountEl.value || '0';
 
   if (parseFloat(amount) <= 0) {
     window.currentSwapQuote = null;
@@ -1438,7 +3038,9 @@ async function getSwapQuote() {
   }
 
   try {
-    const quote = await CasperService.getSwapQuote(fromSymbol, toSymbol, amount);
+    const quote = exactOut
+      ? await CasperService.getSwapQuoteExactOut(fromSymbol, toSymbol, amount)
+      : await CasperService.getSwapQuote(fromSymbol, toSymbol, amount);
     window.currentSwapQuote = quote;
     return quote;
   } catch (error) {
@@ -1448,6 +3050,212 @@ async function getSwapQuote() {
   }
 }
 
+// ============================================================================
+// LIQUIDITY PROVISION
+// ============================================================================
+
+/**
+ * Setup deposit/withdraw forms inside pool popouts
+ * Renders a form into every [data-liquidity-pair] container (e.g. "ECTO/USDC")
+ * 
+ * Features:
+ * - Deposit tab auto-fills the other side at the current pool ratio
+ * - Withdraw tab previews underlying tokens for an LP amount
+ * - "Max" fills the connected account's LP balance
+ * - Inline status for approvals, confirmation and errors
+ */
+function setupLiquidityForms(){
+  const containers = Array.from(document.querySelectorAll('[data-liquidity-pair]'));
+  if(!containers.length) return;
+
+  containers.forEach((container) => {
+    const [symbolA, symbolB] = container.dataset.liquidityPair.split('/');
+
+    container.innerHTML = `
+      <div class="pill-row tight" role="tablist" aria-label="Liquidity action">
+        <button type="button" class="pill active" data-liquidity-tab="deposit" role="tab" aria-selected="true">Deposit</button>
+        <button type="button" class="pill ghost" data-liquidity-tab="withdraw" role="tab" aria-selected="false">Withdraw</button>
+      </div>
+      <form data-liquidity-panel="deposit">
+        <label class="liquidity-field">
+          <input type="number" inputmode="decimal" min="0" step="any" placeholder="0" data-liquidity-input="a" aria-label="${sanitizeHTML(symbolA)} amount" />
+          <span class="muted">${sanitizeHTML(symbolA)}</span>
+        </label>
+        <label class="liquidity-field">
+          <input type="number" inputmode="decimal" min="0" step="any" placeholder="0" data-liquidity-input="b" aria-label="${sanitizeHTML(symbolB)} amount" />
+          <span class="muted">${sanitizeHTML(symbolB)}</span>
+        </label>
+        <div class="muted tiny" data-liquidity-preview>Pool share: --</div>
+        <button type="submit" class="btn primary small full">Add liquidity</button>
+      </form>
+      <form data-liquidity-panel="withdraw" hidden>
+        <label class="liquidity-field">
+          <input type="number" inputmode="decimal" min="0" step="any" placeholder="0" data-liquidity-input="lp" aria-label="LP token amount" />
+          <span class="muted">LP</span>
+          <button type="button" class="chip" data-liquidity-max>Max</button>
+        </label>
+        <div class="muted tiny" data-liquidity-receive>You receive: --</div>
+        <button type="submit" class="btn primary small full">Remove liquidity</button>
+      </form>
+      <p class="muted tiny liquidity-status" data-liquidity-status aria-live="polite"></p>
+    `;
+
+    const tabs = Array.from(container.querySelectorAll('[data-liquidity-tab]'));
+    const depositForm = container.querySelector('[data-liquidity-panel="deposit"]');
+    const withdrawForm = container.querySelector('[data-liquidity-panel="withdraw"]');
+    const inputA = container.querySelector('[data-liquidity-input="a"]');
+    const inputB = container.querySelector('[data-liquidity-input="b"]');
+    const inputLp = container.querySelector('[data-liquidity-input="lp"]');
+    const preview = container.querySelector('[data-liquidity-preview]');
+    const receive = container.querySelector('[data-liquidity-receive]');
+    const maxBtn = container.querySelector('[data-liquidity-max]');
+    const status = container.querySelector('[data-liquidity-status]');
+
+    /**
+     * Show a status message under the form
+     */
+    const setStatus = (message, isError = false) => {
+      status.textContent = message;
+      status.classList.toggle('error', isError);
+    };
+
+    /**
+     * Switch between deposit and withdraw panels
+     */
+    const setTab = (tab) => {
+      tabs.forEach((btn) => {
+        const active = btn.dataset.liquidityTab === tab;
+        btn.classList.toggle('active', active);
+        btn.classList.toggle('ghost', !active);
+        btn.setAttribute('aria-selected', active ? 'true' : 'false');
+      });
+      depositForm.hidden = tab !== 'deposit';
+      withdrawForm.hidden = tab !== 'withdraw';
+      setStatus('');
+    };
+    tabs.forEach((btn) => btn.addEventListener('click', () => setTab(btn.dataset.liquidityTab)));
+
+    if (typeof CasperService === 'undefined') {
+      setStatus('Liquidity actions are unavailable on this page.', true);
+      return;
+    }
+
+    /**
+     * Fill the opposite deposit amount at the current pool ratio
+     */
+    const updateDeposit = async (side) => {
+      const source = side === 'b' ? inputB : inputA;
+      const target = side === 'b' ? inputA : inputB;
+      if (!(parseFloat(source.value) > 0)) {
+        preview.textContent = 'Pool share: --';
+        return;
+      }
+
+      const quote = await CasperService.getAddLiquidityQuote(symbolA, symbolB, source.value, side);
+      if (!quote.valid) {
+        preview.textContent = quote.error;
+        return;
+      }
+      if (quote.empty) {
+        preview.textContent = 'First deposit sets the pool price.';
+        return;
+      }
+
+      target.value = side === 'b' ? quote.amountA : quote.amountB;
+      preview.textContent = `Pool share: ${quote.poolShare}%`;
+    };
+
+    /**
+     * Preview underlying tokens for the entered LP amount
+     */
+    const updateWithdraw = async () => {
+      if (!(parseFloat(inputLp.value) > 0)) {
+        receive.textContent = 'You receive: --';
+        return;
+      }
+
+      const quote = await CasperService.getRemoveLiquidityQuote(symbolA, symbolB, inputLp.value);
+      receive.textContent = quote.valid
+        ? `You receive: ${quote.amountA} ${symbolA} + ${quote.amountB} ${symbolB}`
+        : quote.error;
+    };
+
+    inputA.addEventListener('input', debounce(() => updateDeposit('a'), DEBOUNCE_DELAY_CALC));
+    inputB.addEventListener('input', debounce(() => updateDeposit('b'), DEBOUNCE_DELAY_CALC));
+    inputLp.addEventListener('input', debounce(updateWithdraw, DEBOUNCE_DELAY_CALC));
+
+    maxBtn.addEventListener('click', async () => {
+      if (!window.connectedAccount) {
+        setStatus('Connect your wallet first.', true);
+        return;
+      }
+      try {
+        const pool = await CasperService.getPoolState(symbolA, symbolB);
+        if (!pool.exists) {
+          setStatus('Pool not deployed yet.', true);
+          return;
+        }
+        const balance = await CasperService.getTokenBalance(pool.pairAddress, window.connectedAccount);
+        inputLp.value = CasperService.formatTokenAmount(balance.raw, EctoplasmConfig.liquidity.lpTokenDecimals);
+        updateWithdraw();
+      } catch (error) {
+        setStatus(`Could not read LP balance: ${error.message}`, true);
+      }
+    });
+
+    /**
+     * Submit a liquidity deploy and wait for it to be processed
+     */
+    const submit = async (form, label, action) => {
+      if (!window.connectedAccount || !window.connectedWallet) {
+        setStatus('Connect your wallet first.', true);
+        return;
+      }
+
+      const submitBtn = form.querySelector('[type="submit"]');
+      submitBtn.disabled = true;
+      try {
+        setStatus('Confirm the approval and transaction in your wallet...');
+        const deployHash = await action();
+        setStatus('Waiting for confirmation...');
+
+        const result = await TransactionStore.wait(deployHash);
+        if (result.success) {
+          setStatus(`${label} confirmed: ${deployHash.slice(0, 10)}…`);
+          form.reset();
+          updateTokenBalances();
+          renderLPPositions();
+        } else if (result.timedOut) {
+          setStatus(`${label} still pending: ${deployHash.slice(0, 10)}… ${result.error}`);
+        } else {
+          setStatus(`${label} failed: ${result.error}`, true);
+        }
+      } catch (error) {
+        console.error(`${label} error:`, error);
+        setStatus(`${label} failed: ${error.message}`, true);
+      } finally {
+        submitBtn.disabled = false;
+      }
+    };
+
+    depositForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const slippagePct = EctoplasmConfig.swap.defaultSlippage;
+      submit(depositForm, 'Deposit', () =>
+        CasperService.addLiquidity(symbolA, symbolB, inputA.value || '0', inputB.value || '0', slippagePct)
+      );
+    });
+
+    withdrawForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const slippagePct = EctoplasmConfig.swap.defaultSlippage;
+      submit(withdrawForm, 'Withdrawal', () =>
+        CasperService.removeLiquidity(symbolA, symbolB, inputLp.value || '0', slippagePct)
+      );
+    });
+  });
+}
+
 // ============================================================================
 // LAUNCHPAD
 // ============================================================================
@@ -2408,67 +4216,81 @@ function formatCurrency(value){
 }
 
 /**
- * Populate mock liquid staking positions on the liquidity page
- * Shows sample liquid staking positions for demonstration purposes
+ * Render the connected account's LP positions on the liquidity page
+ * Reads LP balances, pool share and underlying amounts via CasperService
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.background] - Refresh silently, without loading or error messages
  */
-function populateMockLPPositions() {
+async function renderLPPositions(options = {}) {
   const container = document.getElementById('lpPositionsContainer');
   if (!container) return;
 
-  // Mock liquid staking position data
-  const mockPositions = [
-    {
-      asset: 'CSPR',
-      staked: '25,000 CSPR',
-      liquidToken: '25,125 stCSPR',
-      apr: '16.8%',
-      earnings: '$3,920.40',
-      autoCompound: true
-    },
-    {
-      asset: 'ECTO',
-      staked: '15,000 ECTO',
-      liquidToken: '15,336 stECTO',
-      apr: '22.4%',
-      earnings: '$2,688.00',
-      autoCompound: true
-    },
-    {
-      asset: 'ETH',
-      staked: '8.5 ETH',
-      liquidToken: '8.661 stETH',
-      apr: '18.9%',
-      earnings: '$1,606.50',
-      autoCompound: true
+  const renderMessage = (message) => {
+    container.innerHTML = `<p class="muted small" style="margin-top: 12px;">${sanitizeHTML(message)}</p>`;
+  };
+
+  if (typeof CasperService === 'undefined') {
+    renderMessage('Liquidity positions are unavailable on this page.');
+    return;
+  }
+
+  if (!window.connectedAccount) {
+    window.lpPositions = [];
+    renderPortfolioValue();
+    renderMessage('Connect your wallet to see your liquidity positions.');
+    return;
+  }
+
+  // Background refreshes keep the current cards on screen until new data arrives
+  if (!options.background) {
+    renderMessage('Loading positions...');
+  }
+
+  let positions;
+  try {
+    positions = await CasperService.getLPPositions(window.connectedAccount);
+  } catch (error) {
+    console.error('Failed to load LP positions:', error);
+    if (!options.background) {
+      renderMessage('Could not load liquidity positions. Please try again.');
     }
-  ];
+    return;
+  }
+
+  window.lpPositions = positions;
+  renderPortfolioValue();
+
+  if (!positions.length) {
+    renderMessage('No liquidity positions yet. Deposit into a pool below to get started.');
+    return;
+  }
 
-  // Create HTML for liquid staking positions
+  // Create HTML for LP positions
   let positionsHTML = '<div style="margin-top: 12px;">';
 
-  mockPositions.forEach((position, index) => {
+  positions.forEach((position, index) => {
+    const valueA = getUsdValue(position.symbolA, position.amountA);
+    const valueB = getUsdValue(position.symbolB, position.amountB);
+    const valueText = valueA !== null && valueB !== null ? ` · Value ≈ ${formatUsd(valueA + valueB)}` : '';
     positionsHTML += `
-      <div style="padding: 12px; background: var(--surface-1, rgba(0,0,0,0.02)); border-radius: 8px; margin-bottom: ${index < mockPositions.length - 1 ? '8px' : '0'};">
+      <div style="padding: 12px; background: var(--surface-1, rgba(0,0,0,0.02)); border-radius: 8px; margin-bottom: ${index < positions.length - 1 ? '8px' : '0'};">
         <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 6px;">
-          <strong style="font-size: 14px;">${sanitizeHTML(position.asset)} Liquid Staking</strong>
-          ${position.autoCompound ? '<span class="pill success subtle" style="font-size: 11px; padding: 2px 8px;">Auto-compound</span>' : ''}
+          <strong style="font-size: 14px;">${sanitizeHTML(position.symbolA)} / ${sanitizeHTML(position.symbolB)}</strong>
+          <span class="pill success subtle" style="font-size: 11px; padding: 2px 8px;">${sanitizeHTML(position.share)}% of pool</span>
         </div>
-        <div style="display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 8px; font-size: 12px;">
-          <div>
-            <div class="muted tiny">Staked</div>
-            <div style="font-weight: 500; margin-top: 2px;">${sanitizeHTML(position.staked)}</div>
-          </div>
+        <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 8px; font-size: 12px;">
           <div>
-            <div class="muted tiny">APR</div>
-            <div style="font-weight: 500; margin-top: 2px; color: var(--success, #22c55e);">${sanitizeHTML(position.apr)}</div>
+            <div class="muted tiny">Pooled ${sanitizeHTML(position.symbolA)}</div>
+            <div style="font-weight: 500; margin-top: 2px;">${sanitizeHTML(position.amountA)}</div>
           </div>
           <div>
-            <div class="muted tiny">Earned</div>
-            <div style="font-weight: 500; margin-top: 2px;">${sanitizeHTML(position.earnings)}</div>
+            <div class="muted tiny">Pooled ${sanitizeHTML(position.symbolB)}</div>
+            <div style="font-weight: 500; margin-top: 2px;">${sanitizeHTML(position.amountB)}</div>
           </div>
         </div>
         <div style="margin-top: 6px; font-size: 11px; color: var(--muted);">
-          Liquid token: ${sanitizeHTML(position.liquidToken)}
+          LP tokens: ${sanitizeHTML(position.lpBalance)}${sanitizeHTML(valueText)}
         </div>
       </div>
     `;
@@ -2482,9 +4304,9 @@ function populateMockLPPositions() {
 
 // Initialize LP positions when DOM is ready
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', populateMockLPPositions);
+  document.addEventListener('DOMContentLoaded', renderLPPositions);
 } else {
-  populateMockLPPositions();
+  renderLPPositions();
 }
 
 // ============================================================================
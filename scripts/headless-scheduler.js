@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/**
+ * Headless runner for DCA and TWAP schedules
+ * Runs OrderScheduler from casper.js without a browser, signing every slice
+ * with a local secret key. Schedules and transactions are kept in a JSON
+ * file (the runner's localStorage), separate from any browser's.
+ *
+ * Setup (once, next to this checkout):
+ *   npm install --no-save casper-js-sdk@2.15.4
+ *
+ * Usage:
+ *   node scripts/headless-scheduler.js --key secret_key.pem <command>
+ *
+ * Commands:
+ *   add dca <in> <out> <amount> --budget <total> --every <minutes>
+ *   add twap <in> <out> <total> --slices <n> --over <minutes>
+ *   list
+ *   pause <id> | resume <id> | cancel <id>
+ *   run                                  Execute due slices until stopped (Ctrl+C)
+ *
+ * Options:
+ *   --key <file>        Secret key PEM of the account that signs (required)
+ *   --algo <name>       ed25519 (default) or secp256k1
+ *   --network <id>      testnet (default) or mainnet
+ *   --slippage <pct>    Slippage limit per slice for `add` (default from config.js)
+ *   --state <file>      Storage file (default .ectoplasm-headless.json)
+ */
+const path = require('path');
+const { createDappScope } = require('./lib/dapp-scope');
+
+const HEADLESS_WALLET = 'headless-key';
+
+/**
+ * Split argv into positional arguments and --options
+ * @param {string[]} argv
+ * @returns {{args: string[], options: Object<string, string>}}
+ */
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.push(argv[i]);
+    }
+  }
+  return { args, options };
+}
+
+/**
+ * Wallet adapter that signs with a key pair loaded from disk
+ * Registered with WalletRegistry like the browser wallets
+ * @param {Object} sdk - casper-js-sdk exports
+ * @param {Object} keys - Key pair from Keys.*.loadKeyPairFromPrivateFile
+ * @param {string} chainName - Chain the runner signs for
+ * @returns {Object} Wallet adapter
+ */
+function createKeyAdapter(sdk, keys, chainName) {
+  const publicKeyHex = keys.publicKey.toHex();
+  return {
+    id: HEADLESS_WALLET,
+    name: 'Local key (headless)',
+    detect: () => true,
+    connect: async () => publicKeyHex,
+    isConnected: async () => true,
+    getActivePublicKey: async () => publicKeyHex,
+    getChainName: async () => chainName,
+    canSignUnattended: () => true,
+    signDeploy: async (deploy) => sdk.DeployUtil.signDeploy(deploy, keys),
+    signMessage: async (message) => Buffer.from(keys.sign(Buffer.from(message))).toString('hex'),
+    disconnect: async () => {},
+    on: () => () => {}
+  };
+}
+
+/**
+ * Print one schedule per line
+ * @param {Object} scheduler - OrderScheduler
+ * @param {string} account - Public key hex
+ */
+function listSchedules(scheduler, account) {
+  const schedules = scheduler.getAll(account);
+  if (!schedules.length) {
+    console.log('No schedules.');
+    return;
+  }
+  for (const schedule of schedules) {
+    const next = schedule.status === 'active' ? ` next ${new Date(schedule.nextRunAt).toISOString()}` : '';
+    console.log(`${schedule.id}  ${schedule.kind} ${schedule.tokenIn}->${schedule.tokenOut}  ${schedule.status}  ` +
+      `${schedule.slicesDone} slices, ${schedule.spentRaw}/${schedule.totalRaw} raw spent${next}`);
+    const [last] = schedule.log || [];
+    if (last) {
+      console.log(`    last: ${last.status}${last.deployHash ? ` ${last.deployHash}` : ''}${last.error ? ` (${last.error})` : ''}`);
+    }
+  }
+}
+
+async function main() {
+  const { args, options } = parseArgs(process.argv.slice(2));
+  const [command = 'list', ...rest] = args;
+  if (!options.key) {
+    throw new Error('Pass the signing key with --key <secret_key.pem>');
+  }
+
+  const dapp = createDappScope({
+    storageFile: path.resolve(options.state || '.ectoplasm-headless.json')
+  });
+  const { scope } = dapp;
+  const EctoplasmConfig = dapp.get('EctoplasmConfig');
+  const WalletRegistry = dapp.get('WalletRegistry');
+  const CasperService = dapp.get('CasperService');
+  const OrderScheduler = dapp.get('OrderScheduler');
+
+  if (options.network) EctoplasmConfig.setNetwork(options.network);
+
+  const algo = (options.algo || 'ed25519').toLowerCase();
+  const keyType = algo === 'secp256k1' ? scope.Keys.Secp256K1 : scope.Keys.Ed25519;
+  const keys = keyType.loadKeyPairFromPrivateFile(path.resolve(options.key));
+  const adapter = WalletRegistry.register(createKeyAdapter(scope, keys, EctoplasmConfig.getNetwork().chainName));
+
+  scope.connectedWallet = adapter.id;
+  scope.connectedAccount = keys.publicKey.toHex();
+  const account = scope.connectedAccount;
+
+  switch (command) {
+    case 'add': {
+      const [kind, tokenIn, tokenOut, amount] = rest;
+      const minutes = (value) => Math.round(parseFloat(value) * 60000);
+      const schedule = OrderScheduler.create({
+        kind,
+        tokenIn,
+        tokenOut,
+        amount,
+        budget: options.budget,
+        interval: minutes(options.every),
+        slices: parseInt(options.slices, 10),
+        duration: minutes(options.over),
+        slippage: options.slippage !== undefined ? parseFloat(options.slippage) : EctoplasmConfig.swap.defaultSlippage
+      }, account);
+      console.log(`Scheduled ${schedule.id}. Start the runner with: run`);
+      return;
+    }
+    case 'list':
+      listSchedules(OrderScheduler, account);
+      return;
+    case 'pause':
+    case 'resume':
+    case 'cancel':
+      if (!OrderScheduler[command](rest[0])) throw new Error(`No schedule ${rest[0]}`);
+      listSchedules(OrderScheduler, account);
+      return;
+    case 'run':
+      break;
+    default:
+      throw new Error(`Unknown command: ${command}`);
+  }
+
+  scope.addEventListener('casper:scheduleupdate', (e) => {
+    const { schedule } = e.detail;
+    const [entry] = schedule?.log || [];
+    if (entry && entry.at >= Date.now() - 1000) {
+      console.log(`[${new Date(entry.at).toISOString()}] ${schedule.id} ${entry.status}` +
+        `${entry.amountIn ? ` ${entry.amountIn} ${schedule.tokenIn}` : ''}` +
+        `${entry.deployHash ? ` ${entry.deployHash}` : ''}${entry.error ? ` (${entry.error})` : ''}`);
+    }
+  });
+
+  CasperService.init();
+  if (!CasperService.initialized) {
+    throw new Error('CasperService could not initialize');
+  }
+  console.log(`Running schedules for ${account} on ${EctoplasmConfig.getNetwork().name}. Ctrl+C to stop.`);
+  OrderScheduler.start();
+
+  process.on('SIGINT', () => {
+    OrderScheduler.stop();
+    process.exit(0);
+  });
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,130 @@
+/**
+ * Load the Ectoplasm browser scripts into a Node scope
+ * config.js, wallets.js and casper.js are plain browser scripts that share
+ * globals. This runs them in one vm context that stands in for the page:
+ * the casper-js-sdk exports as globals, a `window` that is an EventTarget,
+ * and a localStorage kept in a JSON file (or in memory).
+ * Used by the headless scheduler and the event stream stand-in.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+/**
+ * Web Storage backed by a JSON file, written through on every change
+ * Without a file it only lives in memory
+ */
+class FileStorage {
+  /**
+   * @param {string|null} file - JSON file path, null for memory only
+   */
+  constructor(file = null) {
+    this.file = file;
+    this.items = {};
+    if (file && fs.existsSync(file)) {
+      this.items = JSON.parse(fs.readFileSync(file, 'utf8'));
+    }
+  }
+
+  get length() {
+    return Object.keys(this.items).length;
+  }
+
+  key(index) {
+    return Object.keys(this.items)[index] ?? null;
+  }
+
+  getItem(key) {
+    return Object.prototype.hasOwnProperty.call(this.items, key) ? this.items[key] : null;
+  }
+
+  setItem(key, value) {
+    this.items[key] = String(value);
+    this.flush();
+  }
+
+  removeItem(key) {
+    delete this.items[key];
+    this.flush();
+  }
+
+  clear() {
+    this.items = {};
+    this.flush();
+  }
+
+  flush() {
+    if (this.file) fs.writeFileSync(this.file, JSON.stringify(this.items, null, 2));
+  }
+}
+
+/**
+ * Resolve casper-js-sdk from the working directory or this checkout
+ * @returns {Object} SDK exports
+ */
+function requireSdk() {
+  try {
+    return require(require.resolve('casper-js-sdk', { paths: [process.cwd(), ROOT] }));
+  } catch (error) {
+    throw new Error('casper-js-sdk is not installed. Run: npm install --no-save casper-js-sdk@2.15.4');
+  }
+}
+
+/**
+ * Create a page-like scope and run the Ectoplasm scripts in it
+ * @param {Object} [options]
+ * @param {string|null} [options.storageFile] - localStorage JSON file, null for memory only
+ * @param {Object} [options.sdk] - casper-js-sdk exports (required from node_modules by default)
+ * @param {Object} [options.globals] - Extra globals, e.g. an EventSource implementation
+ * @param {string[]} [options.files] - Scripts to load, in page order
+ * @returns {{scope: Object, get: function(string): any, storage: FileStorage}}
+ *          get() reads a top-level binding such as 'OrderScheduler'
+ */
+function createDappScope({
+  storageFile = null,
+  sdk = requireSdk(),
+  globals = {},
+  files = ['config.js', 'wallets.js', 'casper.js']
+} = {}) {
+  const events = new EventTarget();
+  const storage = new FileStorage(storageFile);
+  const scope = {
+    ...sdk,
+    console,
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    fetch,
+    AbortController,
+    Buffer,
+    URL,
+    TextEncoder,
+    TextDecoder,
+    EventTarget,
+    Event,
+    CustomEvent,
+    localStorage: storage,
+    addEventListener: events.addEventListener.bind(events),
+    removeEventListener: events.removeEventListener.bind(events),
+    dispatchEvent: events.dispatchEvent.bind(events),
+    ...globals
+  };
+  scope.window = scope;
+  vm.createContext(scope);
+
+  for (const file of files) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(source, scope, { filename: file });
+  }
+
+  return {
+    scope,
+    storage,
+    get: (name) => vm.runInContext(name, scope)
+  };
+}
+
+module.exports = { createDappScope, FileStorage, requireSdk, ROOT };
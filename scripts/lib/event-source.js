@@ -0,0 +1,58 @@
+/**
+ * Minimal EventSource for Node
+ * Enough of the browser API for CasperService.startEventStream: onmessage,
+ * onerror and close() over a plain HTTP text/event-stream response. It does
+ * not reconnect. Node 22+ ships a global EventSource; this covers Node 18-20.
+ */
+const http = require('http');
+const https = require('https');
+
+class NodeEventSource {
+  /**
+   * @param {string} url - SSE endpoint
+   */
+  constructor(url) {
+    this.url = url;
+    this.onmessage = null;
+    this.onerror = null;
+    this.buffer = '';
+
+    const transport = url.startsWith('https:') ? https : http;
+    this.request = transport.get(url, { headers: { Accept: 'text/event-stream' } }, (res) => {
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => this.receive(chunk));
+      res.on('end', () => this.fail(new Error('Stream ended')));
+    });
+    this.request.on('error', (error) => this.fail(error));
+  }
+
+  /**
+   * Split buffered text into events and deliver their data
+   * @param {string} chunk
+   */
+  receive(chunk) {
+    this.buffer += chunk.replace(/\r\n/g, '\n');
+    let end;
+    while ((end = this.buffer.indexOf('\n\n')) !== -1) {
+      const block = this.buffer.slice(0, end);
+      this.buffer = this.buffer.slice(end + 2);
+      const data = block.split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+      if (data && this.onmessage) this.onmessage({ data });
+    }
+  }
+
+  fail(error) {
+    if (this.request && this.onerror) this.onerror(error);
+  }
+
+  close() {
+    const { request } = this;
+    this.request = null;
+    if (request) request.destroy();
+  }
+}
+
+module.exports = { NodeEventSource };
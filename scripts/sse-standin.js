@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * Local stand-in for a node's SSE event stream
+ * Replays a processed deploy that touches the router, a pair and an account,
+ * followed by the block that contains it, so the live refresh in casper.js
+ * (CasperService.startEventStream) can be exercised without a node.
+ *
+ * Usage:
+ *   node scripts/sse-standin.js [--port 18101] [--account <public key hex>] [--repeat <seconds>]
+ *     Serve the events at http://localhost:<port>/events. Point the site at it
+ *     from the browser console, then reload:
+ *       localStorage.setItem('ectoplasm-events-url', 'http://localhost:18101/events')
+ *     Use the connected wallet's key as --account so balances refresh too.
+ *
+ *   node scripts/sse-standin.js --check
+ *     Replay the events into casper.js loaded in Node and verify that cached
+ *     reserves and balances are dropped and `casper:statechange` fires.
+ *     Exits non-zero on failure.
+ *
+ * Options:
+ *   --port <n>          Port to listen on (default 18101, --check picks a free one)
+ *   --account <hex>     Account the deploy is sent from (default: a sample key)
+ *   --pair <name>       Configured pair the deploy touches (default: the first)
+ *   --network <id>      testnet (default) or mainnet
+ *   --repeat <seconds>  Replay the events to open streams every n seconds
+ */
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { createDappScope, requireSdk } = require('./lib/dapp-scope');
+const { NodeEventSource } = require('./lib/event-source');
+
+const DEFAULT_PORT = 18101;
+const SAMPLE_ACCOUNT = '0106ca7c39cd272dbf21a86eeb3b36b7c26e2e9b94af64292419f7862936bca2ca';
+const FIXTURE = path.join(__dirname, 'fixtures', 'deploy-processed.json');
+const CHECK_TIMEOUT = 10000;
+
+/**
+ * Split argv into positional arguments and --options
+ * Flags without a value (--check) are set to true
+ * @param {string[]} argv
+ * @returns {{args: string[], options: Object<string, string|boolean>}}
+ */
+function parseArgs(argv) {
+  const args = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args.push(argv[i]);
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      options[argv[i].slice(2)] = true;
+    }
+  }
+  return { args, options };
+}
+
+/**
+ * Fill the fixture's placeholders with the network's contracts
+ * @param {Object} config - EctoplasmConfig
+ * @param {Object} options - account and pair overrides
+ * @returns {{events: Object[], pair: string, stateRoot: string}}
+ */
+function buildEvents(config, { account, pair }) {
+  const pairs = config.contracts.pairs;
+  const pairName = pair || Object.keys(pairs)[0];
+  if (!config.contracts.router || !pairs[pairName]) {
+    throw new Error(`No router or pair "${pairName}" configured on ${config.currentNetwork}`);
+  }
+
+  const stateRoot = Date.now().toString(16).padStart(64, 'e');
+  const values = {
+    ACCOUNT: account,
+    ROUTER: config.contracts.router,
+    PAIR: pairs[pairName],
+    STATE_ROOT: stateRoot,
+    TIMESTAMP: new Date().toISOString()
+  };
+  const text = fs.readFileSync(FIXTURE, 'utf8')
+    .replace(/"\{\{HEIGHT\}\}"/g, String(Math.floor(Date.now() / 1000)))
+    .replace(/\{\{(\w+)\}\}/g, (match, name) => values[name] ?? match);
+
+  return { events: JSON.parse(text), pair: pairName, stateRoot };
+}
+
+/**
+ * Serve the events to every client of /events
+ * @param {function(): Object[]} getEvents - Events for one replay
+ * @param {Object} options
+ * @param {number} options.port - 0 for any free port
+ * @param {number} [options.repeat] - Seconds between replays, 0 for once
+ * @returns {Promise<http.Server>}
+ */
+function startServer(getEvents, { port, repeat = 0 }) {
+  const server = http.createServer((req, res) => {
+    if (!req.url.startsWith('/events')) {
+      res.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+      res.end();
+      return;
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'Access-Control-Allow-Origin': '*'
+    });
+    // Nodes open every stream with their API version
+    res.write(`data: ${JSON.stringify({ ApiVersion: '1.5.6' })}\n\n`);
+
+    let id = 0;
+    const replay = () => {
+      for (const event of getEvents()) {
+        res.write(`id: ${id++}\ndata: ${JSON.stringify(event)}\n\n`);
+      }
+    };
+    replay();
+    const timer = repeat > 0 ? setInterval(replay, repeat * 1000) : null;
+    req.on('close', () => clearInterval(timer));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => resolve(server));
+  });
+}
+
+/**
+ * Replay the events into casper.js and verify the refresh
+ * @param {Object} options - CLI options
+ * @returns {Promise<boolean>} True when every check passed
+ */
+async function runCheck(options) {
+  let sdk;
+  try {
+    sdk = requireSdk();
+  } catch (e) {
+    sdk = {}; // The account is matched by public key, the SDK is optional here
+  }
+  const dapp = createDappScope({ sdk, globals: { EventSource: NodeEventSource } });
+  const config = dapp.get('EctoplasmConfig');
+  if (options.network) config.setNetwork(options.network);
+
+  const account = options.account || SAMPLE_ACCOUNT;
+  const { events, pair, stateRoot } = buildEvents(config, { account, pair: options.pair });
+  const server = await startServer(() => events, { port: 0 });
+  const url = `http://127.0.0.1:${server.address().port}/events`;
+
+  const cache = dapp.get('QueryCache');
+  const service = dapp.get('CasperService');
+  dapp.scope.connectedAccount = account;
+
+  // Stand-ins for cached reserve and balance reads at the previous block
+  const oldRoot = 'f'.repeat(64);
+  cache.pinBlock(oldRoot, 1);
+  const seeded = [
+    ['queryContractDictionary', oldRoot, config.contracts.pairs[pair], 'reserves'],
+    ['queryContractDictionary', oldRoot, config.tokens.USDC.hash, 'balances', account],
+    ['queryBalance', oldRoot, account]
+  ];
+  for (const read of seeded) cache.entries.set(JSON.stringify(read), Promise.resolve('cached'));
+
+  let cleared = null;
+  const originalInvalidate = cache.invalidate;
+  cache.invalidate = function () {
+    originalInvalidate.call(this);
+    cleared = this.entries.size === 0;
+  };
+
+  const change = await new Promise((resolve) => {
+    const timer = setTimeout(() => resolve(null), CHECK_TIMEOUT);
+    dapp.scope.addEventListener('casper:statechange', (event) => {
+      clearTimeout(timer);
+      resolve(event.detail);
+    }, { once: true });
+    service.startEventStream(url);
+  });
+
+  service.stopEventStream();
+  server.close();
+
+  const checks = [
+    ['casper:statechange fired', !!change],
+    ['cached reserves and balances invalidated', cleared === true],
+    ['router touched', change?.router === true],
+    [`pair ${pair} touched`, !!change?.pairs.includes(pair)],
+    ['account touched', change?.account === true],
+    ['new block root pinned', cache.stateRoot === stateRoot]
+  ];
+  for (const [name, ok] of checks) {
+    console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}`);
+  }
+  return checks.every(([, ok]) => ok);
+}
+
+async function main() {
+  const { options } = parseArgs(process.argv.slice(2));
+
+  if (options.check) {
+    process.exit(await runCheck(options) ? 0 : 1);
+  }
+
+  const { get } = createDappScope({ sdk: {}, files: ['config.js'] });
+  const config = get('EctoplasmConfig');
+  if (options.network) config.setNetwork(options.network);
+
+  const account = options.account || SAMPLE_ACCOUNT;
+  const port = Number(options.port || DEFAULT_PORT);
+  const server = await startServer(
+    () => buildEvents(config, { account, pair: options.pair }).events,
+    { port, repeat: Number(options.repeat || 0) }
+  );
+  console.log(`Event stream stand-in on http://localhost:${server.address().port}/events`);
+  console.log(`Account ${account}, network ${config.currentNetwork}`);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,453 @@
+/**
+ * WalletRegistry - Pluggable wallet adapters for Ectoplasm DEX
+ * Every supported wallet is an adapter implementing the same interface,
+ * so connecting, signing and account tracking never branch on the wallet id.
+ *
+ * Adapter interface:
+ * - id, name, installUrl
+ * - detect()                          -> boolean, provider present in the page
+ * - connect()                         -> Promise<string> active public key hex
+ * - isConnected()                     -> Promise<boolean>, site still approved (throws if locked)
+ * - getActivePublicKey()              -> Promise<string|null>
+ * - signDeploy(deploy, publicKeyHex)  -> Promise<Deploy> signed deploy
+ * - signMessage(message, publicKeyHex)-> Promise<string> signature hex
+ * - disconnect()                      -> Promise<void>
+ * - on(event, handler)                -> unsubscribe function
+ * - getChainName()                    -> Promise<string|null> (optional), chain the
+ *                                        wallet signs for; checked before signing
+ * - canSignUnattended()               -> boolean (optional), the wallet can sign
+ *                                        without a prompt; lets limit orders the
+ *                                        user approved execute on their own
+ *
+ * Events passed to on() handlers are normalized across wallets:
+ * 'activeKeyChanged' ({publicKey}), 'locked', 'unlocked', 'disconnected'
+ *
+ * New wallets are added with WalletRegistry.register(adapter).
+ */
+const WalletRegistry = {
+  // Application ID sent with connection requests (Casper Wallet, CSPR.click)
+  appId: '019ae32b-4115-7d44-b2c3-a8091354c9a2',
+
+  adapters: new Map(),
+
+  /**
+   * Register a wallet adapter (replaces an adapter with the same id)
+   * @param {Object} adapter - Object implementing the adapter interface
+   * @returns {Object} The registered adapter
+   */
+  register(adapter) {
+    const required = ['detect', 'connect', 'isConnected', 'getActivePublicKey', 'signDeploy', 'signMessage', 'disconnect', 'on'];
+    const missing = required.filter(method => typeof adapter?.[method] !== 'function');
+    if (!adapter?.id || missing.length) {
+      throw new Error(`Invalid wallet adapter ${adapter?.id || '(no id)'}: missing ${missing.join(', ') || 'id'}`);
+    }
+    this.adapters.set(adapter.id, adapter);
+    return adapter;
+  },
+
+  /**
+   * Get an adapter by id
+   * @param {string} id - Wallet id (e.g. 'casperwallet')
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.adapters.get(id) || null;
+  },
+
+  /**
+   * List all registered adapters in registration order
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this.adapters.values());
+  },
+
+  /**
+   * List adapters whose provider is present in the page
+   * @returns {Object[]}
+   */
+  detected() {
+    return this.list().filter(adapter => this.isDetected(adapter));
+  },
+
+  /**
+   * Check whether an adapter's provider is present, tolerating broken providers
+   * @param {Object} adapter
+   * @returns {boolean}
+   */
+  isDetected(adapter) {
+    try {
+      return !!adapter.detect();
+    } catch (e) {
+      return false;
+    }
+  },
+
+  /**
+   * Confirm a restored session with the wallet itself
+   * Extensions may inject their provider shortly after page load, so
+   * detection is retried for up to detectTimeoutMs.
+   *
+   * @param {string} id - Wallet id
+   * @param {number} detectTimeoutMs - How long to wait for the provider
+   * @returns {Promise<{status: 'connected'|'locked'|'disconnected'|'unavailable', publicKey?: string}>}
+   */
+  async verifySession(id, detectTimeoutMs = 0) {
+    const adapter = this.get(id);
+    if (!adapter) return { status: 'unavailable' };
+
+    const deadline = Date.now() + detectTimeoutMs;
+    while (!this.isDetected(adapter)) {
+      if (Date.now() >= deadline) return { status: 'unavailable' };
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+
+    try {
+      if (!await adapter.isConnected()) return { status: 'disconnected' };
+    } catch (error) {
+      // Wallets refuse to answer while locked
+      if (/locked/i.test(error?.message || '')) return { status: 'locked' };
+      return { status: 'disconnected' };
+    }
+
+    // Connected but no readable key means the wallet is locked
+    const publicKey = await adapter.getActivePublicKey();
+    return publicKey ? { status: 'connected', publicKey } : { status: 'locked' };
+  }
+};
+
+/**
+ * Parse the JSON detail Casper Wallet and Casper Signer attach to their window events
+ */
+function parseWalletEventDetail(event) {
+  if (typeof event.detail !== 'string') return event.detail || {};
+  try {
+    return JSON.parse(event.detail);
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Build a Deploy from the JSON a wallet returns after signing
+ * Handles both direct JSON and { deploy } wrapped responses
+ */
+function deployFromSignedJson(signedDeployJson) {
+  const deployData = signedDeployJson.deploy || signedDeployJson;
+  const result = DeployUtil.deployFromJson(deployData);
+  if (result.err) {
+    throw new Error(`Failed to parse signed deploy: ${result.err}`);
+  }
+  return result.unwrap();
+}
+
+// ============================================
+// Casper Wallet (browser extension)
+// ============================================
+
+WalletRegistry.register({
+  id: 'casperwallet',
+  name: 'Casper Wallet',
+  installUrl: 'https://www.casperwallet.io/download',
+
+  provider() {
+    return typeof window.CasperWalletProvider === 'function' ? window.CasperWalletProvider() : null;
+  },
+
+  detect() {
+    return typeof window.CasperWalletProvider === 'function';
+  },
+
+  async connect() {
+    const provider = this.provider();
+    if (!provider) {
+      throw new Error('Casper Wallet provider not available.');
+    }
+    try {
+      // Try with app ID first (preferred)
+      await provider.requestConnection({ appId: WalletRegistry.appId });
+    } catch (err) {
+      // Fallback to connection without app ID
+      console.warn('Casper Wallet connection with appId failed, retrying without appId', err);
+      await provider.requestConnection();
+    }
+    return provider.getActivePublicKey();
+  },
+
+  async isConnected() {
+    const provider = this.provider();
+    return provider ? provider.isConnected() : false;
+  },
+
+  async getActivePublicKey() {
+    const provider = this.provider();
+    if (!provider) return null;
+    try {
+      return await provider.getActivePublicKey();
+    } catch (e) {
+      return null; // Locked or not connected to this site
+    }
+  },
+
+  async signDeploy(deploy, publicKeyHex) {
+    const response = await this.provider().sign(
+      JSON.stringify(DeployUtil.deployToJson(deploy)),
+      publicKeyHex
+    );
+
+    if (response.cancelled) {
+      throw new Error('User rejected the signature request');
+    }
+
+    // Handle different response formats from Casper Wallet
+    let signatureHex;
+    if (response.signatureHex) {
+      signatureHex = response.signatureHex;
+    } else if (typeof response.signature === 'string') {
+      signatureHex = response.signature;
+    } else if (response.deploy?.approvals?.[0]?.signature) {
+      signatureHex = response.deploy.approvals[0].signature;
+    } else {
+      throw new Error('Invalid signature response from CasperWallet');
+    }
+
+    // Ensure signature is properly formatted (with algorithm prefix)
+    const publicKey = CLPublicKey.fromHex(publicKeyHex);
+    if (!signatureHex.startsWith('01') && !signatureHex.startsWith('02')) {
+      // Add the appropriate signature prefix based on key type (01=Ed25519, 02=Secp256k1)
+      signatureHex = (publicKey.isEd25519() ? '01' : '02') + signatureHex;
+    }
+
+    return DeployUtil.setSignature(deploy, signatureHex, publicKey);
+  },
+
+  async signMessage(message, publicKeyHex) {
+    const response = await this.provider().signMessage(message, publicKeyHex);
+    if (response.cancelled) {
+      throw new Error('User rejected the signature request');
+    }
+    return response.signatureHex;
+  },
+
+  async disconnect() {
+    const provider = this.provider();
+    if (provider?.disconnectFromSite) {
+      await provider.disconnectFromSite();
+    }
+  },
+
+  on(event, handler) {
+    const types = window.CasperWalletEventTypes || {
+      ActiveKeyChanged: 'casper-wallet:activeKeyChanged',
+      Locked: 'casper-wallet:locked',
+      Unlocked: 'casper-wallet:unlocked',
+      Disconnected: 'casper-wallet:disconnected'
+    };
+    const sources = {
+      activeKeyChanged: types.ActiveKeyChanged,
+      locked: types.Locked,
+      unlocked: types.Unlocked,
+      disconnected: types.Disconnected
+    };
+    if (!sources[event]) return () => {};
+
+    const listener = (e) => {
+      const detail = parseWalletEventDetail(e);
+      handler({ publicKey: detail.activeKey || null });
+    };
+    window.addEventListener(sources[event], listener);
+    return () => window.removeEventListener(sources[event], listener);
+  }
+});
+
+// ============================================
+// Casper Signer (legacy extension)
+// ============================================
+
+WalletRegistry.register({
+  id: 'caspersigner',
+  name: 'Casper Signer',
+  installUrl: 'https://chrome.google.com/webstore/detail/casper-signer/djhndpeocggbghodkbnpgcbkidmhfomg',
+
+  helper() {
+    return window.casperlabsHelper || window.CasperWallet || null;
+  },
+
+  detect() {
+    return !!this.helper();
+  },
+
+  async connect() {
+    const helper = this.helper();
+    if (!helper) {
+      throw new Error('Casper Signer not available.');
+    }
+    const account = await helper.requestConnection();
+    return account || helper.getActivePublicKey();
+  },
+
+  async isConnected() {
+    const helper = this.helper();
+    return helper?.isConnected ? helper.isConnected() : false;
+  },
+
+  async getActivePublicKey() {
+    const helper = this.helper();
+    if (!helper) return null;
+    try {
+      return await helper.getActivePublicKey();
+    } catch (e) {
+      return null; // Locked or not connected to this site
+    }
+  },
+
+  async signDeploy(deploy, publicKeyHex) {
+    const signedDeployJson = await this.helper().sign(
+      DeployUtil.deployToJson(deploy),
+      publicKeyHex
+    );
+    return deployFromSignedJson(signedDeployJson);
+  },
+
+  async signMessage(message, publicKeyHex) {
+    return this.helper().signMessage(message, publicKeyHex);
+  },
+
+  async disconnect() {
+    const helper = this.helper();
+    if (helper?.disconnectFromSite) {
+      await helper.disconnectFromSite();
+    }
+  },
+
+  on(event, handler) {
+    const sources = {
+      activeKeyChanged: 'signer:activeKeyChanged',
+      locked: 'signer:locked',
+      unlocked: 'signer:unlocked',
+      disconnected: 'signer:disconnected'
+    };
+    if (!sources[event]) return () => {};
+
+    const listener = (e) => {
+      const detail = parseWalletEventDetail(e);
+      handler({ publicKey: detail.activeKey || null });
+    };
+    window.addEventListener(sources[event], listener);
+    return () => window.removeEventListener(sources[event], listener);
+  }
+});
+
+// ============================================
+// CSPR.click (CSPR.CLOUD)
+// ============================================
+
+WalletRegistry.register({
+  id: 'csprcloud',
+  name: 'CSPR.click',
+  installUrl: 'https://www.csprclick.com/',
+
+  client() {
+    return window.csprclick || null;
+  },
+
+  detect() {
+    return !!this.client();
+  },
+
+  /**
+   * CSPR.click returns either a public key string or an account object
+   */
+  toPublicKey(account) {
+    if (!account) return null;
+    return typeof account === 'string' ? account : account.public_key || null;
+  },
+
+  async connect() {
+    const client = this.client();
+    if (!client) {
+      throw new Error('CSPR.CLOUD wallet not available.');
+    }
+    // Try different connection methods (API may vary by version)
+    if (typeof client.requestConnection === 'function') {
+      await client.requestConnection({ appId: WalletRegistry.appId });
+    } else if (typeof client.connect === 'function') {
+      await client.connect({ appId: WalletRegistry.appId });
+    }
+    if (typeof client.getActiveAccount !== 'function') {
+      throw new Error('CSPR.CLOUD wallet API is unavailable.');
+    }
+    const publicKey = this.toPublicKey(await client.getActiveAccount());
+    if (!publicKey) {
+      throw new Error('No active account found in CSPR.CLOUD wallet');
+    }
+    return publicKey;
+  },
+
+  async isConnected() {
+    // CSPR.click keeps the session itself; signed in means an active account
+    return !!await this.getActivePublicKey();
+  },
+
+  async getActivePublicKey() {
+    const client = this.client();
+    if (typeof client?.getActiveAccount !== 'function') return null;
+    try {
+      return this.toPublicKey(await client.getActiveAccount());
+    } catch (e) {
+      return null;
+    }
+  },
+
+  async getChainName() {
+    // Set from the CSPR.click app settings; Casper Wallet and Signer sign for any chain
+    const chainName = this.client()?.chainName;
+    return typeof chainName === 'string' ? chainName : null;
+  },
+
+  async signDeploy(deploy, publicKeyHex) {
+    const signedDeployJson = await this.client().sign(
+      DeployUtil.deployToJson(deploy),
+      publicKeyHex
+    );
+    if (signedDeployJson?.cancelled) {
+      throw new Error('User rejected the signature request');
+    }
+    return deployFromSignedJson(signedDeployJson);
+  },
+
+  async signMessage(message, publicKeyHex) {
+    const response = await this.client().signMessage(message, publicKeyHex);
+    if (response?.cancelled) {
+      throw new Error('User rejected the signature request');
+    }
+    return response?.signatureHex || response;
+  },
+
+  async disconnect() {
+    const client = this.client();
+    if (typeof client?.signOut === 'function') {
+      await client.signOut();
+    } else if (typeof client?.disconnect === 'function') {
+      await client.disconnect();
+    }
+  },
+
+  on(event, handler) {
+    const client = this.client();
+    const sources = {
+      activeKeyChanged: 'csprclick:switched_account',
+      disconnected: 'csprclick:signed_out'
+    };
+    if (!sources[event] || typeof client?.on !== 'function') return () => {};
+
+    const listener = (e) => handler({ publicKey: this.toPublicKey(e?.account) });
+    client.on(sources[event], listener);
+    return () => client.off?.(sources[event], listener);
+  }
+});
+
+// Export for module systems if available
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WalletRegistry;
+}